@@ -43,22 +43,32 @@ const configuration: Config = {
                 '^.+\\.tsx?$': 'ts-jest',
             },
         },
-        // {
-        //     displayName: 'js-moi-providers',
-        //     testEnvironment: 'ts-node',
-        //     testMatch: ['<rootDir>/packages/js-moi-providers/__tests__/*.test.ts'],
-        //     transform: {
-        //         '^.+\\.tsx?$': 'ts-jest',
-        //     },
-        // },
-        // {
-        //     displayName: 'js-moi-logic',
-        //     testEnvironment: 'ts-node',
-        //     testMatch: ['<rootDir>/packages/js-moi-logic/__tests__/*.test.ts'],
-        //     transform: {
-        //         '^.+\\.tsx?$': 'ts-jest',
-        //     },
-        // }
+        {
+            displayName: 'js-moi-providers',
+            testEnvironment: 'ts-node',
+            testMatch: ['<rootDir>/packages/js-moi-providers/__tests__/*.test.ts'],
+            // These tests require a running node
+            testPathIgnorePatterns: [
+                '<rootDir>/packages/js-moi-providers/__tests__/jsonrpc-provider.test.ts',
+                '<rootDir>/packages/js-moi-providers/__tests__/ws-provider.test.ts',
+            ],
+            transform: {
+                '^.+\\.tsx?$': 'ts-jest',
+            },
+        },
+        {
+            displayName: 'js-moi-logic',
+            testEnvironment: 'ts-node',
+            testMatch: ['<rootDir>/packages/js-moi-logic/__tests__/*.test.ts'],
+            // These tests require a running node
+            testPathIgnorePatterns: [
+                '<rootDir>/packages/js-moi-logic/__tests__/logic.test.ts',
+                '<rootDir>/packages/js-moi-logic/__tests__/persistant-state.test.ts',
+            ],
+            transform: {
+                '^.+\\.tsx?$': 'ts-jest',
+            },
+        },
     ],
     testTimeout: 700000,
     maxConcurrency: 1
@@ -0,0 +1,109 @@
+import { entropyToMnemonic, validateMnemonic } from '../src.ts/bip39';
+import {
+  analyzeMnemonic,
+  detectLanguage,
+  findMnemonicCandidates,
+  suggestWords,
+} from '../src.ts/recovery';
+import { wordlists } from '../src.ts/_wordlists';
+
+const MNEMONIC = 'hollow appear story text start mask salt social child space aspect hurdle';
+const ENTROPY = '6ce1535a6fdd4b10efae6f27fa0835b7';
+
+describe('Mnemonic Recovery', () => {
+  describe('analyzeMnemonic', () => {
+    it('should report a valid mnemonic', () => {
+      expect(analyzeMnemonic(MNEMONIC)).toEqual({
+        language: 'english',
+        wordCount: 12,
+        invalidWords: [],
+        validLength: true,
+        validChecksum: true,
+      });
+    });
+
+    it('should report the words which are not in the wordlist with suggestions', () => {
+      const report = analyzeMnemonic('hollow appaer story text start mask salt social chlid space aspect hurdle');
+
+      expect(report.validChecksum).toBe(false);
+      expect(report.invalidWords.map(({ index, word }) => [index, word])).toEqual([[1, 'appaer'], [8, 'chlid']]);
+      expect(report.invalidWords[0].suggestions[0]).toBe('appear');
+      expect(report.invalidWords[1].suggestions[0]).toBe('child');
+    });
+
+    it('should report an invalid length', () => {
+      const report = analyzeMnemonic('hollow appear story text start mask salt social child space aspect');
+
+      expect(report.validLength).toBe(false);
+      expect(report.validChecksum).toBe(false);
+    });
+  });
+
+  describe('detectLanguage', () => {
+    it('should detect the language of the mnemonic', () => {
+      expect(detectLanguage(MNEMONIC)).toBe('english');
+      expect(detectLanguage(entropyToMnemonic(ENTROPY, wordlists.french))).toBe('french');
+      expect(detectLanguage(entropyToMnemonic(ENTROPY, wordlists.japanese))).toBe('japanese');
+      expect(detectLanguage('qwerty asdfgh')).toBeUndefined();
+    });
+  });
+
+  describe('suggestWords', () => {
+    it('should suggest the closest words', () => {
+      expect(suggestWords('socail')[0]).toBe('social');
+      expect(suggestWords('hurdel')).toContain('hurdle');
+      expect(suggestWords('appaer', undefined, 1)).toEqual(['appear']);
+      expect(suggestWords('zzzzzz')).toEqual([]);
+    });
+  });
+
+  describe('findMnemonicCandidates', () => {
+    it('should find the candidates for a missing word', () => {
+      const words = MNEMONIC.split(' ');
+      words.splice(4, 1);
+
+      const candidates = findMnemonicCandidates(words.join(' '));
+
+      expect(candidates).toContainEqual({ index: 4, word: 'start', mnemonic: MNEMONIC });
+      expect(candidates.every(({ mnemonic }) => validateMnemonic(mnemonic))).toBe(true);
+    });
+
+    it('should find the candidates for a word which is not in the wordlist', () => {
+      const words = MNEMONIC.split(' ');
+      words[2] = 'xyzzy';
+
+      const candidates = findMnemonicCandidates(words.join(' '));
+
+      expect(candidates).toContainEqual({ index: 2, word: 'story', mnemonic: MNEMONIC });
+      expect(candidates.every(({ index }) => index === 2)).toBe(true);
+      expect(candidates.every(({ mnemonic }) => validateMnemonic(mnemonic))).toBe(true);
+    });
+
+    it('should find the candidates for a wrong word', () => {
+      const words = MNEMONIC.split(' ');
+      words[2] = 'stone';
+
+      const candidates = findMnemonicCandidates(words.join(' '));
+
+      expect(candidates).toContainEqual({ index: 2, word: 'story', mnemonic: MNEMONIC });
+      expect(candidates.every(({ mnemonic }) => validateMnemonic(mnemonic))).toBe(true);
+    });
+
+    it('should find the candidates in the detected language', () => {
+      const mnemonic = entropyToMnemonic(ENTROPY, wordlists.japanese);
+      const words = mnemonic.split('　').slice(1);
+
+      const candidates = findMnemonicCandidates(words.join('　'));
+
+      expect(candidates.map(({ mnemonic }) => mnemonic)).toContain(mnemonic);
+    });
+
+    it('should throw an error for more than a single wrong word', () => {
+      const words = MNEMONIC.split(' ');
+      words[2] = 'xyzzy';
+      words[5] = 'plugh';
+
+      expect(() => findMnemonicCandidates(words.join(' '))).toThrowError('Only a single missing or wrong word can be recovered');
+    });
+  });
+});
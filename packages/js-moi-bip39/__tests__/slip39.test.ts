@@ -0,0 +1,122 @@
+import {
+  combineSlip39Shares,
+  generateSlip39Shares,
+  validateSlip39Share,
+} from '../src.ts/slip39';
+
+// Test vectors of the SLIP-39 specification, all with the passphrase "TREZOR"
+const PASSPHRASE = 'TREZOR';
+
+describe('SLIP-39', () => {
+  describe('combineSlip39Shares', () => {
+    it('should recover the master secret of a mnemonic without sharing', () => {
+      const mnemonics = [
+        'duckling enlarge academic academic agency result length solution fridge kidney coal piece deal husband erode duke ajar critical decision keyboard',
+      ];
+      expect(combineSlip39Shares(mnemonics, PASSPHRASE).toString('hex')).toBe('bb54aac4b89dc868ba37d9cc21b2cece');
+    });
+
+    it('should recover a 256 bit master secret', () => {
+      const mnemonics = [
+        'theory painting academic academic armed sweater year military elder discuss acne wildlife boring employer fused large satoshi bundle carbon diagnose anatomy hamster leaves tracks paces beyond phantom capital marvel lips brave detect luck',
+      ];
+      expect(combineSlip39Shares(mnemonics, PASSPHRASE).toString('hex')).toBe('989baf9dcaad5b10ca33dfd8cc75e42477025dce88ae83e75a230086a0e00e92');
+    });
+
+    it('should recover the master secret of a 2-of-3 sharing', () => {
+      const mnemonics = [
+        'shadow pistol academic always adequate wildlife fancy gross oasis cylinder mustang wrist rescue view short owner flip making coding armed',
+        'shadow pistol academic acid actress prayer class unknown daughter sweater depict flip twice unkind craft early superior advocate guest smoking',
+      ];
+      expect(combineSlip39Shares(mnemonics, PASSPHRASE).toString('hex')).toBe('b43ceb7e57a0ea8766221624d01b0864');
+    });
+
+    it('should recover the master secret of an extendable 2-of-3 sharing', () => {
+      const mnemonics = [
+        'enemy favorite academic acid cowboy phrase havoc level response walnut budget painting inside trash adjust froth kitchen learn tidy punish',
+        'enemy favorite academic always academic sniff script carpet romp kind promise scatter center unfair training emphasis evening belong fake enforce',
+      ];
+      expect(combineSlip39Shares(mnemonics, PASSPHRASE).toString('hex')).toBe('48b1a4b80b8c209ad42c33672bdaa428');
+    });
+
+    it('should recover the master secret from the threshold of groups and members', () => {
+      const mnemonics = [
+        'eraser senior decision roster beard treat identify grumpy salt index fake aviation theater cubic bike cause research dragon emphasis counter',
+        'eraser senior ceramic snake clay various huge numb argue hesitate auction category timber browser greatest hanger petition script leaf pickup',
+        'eraser senior ceramic shaft dynamic become junior wrist silver peasant force math alto coal amazing segment yelp velvet image paces',
+        'eraser senior ceramic round column hawk trust auction smug shame alive greatest sheriff living perfect corner chest sled fumes adequate',
+        'eraser senior decision smug corner ruin rescue cubic angel tackle skin skunk program roster trash rumor slush angel flea amazing',
+      ];
+      expect(combineSlip39Shares(mnemonics, PASSPHRASE).toString('hex')).toBe('7c3397a292a5941682d7a4ae2d898d11');
+    });
+
+    it('should throw an error for an invalid checksum', () => {
+      const mnemonics = [
+        'duckling enlarge academic academic agency result length solution fridge kidney coal piece deal husband erode duke ajar critical decision kidney',
+      ];
+      expect(() => combineSlip39Shares(mnemonics, PASSPHRASE)).toThrowError('Invalid SLIP-39 share. Invalid checksum');
+    });
+
+    it('should throw an error for shares giving an invalid digest', () => {
+      const mnemonics = [
+        'guilt walnut academic acid deliver remove equip listen vampire tactics nylon rhythm failure husband fatigue alive blind enemy teaspoon rebound',
+        'guilt walnut academic agency brave hamster hobo declare herd taste alpha slim criminal mild arcade formal romp branch pink ambition',
+      ];
+      expect(() => combineSlip39Shares(mnemonics, PASSPHRASE)).toThrowError('Invalid digest of the shared secret');
+    });
+  });
+
+  describe('generateSlip39Shares', () => {
+    const masterSecret = 'bb54aac4b89dc868ba37d9cc21b2cece';
+
+    it('should split the master secret into groups of shares', () => {
+      const groups = generateSlip39Shares(masterSecret, {
+        groupThreshold: 2,
+        groups: [
+          { memberThreshold: 1, memberCount: 1 },
+          { memberThreshold: 2, memberCount: 3 },
+          { memberThreshold: 3, memberCount: 5 },
+        ],
+        passphrase: PASSPHRASE,
+      });
+
+      expect(groups.map((group) => group.length)).toEqual([1, 3, 5]);
+      expect(groups.flat().every(validateSlip39Share)).toBe(true);
+
+      const secret = combineSlip39Shares([groups[2][4], groups[1][0], groups[2][0], groups[1][2], groups[2][1]], PASSPHRASE);
+      expect(secret.toString('hex')).toBe(masterSecret);
+      expect(combineSlip39Shares([groups[0][0], groups[1][1], groups[1][2]], PASSPHRASE).toString('hex')).toBe(masterSecret);
+    });
+
+    it('should encrypt the master secret with the passphrase', () => {
+      const [[share]] = generateSlip39Shares(masterSecret, { passphrase: PASSPHRASE, extendable: false });
+
+      expect(combineSlip39Shares([share], PASSPHRASE).toString('hex')).toBe(masterSecret);
+      expect(combineSlip39Shares([share]).toString('hex')).not.toBe(masterSecret);
+    });
+
+    it('should throw an error for insufficient shares', () => {
+      const [shares] = generateSlip39Shares(masterSecret, {
+        groups: [{ memberThreshold: 2, memberCount: 3 }],
+      });
+
+      expect(() => combineSlip39Shares([shares[1]])).toThrowError('Insufficient number of groups');
+    });
+
+    it('should throw an error for invalid options', () => {
+      expect(() => generateSlip39Shares('bb54aac4b89dc868')).toThrowError('The master secret must be at least 16 bytes long');
+      expect(() => generateSlip39Shares(masterSecret, { groupThreshold: 2 })).toThrowError('The group threshold must not exceed the number of groups');
+      expect(() => generateSlip39Shares(masterSecret, {
+        groups: [{ memberThreshold: 1, memberCount: 2 }],
+      })).toThrowError('Creating multiple member shares with a member threshold of 1 is not allowed');
+      expect(() => generateSlip39Shares(masterSecret, { passphrase: 'pässword' })).toThrowError('printable ASCII');
+    });
+  });
+
+  describe('validateSlip39Share', () => {
+    it('should return false for an invalid share', () => {
+      expect(validateSlip39Share('invalid share')).toBe(false);
+      expect(validateSlip39Share('hollow appear story text start mask salt social child space aspect hurdle')).toBe(false);
+    });
+  });
+});
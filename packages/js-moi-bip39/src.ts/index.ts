@@ -11,4 +11,6 @@
  * 
  **/
 export * from "./bip39";
+export * from "./recovery";
+export * from "./slip39";
 export * from "./_wordlists";
@@ -0,0 +1,302 @@
+import { sha256 } from "@noble/hashes/sha256";
+import { wordlists, _default } from "./_wordlists";
+
+/**
+ * A word of a mnemonic which is not in the wordlist, with the closest words
+ * of the wordlist.
+ */
+export interface InvalidWord {
+    index: number;
+    word: string;
+    suggestions: string[];
+}
+
+/**
+ * A report of the problems found in a mnemonic.
+ */
+export interface MnemonicReport {
+    language?: string;
+    wordCount: number;
+    invalidWords: InvalidWord[];
+    validLength: boolean;
+    validChecksum: boolean;
+}
+
+/**
+ * A mnemonic with a valid checksum, found by inserting or replacing the word
+ * at the given index.
+ */
+export interface MnemonicCandidate {
+    index: number;
+    word: string;
+    mnemonic: string;
+}
+
+// The number of suggestions returned for a word by default
+const DEFAULT_SUGGESTION_LIMIT = 5;
+
+// The maximum edit distance of a suggestion which does not share the prefix of the word
+const MAX_SUGGESTION_DISTANCE = 2;
+
+// The length of the prefix which identifies a word in the wordlists
+const WORD_PREFIX_LENGTH = 4;
+
+const VALID_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+/**
+ * Normalizes a string by converting it to Unicode Normalization Form KD (NFKD).
+ *
+ * @param {string} str - The string to normalize.
+ * @returns {string} The normalized string.
+ */
+const normalize = (str: string): string => {
+    return (str || '').normalize('NFKD');
+}
+
+/**
+ * Split a mnemonic into its normalized words.
+ *
+ * @param {string} mnemonic - The mnemonic phrase.
+ * @returns {string[]} The words of the mnemonic.
+ */
+const splitWords = (mnemonic: string): string[] => {
+    return normalize(mnemonic).trim().split(/[\s\u3000]+/).filter((word) => word.length > 0);
+}
+
+/**
+ * Join words into a mnemonic phrase, using the ideographic space for the
+ * Japanese wordlist.
+ *
+ * @param {string[]} words - The words of the mnemonic.
+ * @param {string[]} wordlist - The wordlist of the words.
+ * @returns {string} The mnemonic phrase.
+ */
+const joinWords = (words: string[], wordlist: string[]): string => {
+    return wordlist === wordlists.japanese ? words.join('\u3000') : words.join(' ');
+}
+
+/**
+ * Build the index of the normalized words of a wordlist.
+ *
+ * @param {string[]} wordlist - The wordlist.
+ * @returns {Map<string, number>} The indices of the words.
+ */
+const indexWordlist = (wordlist: string[]): Map<string, number> => {
+    return new Map(wordlist.map((word, index) => [normalize(word), index]));
+}
+
+/**
+ * Compute the edit distance between two words, where a transposition of two
+ * adjacent letters counts as a single edit.
+ *
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} The number of insertions, deletions, substitutions and
+ * transpositions which turn one word into the other.
+ */
+const editDistance = (a: string, b: string): number => {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    d[0] = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Check the checksum of a mnemonic given as the indices of its words.
+ *
+ * @param {number[]} indices - The indices of the words in the wordlist.
+ * @returns {boolean} True if the checksum is valid, false otherwise.
+ */
+const isValidChecksum = (indices: number[]): boolean => {
+    const checksumLength = indices.length / 3;
+    const entropy = new Uint8Array((indices.length * 4) / 3);
+    let acc = 0;
+    let bits = 0;
+    let offset = 0;
+
+    for (const index of indices) {
+        acc = (acc << 11) | index;
+        bits += 11;
+
+        while (bits >= 8 && offset < entropy.length) {
+            bits -= 8;
+            entropy[offset++] = (acc >> bits) & 0xff;
+            acc &= (1 << bits) - 1;
+        }
+    }
+
+    const checksum = indices[indices.length - 1] & ((1 << checksumLength) - 1);
+
+    return sha256(entropy)[0] >> (8 - checksumLength) === checksum;
+}
+
+/**
+ * Detect the language of a mnemonic among the bundled wordlists, as the
+ * wordlist which contains the most of its words.
+ *
+ * @param {string} mnemonic - The mnemonic phrase.
+ * @returns {string | undefined} The language of the wordlist, or undefined
+ * if none of the words are in any wordlist.
+ */
+export const detectLanguage = (mnemonic: string): string | undefined => {
+    const words = splitWords(mnemonic);
+    let language: string | undefined;
+    let matches = 0;
+
+    for (const lang of Object.keys(wordlists)) {
+        if (lang === 'JA' || lang === 'EN') {
+            continue;
+        }
+
+        const index = indexWordlist(wordlists[lang]);
+        const count = words.filter((word) => index.has(word)).length;
+
+        // prefer the default wordlist when the words are in several wordlists
+        if (count > matches || (count === matches && count > 0 && wordlists[lang] === _default)) {
+            language = lang;
+            matches = count;
+        }
+    }
+
+    return language;
+}
+
+/**
+ * Suggest the closest words of the wordlist for a word. The words which
+ * share the first four letters of the word come first, followed by the
+ * words within an edit distance of two.
+ *
+ * @param {string} word - The word to find suggestions for.
+ * @param {string[]} [wordlist] - The optional wordlist.
+ * @param {number} [limit] - The maximum number of suggestions, 5 by default.
+ * @returns {string[]} The suggested words, closest first.
+ */
+export const suggestWords = (word: string, wordlist?: string[], limit?: number): string[] => {
+    wordlist = wordlist || _default;
+    limit = limit ?? DEFAULT_SUGGESTION_LIMIT;
+    word = normalize(word).toLowerCase();
+
+    const prefix = word.slice(0, WORD_PREFIX_LENGTH);
+
+    return wordlist
+        .map((candidate) => {
+            const normalized = normalize(candidate);
+            const distance = editDistance(word, normalized);
+            const rank = prefix.length === WORD_PREFIX_LENGTH && normalized.startsWith(prefix) ? -1 : distance;
+            return { candidate, distance, rank };
+        })
+        .filter(({ rank }) => rank <= MAX_SUGGESTION_DISTANCE)
+        .sort((a, b) => a.rank - b.rank || a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Analyze a mnemonic and report the words which are not in the wordlist
+ * with suggestions for them, and whether its length and its checksum are
+ * valid. The language is detected if no wordlist is given.
+ *
+ * @param {string} mnemonic - The mnemonic phrase.
+ * @param {string[]} [wordlist] - The optional wordlist.
+ * @returns {MnemonicReport} The report of the mnemonic.
+ */
+export const analyzeMnemonic = (mnemonic: string, wordlist?: string[]): MnemonicReport => {
+    const language = wordlist
+        ? Object.keys(wordlists).find((lang) => wordlists[lang] === wordlist)
+        : detectLanguage(mnemonic);
+
+    wordlist = wordlist || wordlists[language] || _default;
+
+    const index = indexWordlist(wordlist);
+    const words = splitWords(mnemonic);
+    const invalidWords = words
+        .map((word, i) => ({ index: i, word }))
+        .filter(({ word }) => !index.has(word))
+        .map(({ index, word }) => ({ index, word, suggestions: suggestWords(word, wordlist) }));
+
+    const validLength = VALID_WORD_COUNTS.includes(words.length);
+    const validChecksum = validLength
+        && invalidWords.length === 0
+        && isValidChecksum(words.map((word) => index.get(word)));
+
+    return {
+        language,
+        wordCount: words.length,
+        invalidWords,
+        validLength,
+        validChecksum,
+    };
+}
+
+/**
+ * Find every mnemonic with a valid checksum which differs from the given
+ * mnemonic in a single word. If a word is missing, every word is tried at
+ * every position. If a word is not in the wordlist, every word is tried in
+ * its place. Otherwise, every word is tried in place of each word.
+ *
+ * @param {string} mnemonic - The mnemonic phrase with a missing or wrong word.
+ * @param {string[]} [wordlist] - The optional wordlist. The language is
+ * detected if it is not given.
+ * @returns {MnemonicCandidate[]} The candidates with a valid checksum.
+ * @throws {Error} If more than a single word is missing or wrong.
+ */
+export const findMnemonicCandidates = (mnemonic: string, wordlist?: string[]): MnemonicCandidate[] => {
+    wordlist = wordlist || wordlists[detectLanguage(mnemonic)] || _default;
+
+    const index = indexWordlist(wordlist);
+    const words = splitWords(mnemonic);
+    const indices = words.map((word) => index.get(word));
+    const unknown = indices.flatMap((wordIndex, i) => wordIndex === undefined ? [i] : []);
+    const candidates: MnemonicCandidate[] = [];
+
+    const addCandidates = (position: number, insert: boolean) => {
+        const known = indices.filter((_, i) => insert || i !== position);
+
+        for (let wordIndex = 0; wordIndex < wordlist.length; wordIndex++) {
+            if (!insert && wordIndex === indices[position]) {
+                continue;
+            }
+
+            const candidate = [...known.slice(0, position), wordIndex, ...known.slice(position)];
+
+            if (isValidChecksum(candidate)) {
+                candidates.push({
+                    index: position,
+                    word: wordlist[wordIndex],
+                    mnemonic: joinWords(candidate.map((i) => wordlist[i]), wordlist),
+                });
+            }
+        }
+    }
+
+    if (VALID_WORD_COUNTS.includes(words.length + 1) && unknown.length === 0) {
+        for (let position = 0; position <= words.length; position++) {
+            addCandidates(position, true);
+        }
+
+        return candidates;
+    }
+
+    if (!VALID_WORD_COUNTS.includes(words.length) || unknown.length > 1) {
+        throw new Error('Only a single missing or wrong word can be recovered');
+    }
+
+    const positions = unknown.length === 1 ? unknown : words.map((_, i) => i);
+
+    for (const position of positions) {
+        addCandidates(position, false);
+    }
+
+    return candidates;
+}
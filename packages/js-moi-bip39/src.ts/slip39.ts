@@ -0,0 +1,696 @@
+/**
+ * This code implements SLIP-0039, Shamir's Secret-Sharing for Mnemonic Codes,
+ * following the reference implementation python-shamir-mnemonic by SatoshiLabs.
+ *
+ * Specification available at: https://github.com/satoshilabs/slips/blob/master/slip-0039.md
+ * Reference implementation available at: https://github.com/trezor/python-shamir-mnemonic
+ *
+ * Copyright (c) 2018 Andrew R. Kozlik
+ * Repository MIT license details can be found at https://github.com/trezor/python-shamir-mnemonic/blob/master/LICENSE
+ *
+ **/
+import { Buffer } from "buffer";
+import { hmac } from "@noble/hashes/hmac";
+import { pbkdf2 } from "@noble/hashes/pbkdf2";
+import { sha256 } from "@noble/hashes/sha256";
+import { randomBytes } from "@noble/hashes/utils";
+import slip39 from '../wordlists/slip39.json';
+
+/**
+ * The member threshold and the member count of a group of SLIP-39 shares.
+ */
+export interface Slip39Group {
+    memberThreshold: number;
+    memberCount: number;
+}
+
+/**
+ * The options for splitting a master secret into SLIP-39 shares.
+ */
+export interface Slip39Options {
+    groupThreshold?: number;
+    groups?: Slip39Group[];
+    passphrase?: string;
+    iterationExponent?: number;
+    extendable?: boolean;
+}
+
+// The length of the radix of the words in bits
+const RADIX_BITS = 10;
+
+// The length of the random identifier in bits
+const ID_LENGTH_BITS = 15;
+
+// The length of the iteration exponent in bits
+const ITERATION_EXP_LENGTH_BITS = 4;
+
+// The length of the identifier, the extendable flag and the iteration exponent in words
+const ID_EXP_LENGTH_WORDS = 2;
+
+// The length of the RS1024 checksum in words
+const CHECKSUM_LENGTH_WORDS = 3;
+
+// The length of the digest of the shared secret in bytes
+const DIGEST_LENGTH_BYTES = 4;
+
+// The length of the metadata of a share in words
+const METADATA_LENGTH_WORDS = ID_EXP_LENGTH_WORDS + 2 + CHECKSUM_LENGTH_WORDS;
+
+// The minimum strength of the master secret in bits
+const MIN_STRENGTH_BITS = 128;
+
+// The minimum length of a share in words
+const MIN_MNEMONIC_LENGTH_WORDS = METADATA_LENGTH_WORDS + Math.ceil(MIN_STRENGTH_BITS / RADIX_BITS);
+
+// The maximum number of shares in a group and of groups
+const MAX_SHARE_COUNT = 16;
+
+// The total number of iterations of the key derivation in the Feistel network
+const BASE_ITERATION_COUNT = 10000;
+
+// The number of rounds of the Feistel network
+const ROUND_COUNT = 4;
+
+// The x coordinates of the shared secret and of its digest
+const SECRET_INDEX = 255;
+const DIGEST_INDEX = 254;
+
+// The customization strings of the checksum and of the salt
+const CUSTOMIZATION_STRING_ORIG = "shamir";
+const CUSTOMIZATION_STRING_EXTENDABLE = "shamir_extendable";
+
+const INVALID_SHARE = 'Invalid SLIP-39 share';
+const INVALID_SHARE_SET = 'Invalid set of SLIP-39 shares';
+
+const WORD_INDEX = new Map<string, number>(slip39.map((word, index) => [word, index]));
+
+/**
+ * Build the exponent and the logarithm tables of GF(256) with the
+ * polynomial x^8 + x^4 + x^3 + x + 1 and the generator x + 1.
+ */
+const [EXP_TABLE, LOG_TABLE] = (() => {
+    const exp = new Array<number>(255);
+    const log = new Array<number>(256).fill(0);
+    let poly = 1;
+
+    for (let i = 0; i < 255; i++) {
+        exp[i] = poly;
+        log[poly] = i;
+
+        poly = (poly << 1) ^ poly;
+        if (poly & 0x100) {
+            poly ^= 0x11b;
+        }
+    }
+
+    return [exp, log];
+})();
+
+/**
+ * Compute the RS1024 polymod of the given values.
+ *
+ * @param {number[]} values - The 10 bit values.
+ * @returns {number} The polymod.
+ */
+const rs1024Polymod = (values: number[]): number => {
+    const GEN = [
+        0xe0e040, 0x1c1c080, 0x3838100, 0x7070200, 0xe0e0009,
+        0x1c0c2412, 0x38086c24, 0x3090fc48, 0x21b1f890, 0x3f3f120,
+    ];
+    let chk = 1;
+
+    for (const value of values) {
+        const b = chk >> 20;
+        chk = ((chk & 0xfffff) << 10) ^ value;
+
+        for (let i = 0; i < 10; i++) {
+            if ((b >> i) & 1) {
+                chk ^= GEN[i];
+            }
+        }
+    }
+
+    return chk;
+}
+
+/**
+ * Get the customization string of the checksum of a share.
+ *
+ * @param {boolean} extendable - The extendable flag of the share.
+ * @returns {number[]} The customization string as bytes.
+ */
+const customizationString = (extendable: boolean): number[] => {
+    const str = extendable ? CUSTOMIZATION_STRING_EXTENDABLE : CUSTOMIZATION_STRING_ORIG;
+    return Array.from(Buffer.from(str, 'ascii'));
+}
+
+/**
+ * Create the RS1024 checksum of the given words.
+ *
+ * @param {number[]} data - The word indices.
+ * @param {boolean} extendable - The extendable flag of the share.
+ * @returns {number[]} The checksum word indices.
+ */
+const rs1024CreateChecksum = (data: number[], extendable: boolean): number[] => {
+    const values = [...customizationString(extendable), ...data, ...new Array(CHECKSUM_LENGTH_WORDS).fill(0)];
+    const polymod = rs1024Polymod(values) ^ 1;
+
+    return intToIndices(polymod, CHECKSUM_LENGTH_WORDS);
+}
+
+/**
+ * Verify the RS1024 checksum of the given words.
+ *
+ * @param {number[]} data - The word indices, including the checksum.
+ * @param {boolean} extendable - The extendable flag of the share.
+ * @returns {boolean} True if the checksum is valid, false otherwise.
+ */
+const rs1024VerifyChecksum = (data: number[], extendable: boolean): boolean => {
+    return rs1024Polymod([...customizationString(extendable), ...data]) === 1;
+}
+
+/**
+ * Split an integer into the given number of 10 bit word indices, with the
+ * most significant word first.
+ *
+ * @param {number | bigint} value - The integer to split.
+ * @param {number} length - The number of word indices.
+ * @returns {number[]} The word indices.
+ */
+const intToIndices = (value: number | bigint, length: number): number[] => {
+    const big = BigInt(value);
+    const mask = BigInt((1 << RADIX_BITS) - 1);
+    const indices: number[] = [];
+
+    for (let i = length - 1; i >= 0; i--) {
+        indices.push(Number((big >> BigInt(i * RADIX_BITS)) & mask));
+    }
+
+    return indices;
+}
+
+/**
+ * Join 10 bit word indices into an integer, with the most significant word
+ * first.
+ *
+ * @param {number[]} indices - The word indices.
+ * @returns {bigint} The integer.
+ */
+const intFromIndices = (indices: number[]): bigint => {
+    return indices.reduce((value, index) => (value << BigInt(RADIX_BITS)) + BigInt(index), BigInt(0));
+}
+
+/**
+ * Convert an integer into a big endian byte array of the given length.
+ *
+ * @param {bigint} value - The integer to convert.
+ * @param {number} length - The length of the byte array.
+ * @returns {Uint8Array} The byte array.
+ */
+const bigintToBytes = (value: bigint, length: number): Uint8Array => {
+    const bytes = new Uint8Array(length);
+
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = Number(value & BigInt(0xff));
+        value >>= BigInt(8);
+    }
+
+    return bytes;
+}
+
+/**
+ * Convert a big endian byte array into an integer.
+ *
+ * @param {Uint8Array} bytes - The byte array.
+ * @returns {bigint} The integer.
+ */
+const bytesToBigint = (bytes: Uint8Array): bigint => {
+    return bytes.reduce((value, byte) => (value << BigInt(8)) + BigInt(byte), BigInt(0));
+}
+
+/**
+ * XOR two byte arrays of the same length.
+ *
+ * @param {Uint8Array} a - The first byte array.
+ * @param {Uint8Array} b - The second byte array.
+ * @returns {Uint8Array} The result.
+ */
+const xor = (a: Uint8Array, b: Uint8Array): Uint8Array => {
+    return a.map((byte, i) => byte ^ b[i]);
+}
+
+/**
+ * Check the passphrase and convert it into bytes. Only printable ASCII
+ * characters are allowed in a SLIP-39 passphrase.
+ *
+ * @param {string} [passphrase] - The optional passphrase.
+ * @returns {Uint8Array} The passphrase as bytes.
+ * @throws {Error} If the passphrase contains other characters.
+ */
+const passphraseToBytes = (passphrase?: string): Uint8Array => {
+    passphrase = passphrase || '';
+
+    if (!/^[\x20-\x7e]*$/.test(passphrase)) {
+        throw new Error('The passphrase must contain only printable ASCII characters');
+    }
+
+    return Uint8Array.from(Buffer.from(passphrase, 'ascii'));
+}
+
+/**
+ * Get the salt of the Feistel network.
+ *
+ * @param {number} identifier - The identifier of the shares.
+ * @param {boolean} extendable - The extendable flag of the shares.
+ * @returns {Uint8Array} The salt.
+ */
+const getSalt = (identifier: number, extendable: boolean): Uint8Array => {
+    if (extendable) {
+        return new Uint8Array(0);
+    }
+
+    return Uint8Array.from([
+        ...Buffer.from(CUSTOMIZATION_STRING_ORIG, 'ascii'),
+        identifier >> 8,
+        identifier & 0xff,
+    ]);
+}
+
+/**
+ * Run the given rounds of the Feistel network over the secret.
+ *
+ * @param {Uint8Array} secret - The secret to encrypt or decrypt.
+ * @param {Uint8Array} passphrase - The passphrase.
+ * @param {number} iterationExponent - The iteration exponent.
+ * @param {Uint8Array} salt - The salt.
+ * @param {number[]} rounds - The indices of the rounds in order.
+ * @returns {Uint8Array} The encrypted or decrypted secret.
+ */
+const feistel = (
+    secret: Uint8Array,
+    passphrase: Uint8Array,
+    iterationExponent: number,
+    salt: Uint8Array,
+    rounds: number[]
+): Uint8Array => {
+    const half = secret.length / 2;
+    const iterations = Math.floor((BASE_ITERATION_COUNT << iterationExponent) / ROUND_COUNT);
+    let left = secret.slice(0, half);
+    let right = secret.slice(half);
+
+    for (const i of rounds) {
+        const key = Uint8Array.from([i, ...passphrase]);
+        const data = Uint8Array.from([...salt, ...right]);
+        const f = pbkdf2(sha256, key, data, { c: iterations, dkLen: right.length });
+
+        [left, right] = [right, xor(left, f)];
+    }
+
+    return Uint8Array.from([...right, ...left]);
+}
+
+/**
+ * Evaluate the polynomial which passes through the given shares at the
+ * given x coordinate, using Lagrange interpolation over GF(256).
+ *
+ * @param {[number, Uint8Array][]} shares - The x coordinates and the values of the shares.
+ * @param {number} x - The x coordinate to evaluate at.
+ * @returns {Uint8Array} The value at the x coordinate.
+ * @throws {Error} If the shares have duplicate x coordinates or values of different lengths.
+ */
+const interpolate = (shares: [number, Uint8Array][], x: number): Uint8Array => {
+    const xCoordinates = shares.map(([shareX]) => shareX);
+
+    if (new Set(xCoordinates).size !== shares.length) {
+        throw new Error(`${INVALID_SHARE_SET}. Share indices must be unique`);
+    }
+
+    const length = shares[0][1].length;
+    if (shares.some(([, value]) => value.length !== length)) {
+        throw new Error(`${INVALID_SHARE_SET}. All share values must have the same length`);
+    }
+
+    const known = shares.find(([shareX]) => shareX === x);
+    if (known) {
+        return known[1];
+    }
+
+    const logProd = xCoordinates.reduce((sum, shareX) => sum + LOG_TABLE[shareX ^ x], 0);
+    let result = new Uint8Array(length);
+
+    for (const [shareX, value] of shares) {
+        const logBasis = xCoordinates.reduce((sum, other) => sum + LOG_TABLE[shareX ^ other], 0);
+        const logBasisEval = (((logProd - LOG_TABLE[shareX ^ x] - logBasis) % 255) + 255) % 255;
+        const term = value.map((byte) => byte === 0 ? 0 : EXP_TABLE[(LOG_TABLE[byte] + logBasisEval) % 255]);
+
+        result = xor(result, term);
+    }
+
+    return result;
+}
+
+/**
+ * Compute the digest of the shared secret.
+ *
+ * @param {Uint8Array} randomPart - The random part of the digest share.
+ * @param {Uint8Array} sharedSecret - The shared secret.
+ * @returns {Uint8Array} The digest.
+ */
+const createDigest = (randomPart: Uint8Array, sharedSecret: Uint8Array): Uint8Array => {
+    return hmac(sha256, randomPart, sharedSecret).slice(0, DIGEST_LENGTH_BYTES);
+}
+
+/**
+ * Split a secret into shares, any threshold of which recover the secret.
+ *
+ * @param {number} threshold - The number of shares required to recover the secret.
+ * @param {number} shareCount - The number of shares.
+ * @param {Uint8Array} sharedSecret - The secret to split.
+ * @returns {[number, Uint8Array][]} The indices and the values of the shares.
+ * @throws {Error} If the threshold or the share count is invalid.
+ */
+const splitSecret = (threshold: number, shareCount: number, sharedSecret: Uint8Array): [number, Uint8Array][] => {
+    if (!Number.isInteger(threshold) || threshold < 1) {
+        throw new Error('The threshold must be a positive integer');
+    }
+
+    if (threshold > shareCount) {
+        throw new Error('The threshold must not exceed the number of shares');
+    }
+
+    if (shareCount > MAX_SHARE_COUNT) {
+        throw new Error(`The number of shares must not exceed ${MAX_SHARE_COUNT}`);
+    }
+
+    if (threshold === 1) {
+        return Array.from({ length: shareCount }, (_, i) => [i, sharedSecret]);
+    }
+
+    const randomShareCount = threshold - 2;
+    const shares: [number, Uint8Array][] = Array.from(
+        { length: randomShareCount },
+        (_, i) => [i, randomBytes(sharedSecret.length)]
+    );
+
+    const randomPart = randomBytes(sharedSecret.length - DIGEST_LENGTH_BYTES);
+    const digest = createDigest(randomPart, sharedSecret);
+    const baseShares: [number, Uint8Array][] = [
+        ...shares,
+        [DIGEST_INDEX, Uint8Array.from([...digest, ...randomPart])],
+        [SECRET_INDEX, sharedSecret],
+    ];
+
+    for (let i = randomShareCount; i < shareCount; i++) {
+        shares.push([i, interpolate(baseShares, i)]);
+    }
+
+    return shares;
+}
+
+/**
+ * Recover a secret from a threshold number of its shares.
+ *
+ * @param {number} threshold - The number of shares required to recover the secret.
+ * @param {[number, Uint8Array][]} shares - The indices and the values of the shares.
+ * @returns {Uint8Array} The recovered secret.
+ * @throws {Error} If the digest of the recovered secret is invalid.
+ */
+const recoverSecret = (threshold: number, shares: [number, Uint8Array][]): Uint8Array => {
+    if (threshold === 1) {
+        return shares[0][1];
+    }
+
+    const sharedSecret = interpolate(shares, SECRET_INDEX);
+    const digestShare = interpolate(shares, DIGEST_INDEX);
+    const digest = digestShare.slice(0, DIGEST_LENGTH_BYTES);
+    const randomPart = digestShare.slice(DIGEST_LENGTH_BYTES);
+
+    if (Buffer.compare(digest, createDigest(randomPart, sharedSecret)) !== 0) {
+        throw new Error(`${INVALID_SHARE_SET}. Invalid digest of the shared secret`);
+    }
+
+    return sharedSecret;
+}
+
+/**
+ * A SLIP-39 share decoded from its mnemonic.
+ */
+interface Share {
+    identifier: number;
+    extendable: boolean;
+    iterationExponent: number;
+    groupIndex: number;
+    groupThreshold: number;
+    groupCount: number;
+    memberIndex: number;
+    memberThreshold: number;
+    value: Uint8Array;
+}
+
+/**
+ * Encode a share into its mnemonic.
+ *
+ * @param {Share} share - The share to encode.
+ * @returns {string} The mnemonic of the share.
+ */
+const encodeShare = (share: Share): string => {
+    const idExp = (share.identifier << (ITERATION_EXP_LENGTH_BITS + 1))
+        | ((share.extendable ? 1 : 0) << ITERATION_EXP_LENGTH_BITS)
+        | share.iterationExponent;
+    const params = (share.groupIndex << 16)
+        | ((share.groupThreshold - 1) << 12)
+        | ((share.groupCount - 1) << 8)
+        | (share.memberIndex << 4)
+        | (share.memberThreshold - 1);
+    const valueWordCount = Math.ceil((share.value.length * 8) / RADIX_BITS);
+
+    const data = [
+        ...intToIndices(idExp, ID_EXP_LENGTH_WORDS),
+        ...intToIndices(params, 2),
+        ...intToIndices(bytesToBigint(share.value), valueWordCount),
+    ];
+    const checksum = rs1024CreateChecksum(data, share.extendable);
+
+    return [...data, ...checksum].map((index) => slip39[index]).join(' ');
+}
+
+/**
+ * Decode a share from its mnemonic.
+ *
+ * @param {string} mnemonic - The mnemonic of the share.
+ * @returns {Share} The decoded share.
+ * @throws {Error} If the mnemonic is not a valid SLIP-39 share.
+ */
+const decodeShare = (mnemonic: string): Share => {
+    const data = mnemonic.trim().toLowerCase().split(/\s+/).map((word) => {
+        const index = WORD_INDEX.get(word);
+        if (index === undefined) {
+            throw new Error(`${INVALID_SHARE}. Unknown word: ${word}`);
+        }
+        return index;
+    });
+
+    if (data.length < MIN_MNEMONIC_LENGTH_WORDS) {
+        throw new Error(`${INVALID_SHARE}. The share must be at least ${MIN_MNEMONIC_LENGTH_WORDS} words long`);
+    }
+
+    const paddingLength = (RADIX_BITS * (data.length - METADATA_LENGTH_WORDS)) % 16;
+    if (paddingLength > 8) {
+        throw new Error(`${INVALID_SHARE}. Invalid share length`);
+    }
+
+    const idExp = Number(intFromIndices(data.slice(0, ID_EXP_LENGTH_WORDS)));
+    const identifier = idExp >> (ITERATION_EXP_LENGTH_BITS + 1);
+    const extendable = ((idExp >> ITERATION_EXP_LENGTH_BITS) & 1) === 1;
+    const iterationExponent = idExp & ((1 << ITERATION_EXP_LENGTH_BITS) - 1);
+
+    if (!rs1024VerifyChecksum(data, extendable)) {
+        throw new Error(`${INVALID_SHARE}. Invalid checksum`);
+    }
+
+    const params = Number(intFromIndices(data.slice(ID_EXP_LENGTH_WORDS, ID_EXP_LENGTH_WORDS + 2)));
+    const groupThreshold = ((params >> 12) & 0xf) + 1;
+    const groupCount = ((params >> 8) & 0xf) + 1;
+
+    if (groupCount < groupThreshold) {
+        throw new Error(`${INVALID_SHARE}. The group threshold cannot be greater than the group count`);
+    }
+
+    const valueData = data.slice(ID_EXP_LENGTH_WORDS + 2, -CHECKSUM_LENGTH_WORDS);
+    if (valueData[0] >= 1 << (RADIX_BITS - paddingLength)) {
+        throw new Error(`${INVALID_SHARE}. Invalid padding`);
+    }
+
+    const valueByteCount = (RADIX_BITS * valueData.length - paddingLength) / 8;
+
+    return {
+        identifier,
+        extendable,
+        iterationExponent,
+        groupIndex: (params >> 16) & 0xf,
+        groupThreshold,
+        groupCount,
+        memberIndex: (params >> 4) & 0xf,
+        memberThreshold: (params & 0xf) + 1,
+        value: bigintToBytes(intFromIndices(valueData), valueByteCount),
+    };
+}
+
+/**
+ * Split a master secret into SLIP-39 shares. The master secret is encrypted
+ * with the passphrase and split into groups, any group threshold of which
+ * are required to recover it. Each group is split into member shares, any
+ * member threshold of which are required to recover the group.
+ *
+ * @param {Buffer|string} masterSecret - The master secret or its hex string,
+ * which is used as the seed of the wallet.
+ * @param {Slip39Options} [options] - The optional group threshold, groups,
+ * passphrase, iteration exponent and extendable flag. A single 1-of-1 group
+ * is created by default.
+ * @returns {string[][]} The mnemonics of the shares of each group.
+ * @throws {Error} If the master secret or the options are invalid.
+ */
+export const generateSlip39Shares = (masterSecret: Buffer | string, options?: Slip39Options): string[][] => {
+    if (!Buffer.isBuffer(masterSecret)) {
+        masterSecret = Buffer.from(masterSecret, 'hex');
+    }
+
+    const groupThreshold = options?.groupThreshold ?? 1;
+    const groups = options?.groups ?? [{ memberThreshold: 1, memberCount: 1 }];
+    const iterationExponent = options?.iterationExponent ?? 1;
+    const extendable = options?.extendable ?? true;
+    const passphrase = passphraseToBytes(options?.passphrase);
+
+    if (masterSecret.length * 8 < MIN_STRENGTH_BITS) {
+        throw new Error(`The master secret must be at least ${MIN_STRENGTH_BITS / 8} bytes long`);
+    }
+
+    if (masterSecret.length % 2 !== 0) {
+        throw new Error('The master secret must have an even number of bytes');
+    }
+
+    if (!Number.isInteger(iterationExponent) || iterationExponent < 0 || iterationExponent >= 1 << ITERATION_EXP_LENGTH_BITS) {
+        throw new Error('Invalid iteration exponent');
+    }
+
+    if (groupThreshold > groups.length) {
+        throw new Error('The group threshold must not exceed the number of groups');
+    }
+
+    if (groups.some((group) => group.memberThreshold === 1 && group.memberCount > 1)) {
+        throw new Error('Creating multiple member shares with a member threshold of 1 is not allowed');
+    }
+
+    const identifier = Buffer.from(randomBytes(2)).readUInt16BE(0) & ((1 << ID_LENGTH_BITS) - 1);
+    const salt = getSalt(identifier, extendable);
+    const encryptedSecret = feistel(masterSecret, passphrase, iterationExponent, salt, [0, 1, 2, 3]);
+    const groupShares = splitSecret(groupThreshold, groups.length, encryptedSecret);
+
+    return groups.map((group, i) => {
+        const [groupIndex, groupSecret] = groupShares[i];
+
+        return splitSecret(group.memberThreshold, group.memberCount, groupSecret).map(([memberIndex, value]) => {
+            return encodeShare({
+                identifier,
+                extendable,
+                iterationExponent,
+                groupIndex,
+                groupThreshold,
+                groupCount: groups.length,
+                memberIndex,
+                memberThreshold: group.memberThreshold,
+                value,
+            });
+        });
+    });
+}
+
+/**
+ * Recover the master secret from SLIP-39 shares. The shares must contain
+ * the member threshold of shares of at least the group threshold of groups.
+ *
+ * @param {string[]} mnemonics - The mnemonics of the shares.
+ * @param {string} [passphrase] - The optional passphrase.
+ * @returns {Buffer} The master secret, which can be used as the seed of
+ * the wallet.
+ * @throws {Error} If the shares are invalid or insufficient.
+ */
+export const combineSlip39Shares = (mnemonics: string[], passphrase?: string): Buffer => {
+    if (!mnemonics || mnemonics.length === 0) {
+        throw new Error(`${INVALID_SHARE_SET}. No shares were provided`);
+    }
+
+    const shares = mnemonics.map(decodeShare);
+    const first = shares[0];
+
+    for (const share of shares) {
+        if (share.identifier !== first.identifier || share.extendable !== first.extendable) {
+            throw new Error(`${INVALID_SHARE_SET}. All shares must have the same identifier`);
+        }
+
+        if (share.iterationExponent !== first.iterationExponent) {
+            throw new Error(`${INVALID_SHARE_SET}. All shares must have the same iteration exponent`);
+        }
+
+        if (share.groupThreshold !== first.groupThreshold || share.groupCount !== first.groupCount) {
+            throw new Error(`${INVALID_SHARE_SET}. All shares must have the same group threshold and group count`);
+        }
+    }
+
+    const groups = new Map<number, Share[]>();
+
+    for (const share of shares) {
+        const group = groups.get(share.groupIndex) ?? [];
+
+        if (group.length > 0 && group[0].memberThreshold !== share.memberThreshold) {
+            throw new Error(`${INVALID_SHARE_SET}. All shares of a group must have the same member threshold`);
+        }
+
+        if (group.some((member) => member.memberIndex === share.memberIndex)) {
+            throw new Error(`${INVALID_SHARE_SET}. Share indices must be unique`);
+        }
+
+        groups.set(share.groupIndex, [...group, share]);
+    }
+
+    const completeGroups = [...groups.entries()].filter(([, group]) => group.length >= group[0].memberThreshold);
+
+    if (completeGroups.length < first.groupThreshold) {
+        throw new Error(`${INVALID_SHARE_SET}. Insufficient number of groups, ${first.groupThreshold} are required`);
+    }
+
+    const groupShares = completeGroups.slice(0, first.groupThreshold).map(([groupIndex, group]): [number, Uint8Array] => {
+        const memberShares = group
+            .slice(0, group[0].memberThreshold)
+            .map((share): [number, Uint8Array] => [share.memberIndex, share.value]);
+
+        return [groupIndex, recoverSecret(group[0].memberThreshold, memberShares)];
+    });
+
+    const encryptedSecret = recoverSecret(first.groupThreshold, groupShares);
+    const salt = getSalt(first.identifier, first.extendable);
+    const masterSecret = feistel(
+        encryptedSecret,
+        passphraseToBytes(passphrase),
+        first.iterationExponent,
+        salt,
+        [3, 2, 1, 0]
+    );
+
+    return Buffer.from(masterSecret);
+}
+
+/**
+ * Validate a SLIP-39 share.
+ *
+ * @param {string} mnemonic - The mnemonic of the share to validate.
+ * @returns {boolean} True if the share is valid, false otherwise.
+ */
+export const validateSlip39Share = (mnemonic: string): boolean => {
+    try {
+        decodeShare(mnemonic);
+    } catch (e) {
+        return false;
+    }
+    return true;
+}
@@ -0,0 +1,37 @@
+import { Buffer } from "buffer";
+
+import { Ed25519HDNode } from "../src.ts/ed25519-hdnode";
+
+// Test vector 1 for ed25519 of SLIP-0010
+const seed = Buffer.from("000102030405060708090a0b0c0d0e0f", "hex");
+
+describe("Test Ed25519HDNode", () => {
+    test("Generate the master node from a seed buffer", () => {
+        const node = Ed25519HDNode.fromSeed(seed);
+
+        expect(node.privateKey().toString("hex")).toBe("2b4be7f19ee27bbf30c667b642d5f4aa69fd169872f8fc3059c08ebae2eb19e7");
+        expect(node.publicKey().toString("hex")).toBe("a4b2856bfec510abab89753fac1ac0e1112364e7d250545963f135f2a33188ed");
+    });
+
+    test("Derive a hardened child using the specified path", () => {
+        const node = Ed25519HDNode.fromSeed(seed).derivePath("m/0'/1'");
+
+        expect(node.privateKey().toString("hex")).toBe("b1d0bad404bf35da785a64ca1ac54b2617211d2777696fbffaf208f746ae84f2");
+        expect(node.publicKey().toString("hex")).toBe("1932a5270f335bed617d5b935c80aedb1a35bd9fc1e31acafd5372c30f5c1187");
+    });
+
+    test("Derive a hardened child using the specified index", () => {
+        const node = Ed25519HDNode.fromSeed(seed).deriveChild(0x80000000);
+
+        expect(node.privateKey().toString("hex")).toBe("68e0fe46dfb67e368c75379acec591dad19df3cde26e63b93a8e704f1dade7a3");
+        expect(node.publicKey()).toEqual(Ed25519HDNode.fromSeed(seed).derivePath("m/0H").publicKey());
+    });
+
+    test("Refuse to derive a non-hardened child", () => {
+        const node = Ed25519HDNode.fromSeed(seed);
+
+        expect(() => node.deriveChild(0)).toThrow("Ed25519 only supports the derivation of hardened children");
+        expect(() => node.derivePath("m/44'/6174'/0'/0/0")).toThrow("Ed25519 only supports the derivation of hardened children");
+        expect(() => node.derivePath("44'/6174'")).toThrow("Invalid derivation path");
+    });
+});
@@ -51,4 +51,30 @@ describe("Test HDNode",() => {
         expect(privateKey).toBeInstanceOf(Buffer);
         expect(privateKey).toEqual(expectedPrivKey);
     });
+
+    test("Derive the non-hardened children of a neutered HDNode", () => {
+        const accountNode = hdNode.derivePath("m/44'/6174'/0'/0");
+        const neutered = HDNode.fromExtendedKey(accountNode.getExtendedPublicKey());
+
+        expect(neutered.isNeutered()).toBe(true);
+        expect(accountNode.isNeutered()).toBe(false);
+        expect(accountNode.neuter().getExtendedPublicKey()).toBe(neutered.getExtendedPublicKey());
+        expect(neutered.deriveChild(3).publicKey()).toEqual(accountNode.deriveChild(3).publicKey());
+        expect(neutered.derivePath("m/3").address()).toBe(accountNode.deriveChild(3).address());
+        expect(() => neutered.privateKey()).toThrow("Private key not available in the HDNode");
+    });
+
+    test("Refuse to derive the hardened children of a neutered HDNode", () => {
+        const neutered = hdNode.neuter();
+
+        expect(() => neutered.deriveChild(0x80000000)).toThrow("Cannot derive a hardened child from a neutered HDNode");
+        expect(() => neutered.derivePath("m/44'/6174'")).toThrow("Cannot derive a hardened child from a neutered HDNode");
+    });
+
+    test("Retrieve the address associated with the HDNode", () => {
+        const address = hdNode.address();
+
+        expect(address).toBe("0x" + hdNode.publicKey().subarray(1).toString("hex"));
+        expect(address).toHaveLength(66);
+    });
 });
@@ -0,0 +1,109 @@
+import { ed25519 } from "@noble/curves/ed25519";
+import { hmac } from "@noble/hashes/hmac";
+import { sha512 } from "@noble/hashes/sha512";
+import { HARDENED_OFFSET } from "@scure/bip32";
+import { Buffer } from "buffer";
+import { ErrorCode, ErrorUtils } from "js-moi-utils";
+
+const MASTER_SECRET = new TextEncoder().encode("ed25519 seed");
+
+/**
+ * Hardens every index of a derivation path, so that it can be used to derive
+ * an Ed25519 key.
+ *
+ * @param {string} path - The derivation path.
+ * @returns {string} The derivation path with all of its indexes hardened.
+ */
+export const hardenPath = (path: string): string => {
+  return path.split("/").map((segment, i) => {
+    return i === 0 || /['hH]$/.test(segment) ? segment : segment + "'";
+  }).join("/");
+};
+
+/**
+ * This class represents a Hierarchical Deterministic (HD) Node that derives
+ * Ed25519 keys as specified by SLIP-0010. Ed25519 only supports the
+ * derivation of hardened children.
+ */
+export class Ed25519HDNode {
+  private key: Uint8Array;
+  private chainCode: Uint8Array;
+
+  constructor(key: Uint8Array, chainCode: Uint8Array) {
+    this.key = key;
+    this.chainCode = chainCode;
+  }
+
+  /**
+   * Generates an Ed25519HDNode from a seed buffer.
+   *
+   * @param {Buffer} seed - The seed buffer.
+   * @returns {Ed25519HDNode} The master Ed25519HDNode.
+   */
+  public static fromSeed(seed: Buffer): Ed25519HDNode {
+    const digest = hmac(sha512, MASTER_SECRET, seed);
+    return new Ed25519HDNode(digest.slice(0, 32), digest.slice(32));
+  }
+
+  /**
+   * Derives a child Ed25519HDNode from the current node using the specified
+   * path. Every index of the path must be hardened.
+   *
+   * @param {string} path - The derivation path for the child node.
+   * @returns {Ed25519HDNode} The derived child node.
+   * @throws {Error} If the path is invalid or derives a non-hardened child.
+   */
+  public derivePath(path: string): Ed25519HDNode {
+    if (!/^m(\/\d+['hH]?)*$/.test(path)) {
+      ErrorUtils.throwArgumentError("Invalid derivation path", "path", path);
+    }
+
+    return path.split("/").slice(1).reduce((node: Ed25519HDNode, segment) => {
+      const index = parseInt(segment, 10);
+      return node.deriveChild(/['hH]$/.test(segment) ? index + HARDENED_OFFSET : index);
+    }, this);
+  }
+
+  /**
+   * Derives a child Ed25519HDNode from the current node using the specified
+   * index.
+   *
+   * @param {number} index - The child index.
+   * @returns {Ed25519HDNode} The derived child node.
+   * @throws {Error} If the index is not a hardened index.
+   */
+  public deriveChild(index: number): Ed25519HDNode {
+    if (!Number.isSafeInteger(index) || index < HARDENED_OFFSET || index >= 2 * HARDENED_OFFSET) {
+      ErrorUtils.throwError(
+        "Ed25519 only supports the derivation of hardened children",
+        ErrorCode.UNSUPPORTED_OPERATION,
+        { index }
+      );
+    }
+
+    const data = new Uint8Array(37);
+    data.set(this.key, 1);
+    new DataView(data.buffer).setUint32(33, index, false);
+
+    const digest = hmac(sha512, this.chainCode, data);
+    return new Ed25519HDNode(digest.slice(0, 32), digest.slice(32));
+  }
+
+  /**
+   * Retrieves the Ed25519 public key associated with the node.
+   *
+   * @returns {Buffer} The 32 bytes public key.
+   */
+  public publicKey(): Buffer {
+    return Buffer.from(ed25519.getPublicKey(this.key));
+  }
+
+  /**
+   * Retrieves the Ed25519 private key associated with the node.
+   *
+   * @returns {Buffer} The 32 bytes private key.
+   */
+  public privateKey(): Buffer {
+    return Buffer.from(this.key);
+  }
+}
@@ -1,6 +1,6 @@
-import { HDKey } from "@scure/bip32";
+import { HARDENED_OFFSET, HDKey } from "@scure/bip32";
 import { Buffer } from "buffer";
-import { ErrorCode, ErrorUtils } from "js-moi-utils";
+import { ErrorCode, ErrorUtils, bytesToHex } from "js-moi-utils";
 
 /**
  * This class represents a Hierarchical Deterministic (HD) Node used in 
@@ -55,31 +55,50 @@ export class HDNode {
 
   /**
    * Derives a child HDNode from the current HDNode using the specified path.
+   * A neutered HDNode can only derive the non-hardened children.
    * 
    * @param {string} path - The derivation path for the child HDNode.
    * @returns {HDNode} The derived child HDNode.
-   * @throws {Error} If the HDNode is not initialized.
+   * @throws {Error} If the HDNode is not initialized, or if a hardened child 
+   * is derived from a neutered HDNode.
    */
   public derivePath(path: string): HDNode {
     if (!this.node) {
       ErrorUtils.throwError("HDNode not initialized", ErrorCode.NOT_INITIALIZED);
     }
+
+    if (this.isNeutered() && path.includes("'")) {
+      ErrorUtils.throwError(
+        "Cannot derive a hardened child from a neutered HDNode", 
+        ErrorCode.UNSUPPORTED_OPERATION
+      );
+    }
+
     const childNode = this.node.derive(path);
     return new HDNode(childNode);
   }
 
   /**
    * Derives a child HDNode from the current HDNode using the specified index.
+   * A neutered HDNode can only derive the non-hardened children.
    *
    * @param {number} index - The child index.
    * @returns {HDNode} The derived child HDNode.
-   * @throws {Error} If the HDNode is not initialized.
+   * @throws {Error} If the HDNode is not initialized, or if a hardened child 
+   * is derived from a neutered HDNode.
    */
   public deriveChild(index: number): HDNode {
     if (!this.node) {
       ErrorUtils.throwError('HDNode not initialized', ErrorCode.NOT_INITIALIZED);
     }
 
+    if (this.isNeutered() && index >= HARDENED_OFFSET) {
+      ErrorUtils.throwError(
+        "Cannot derive a hardened child from a neutered HDNode", 
+        ErrorCode.UNSUPPORTED_OPERATION
+      );
+    }
+
     const childNode = this.node.deriveChild(index);
     return new HDNode(childNode);
   }
@@ -133,4 +152,41 @@ export class HDNode {
     }
     return Buffer.from(this.node.privateKey);
   }
+
+  /**
+   * Checks if the HDNode is neutered, that is if it holds no private key 
+   * and was created from an extended public key.
+   *
+   * @returns {boolean} true if the HDNode is neutered, false otherwise.
+   */
+  public isNeutered(): boolean {
+    return this.node.privateKey == null;
+  }
+
+  /**
+   * Returns a neutered copy of the HDNode, which holds only the public key 
+   * and the chain code. It derives the same non-hardened children as the 
+   * HDNode, so addresses can be derived without holding the private keys.
+   *
+   * @returns {HDNode} The neutered HDNode.
+   * @throws {Error} If the HDNode is not initialized.
+   */
+  public neuter(): HDNode {
+    if (!this.node) {
+      ErrorUtils.throwError("HDNode not initialized", ErrorCode.NOT_INITIALIZED);
+    }
+
+    return HDNode.fromExtendedKey(this.node.publicExtendedKey);
+  }
+
+  /**
+   * Retrieves the MOI address associated with the HDNode, which is the 
+   * compressed public key without its prefix byte.
+   *
+   * @returns {string} The address as a hex string.
+   * @throws {Error} If the HDNode is not initialized.
+   */
+  public address(): string {
+    return "0x" + bytesToHex(this.publicKey().subarray(1));
+  }
 }
@@ -1 +1,2 @@
 export * from "./hdnode";
+export * from "./ed25519-hdnode";
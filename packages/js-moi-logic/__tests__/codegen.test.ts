@@ -0,0 +1,67 @@
+import { stringify } from "yaml";
+
+import type { LogicManifest } from "js-moi-manifest";
+import { loadManifestFromFile } from "js-moi-manifest/__tests__/utils/helper";
+import { generateLogicModule } from "../src.ts/codegen";
+
+describe("Logic Module Generation", () => {
+    let tokenLedger: LogicManifest.Manifest;
+    let guardian: LogicManifest.Manifest;
+
+    beforeAll(async () => {
+        tokenLedger = await loadManifestFromFile("../../manifests/tokenledger.json");
+        guardian = await loadManifestFromFile("../../manifests/guardian.json");
+    });
+
+    it("should generate the typed routines", () => {
+        const source = generateLogicModule(tokenLedger, { name: "TokenLedger" });
+
+        expect(source).toContain("export type TokenLedgerRoutines = {");
+        expect(source).toContain("    BalanceOf: (addr: string | Uint8Array) => Promise<moi.LogicIxResult<{ balance: number | bigint }>>;");
+        expect(source).toContain("    Transfer: (amount: number | bigint, receiver: string | Uint8Array) => Promise<moi.InteractionResponse>;");
+        expect(source).not.toContain("Seed:");
+    });
+
+    it("should generate the interfaces of the events", () => {
+        const source = generateLogicModule(tokenLedger, { name: "TokenLedger" });
+
+        expect(source).toContain("export interface TransferEvent {\n    sender: Uint8Array;\n    receiver: Uint8Array;\n    amount: number | bigint;\n}");
+        expect(source).toContain("export type TokenLedgerEvents = {\n    Transfer: TransferEvent;\n};");
+    });
+
+    it("should generate the interfaces of the classes", () => {
+        const source = generateLogicModule(guardian, { name: "Guardian" });
+
+        expect(source).toContain("export interface Operator {\n    Identifier: string;\n    Verification: VerifyProof;\n    Guardians: string[];\n}");
+        expect(source).toContain("    AddIncentives: (incentiveIDs: string[], incentiveAmounts: (number | bigint)[]) => Promise<moi.InteractionResponse>;");
+    });
+
+    it("should generate the persistent state accessors", () => {
+        const source = generateLogicModule(guardian, { name: "Guardian" });
+
+        expect(source).toContain("    KnownGuardians: (index: number) => Promise<string>;");
+        expect(source).toContain("    Administrators: (key: Uint8Array) => Promise<boolean>;");
+        expect(source).toContain("    MasterOperator: <K extends \"MOIID\" | \"Wallet\" | \"PubKey\">(field: K) => Promise<Master[K]>;");
+        expect(source).toContain("        Guardians: (key, field) => driver.persistentState.get((builder) => builder.entity(\"Guardians\").property(key).field(field)),");
+    });
+
+    it("should generate the typed logic driver factory", () => {
+        const source = generateLogicModule(tokenLedger, { name: "TokenLedger", module: "js-moi-logic" });
+
+        expect(source).toContain("import * as moi from \"js-moi-logic\";");
+        expect(source).toContain("export interface TokenLedgerLogicDriver extends moi.LogicDriver<TokenLedgerRoutines, TokenLedgerEvents> {");
+        expect(source).toContain("export const getTokenLedgerLogicDriver = async (logicId: string, signer: moi.Signer, options?: moi.Options): Promise<TokenLedgerLogicDriver> => {");
+    });
+
+    it("should generate the same module from a JSON or YAML manifest", () => {
+        const source = generateLogicModule(tokenLedger, { name: "TokenLedger" });
+
+        expect(generateLogicModule(JSON.stringify(tokenLedger), { name: "TokenLedger" })).toBe(source);
+        expect(generateLogicModule(stringify(tokenLedger), { name: "TokenLedger" })).toBe(source);
+    });
+
+    it("should throw an error for an invalid name or manifest", () => {
+        expect(() => generateLogicModule(tokenLedger, { name: "Token Ledger" })).toThrow("Name must be a valid identifier");
+        expect(() => generateLogicModule("syntax: 1", { name: "TokenLedger" })).toThrow("Invalid logic manifest");
+    });
+});
@@ -0,0 +1,145 @@
+import type { LogicManifest } from "js-moi-manifest";
+import { loadManifestFromFile } from "js-moi-manifest/__tests__/utils/helper";
+import { JsonRpcProvider, WebsocketProvider, type Log } from "js-moi-providers";
+import { w3cwebsocket as Websocket } from "js-moi-providers/__tests__/utils/websocket";
+import { VoidSigner } from "js-moi-signer";
+import { topicHash } from "js-moi-utils";
+
+import { LogicDriver } from "../src.ts/logic-driver";
+
+jest.mock("websocket", () => require("js-moi-providers/__tests__/utils/websocket"));
+
+const LOGIC_ID = "0x0800007d70c34ed6ec4384c75d469894052647a078b33ac0f08db0d3751c1fce29a49a";
+const LOGIC_ADDRESS = "0x7d70c34ed6ec4384c75d469894052647a078b33ac0f08db0d3751c1fce29a49a";
+const SENDER = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+const TRANSFER_LOG_DATA =
+    "0x0daf010665860185029606f506616d6f756e740364726563656976657206190f39fcf346ba3260518669495f5d368a8d1bb8023584f67e8a5671cf3c56ce73656e64657206b90f39fcf346ba3260518669495f5d368a8d1bb8023584f67e8a5671cf3c56ce";
+
+type TokenLedgerEvents = {
+    Transfer: { sender: Uint8Array; receiver: Uint8Array; amount: number | bigint };
+};
+
+const createLog = (topics: string[], address = LOGIC_ADDRESS): Log => {
+    return {
+        address,
+        topics,
+        data: TRANSFER_LOG_DATA,
+        ix_hash: "0x00",
+        ts_hash: "0x00",
+        participants: [],
+    };
+};
+
+describe("Logic Events", () => {
+    let manifest: LogicManifest.Manifest;
+    let provider: JsonRpcProvider;
+    let logic: LogicDriver<any, TokenLedgerEvents>;
+
+    beforeAll(async () => {
+        manifest = await loadManifestFromFile("../../manifests/tokenledger.json");
+
+        provider = new JsonRpcProvider("http://localhost:1600");
+        logic = new LogicDriver(LOGIC_ID, manifest, new VoidSigner(SENDER, provider));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe("parseLog", () => {
+        it("should decode a log of an event of the manifest", () => {
+            const log = createLog([topicHash("Transfer")]);
+            const event = logic.events.parseLog(log);
+
+            expect(event).toEqual({
+                name: "Transfer",
+                data: {
+                    amount: expect.any(Number),
+                    receiver: expect.any(Uint8Array),
+                    sender: expect.any(Uint8Array),
+                },
+                log,
+            });
+        });
+
+        it("should return null for a log which does not match an event", () => {
+            expect(logic.events.parseLog(createLog([topicHash("Approval")]))).toBeNull();
+            expect(logic.events.parseLog(createLog([]))).toBeNull();
+        });
+
+        it("should return null for a log of another logic", () => {
+            expect(logic.events.parseLog(createLog([topicHash("Transfer")], SENDER))).toBeNull();
+        });
+    });
+
+    describe("queryEvents", () => {
+        it("should query the logs of the logic and decode the events", async () => {
+            const getLogs = jest.spyOn(provider, "getLogs").mockResolvedValue([
+                createLog([topicHash("Transfer")]),
+                createLog([topicHash("builtin.Log")]),
+            ]);
+
+            const events = await logic.events.queryEvents("Transfer", { height: [0, 10] });
+
+            expect(getLogs).toHaveBeenCalledWith({
+                address: LOGIC_ADDRESS,
+                height: [0, 10],
+                topics: [["Transfer"]],
+            });
+            expect(events).toHaveLength(1);
+            expect(events[0].name).toBe("Transfer");
+            expect(events[0].data.receiver).toBeInstanceOf(Uint8Array);
+        });
+
+        it("should throw an error for an event which is not in the manifest", async () => {
+            // @ts-expect-error - the event is not in the event map
+            await expect(logic.events.queryEvents("Approval", { height: [0, 10] })).rejects.toThrow("Event Approval not found in manifest");
+        });
+    });
+
+    describe("on", () => {
+        it("should throw an error if the provider is not a websocket provider", () => {
+            expect(() => logic.events.on("Transfer", () => {})).toThrow("Listening to logic events requires a websocket provider");
+        });
+
+        it("should decode the logs of the subscription and cancel it once the listener is removed", async () => {
+            const until = async (condition: () => boolean, timeout = 5000) => {
+                const deadline = Date.now() + timeout;
+
+                while (!condition()) {
+                    if (Date.now() > deadline) {
+                        throw new Error(`condition not met within ${timeout}ms`);
+                    }
+
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                }
+            };
+
+            Websocket.reset();
+            Websocket.responder = ({ method }) => method === "moi.subscribe" ? "0x01" : true;
+
+            const wsProvider = new WebsocketProvider("ws://localhost:1600/ws");
+            const ws = Websocket.instances[0];
+            const wsLogic = new LogicDriver<any, TokenLedgerEvents>(LOGIC_ID, manifest, new VoidSigner(SENDER, wsProvider));
+            const listener = jest.fn();
+
+            wsLogic.events.on("Transfer", listener);
+            await until(() => wsProvider.listenerCount("message") > 0);
+
+            expect(ws.sent[0]).toMatchObject({
+                method: "moi.subscribe",
+                params: ["newLogs", { address: LOGIC_ADDRESS, topics: [[topicHash("Transfer")]] }],
+            });
+
+            ws.receive({ jsonrpc: "2.0", method: "moi.subscription", params: { subscription: "0x01", result: createLog([topicHash("Transfer")]) } });
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({ name: "Transfer" }));
+
+            wsLogic.events.off("Transfer", listener);
+            await until(() => ws.sent.length === 2);
+
+            expect(ws.sent.map((request) => request.method)).toEqual(["moi.subscribe", "moi.unsubscribe"]);
+            expect(wsProvider.listenerCount("message")).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,453 @@
+import { isArray, isMap, isPrimitiveType, Schema, type LogicManifest } from "js-moi-manifest";
+import { ErrorCode, ErrorUtils } from "js-moi-utils";
+import { parse } from "yaml";
+
+import type { LogicModuleOptions } from "../types/codegen";
+
+const DEFAULT_SDK_MODULE = "js-moi-sdk";
+
+const CLASS_TYPE_PREFIX = "class.";
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+const RESERVED_WORDS = new Set([
+    "break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete",
+    "do", "else", "enum", "export", "extends", "false", "finally", "for", "function", "if",
+    "import", "in", "instanceof", "new", "null", "return", "super", "switch", "this", "throw",
+    "true", "try", "typeof", "var", "void", "while", "with", "yield", "let", "static",
+    "implements", "interface", "package", "private", "protected", "public", "await",
+]);
+
+/**
+ * Describes how the values of a type are passed to or returned from a logic.
+ *
+ * - `input`: the arguments of a routine, which also accept hex encoded bytes.
+ * - `output`: the values decoded from the outputs, events and state of a logic.
+ * - `key`: the keys used to access the maps of the persistent state.
+ */
+type TypeUsage = "input" | "output" | "key";
+
+/**
+ * Represents a single step of the access path of a persistent state entity,
+ * along with the parameter that supplies its value.
+ */
+interface AccessStep {
+    accessor: "at" | "property";
+    type: string;
+}
+
+/**
+ * Returns the key of a property, quoting it if it is not a valid identifier.
+ *
+ * @param {string} name - The name of the property.
+ * @returns {string} The property key.
+ */
+const toPropertyKey = (name: string): string => {
+    return IDENTIFIER_REGEX.test(name) ? name : JSON.stringify(name);
+};
+
+/**
+ * Returns a parameter name for the label of a type field, falling back to
+ * the slot of the field if the label is not a valid identifier.
+ *
+ * @param {LogicManifest.TypeField} field - The type field.
+ * @returns {string} The parameter name.
+ */
+const toParameterName = (field: LogicManifest.TypeField): string => {
+    if (IDENTIFIER_REGEX.test(field.label) && !RESERVED_WORDS.has(field.label)) {
+        return field.label;
+    }
+
+    return `arg${field.slot}`;
+};
+
+/**
+ * Returns the parameter names of the steps of an access path, which are
+ * numbered if the path has more than a single step.
+ *
+ * @param {AccessStep[]} steps - The steps of the access path.
+ * @returns {string[]} The parameter names.
+ */
+const toParameterNames = (steps: AccessStep[]): string[] => {
+    return steps.map((step, index) => {
+        const name = step.accessor === "at" ? "index" : "key";
+        return steps.length > 1 ? `${name}${index}` : name;
+    });
+};
+
+/**
+ * Returns the name of the interface generated for a class of the manifest.
+ *
+ * @param {string} type - The class type, such as `class.Person`.
+ * @returns {string} The interface name.
+ */
+const toClassName = (type: string): string => {
+    return type.slice(CLASS_TYPE_PREFIX.length);
+};
+
+/**
+ * Wraps a union type in parentheses, so that it can be used as the element
+ * type of an array.
+ *
+ * @param {string} type - The TypeScript type.
+ * @returns {string} The wrapped type.
+ */
+const wrapUnion = (type: string): string => {
+    return type.includes("|") ? `(${type})` : type;
+};
+
+/**
+ * Parses a manifest given as a JSON or YAML string.
+ *
+ * @param {LogicManifest.Manifest | string} manifest - The logic manifest.
+ * @returns {LogicManifest.Manifest} The parsed manifest.
+ * @throws {Error} if the manifest has no elements.
+ */
+const parseManifest = (manifest: LogicManifest.Manifest | string): LogicManifest.Manifest => {
+    const parsed: LogicManifest.Manifest = typeof manifest === "string" ? parse(manifest) : manifest;
+
+    if (parsed == null || !Array.isArray(parsed.elements)) {
+        ErrorUtils.throwError("Invalid logic manifest", ErrorCode.INVALID_ARGUMENT);
+    }
+
+    return parsed;
+};
+
+/**
+ * Generates the source of a TypeScript module from a logic manifest, one
+ * section at a time. The manifest types are mapped to the TypeScript types
+ * of the values the SDK encodes and decodes.
+ */
+class LogicModuleGenerator {
+    private readonly name: string;
+    private readonly module: string;
+    private readonly elements: LogicManifest.Element[];
+    private readonly classes = new Map<string, LogicManifest.Class>();
+
+    constructor(manifest: LogicManifest.Manifest, options: LogicModuleOptions) {
+        this.name = options.name;
+        this.module = options.module ?? DEFAULT_SDK_MODULE;
+        this.elements = manifest.elements;
+
+        for (const element of this.elements) {
+            if (element.kind === "class") {
+                const data = element.data as LogicManifest.Class;
+                this.classes.set(CLASS_TYPE_PREFIX + data.name, data);
+            }
+        }
+    }
+
+    /**
+     * Returns the data of all elements of the given kind.
+     *
+     * @param {string} kind - The element kind.
+     * @returns {T[]} The data of the elements.
+     */
+    private getElements<T extends LogicManifest.ElementKind>(kind: string): T[] {
+        return this.elements.filter((element) => element.kind === kind).map((element) => element.data as T);
+    }
+
+    /**
+     * Converts a manifest type to a TypeScript type.
+     *
+     * @param {string} type - The manifest type.
+     * @param {TypeUsage} usage - The usage of the values of the type.
+     * @returns {string} The TypeScript type.
+     * @throws {Error} if the type is not supported.
+     */
+    private toType(type: string, usage: TypeUsage): string {
+        switch (true) {
+            case isPrimitiveType(type):
+                switch (type) {
+                    case "null":
+                        return "null";
+                    case "bool":
+                        return "boolean";
+                    case "string":
+                        return "string";
+                    case "bytes":
+                    case "address":
+                        return usage === "input" ? "string | Uint8Array" : "Uint8Array";
+                    default:
+                        return usage === "key" ? "number" : "number | bigint";
+                }
+            case isArray(type):
+                return `${wrapUnion(this.toType(Schema.extractArrayDataType(type), usage))}[]`;
+            case isMap(type): {
+                const [key, value] = Schema.extractMapDataType(type);
+                return `Map<${this.toType(key, usage)}, ${this.toType(value, usage)}>`;
+            }
+            case this.classes.has(type):
+                return toClassName(type);
+            default:
+                ErrorUtils.throwError(`Unsupported data type: ${type}!`, ErrorCode.UNSUPPORTED_OPERATION);
+        }
+    }
+
+    /**
+     * Generates the members of an object type for the given type fields.
+     *
+     * @param {LogicManifest.TypeField[]} fields - The type fields.
+     * @returns {string[]} The lines of the members.
+     */
+    private toMembers(fields: LogicManifest.TypeField[]): string[] {
+        return fields.map((field) => `    ${toPropertyKey(field.label)}: ${this.toType(field.type, "output")};`);
+    }
+
+    /**
+     * Generates the import of the SDK, as a namespace so that the generated
+     * names cannot clash with the names of the SDK.
+     */
+    private generateImports(): string[] {
+        return [`import * as moi from ${JSON.stringify(this.module)};`];
+    }
+
+    /**
+     * Generates an interface for each class of the manifest.
+     */
+    private generateClasses(): string[] {
+        return [...this.classes.values()].flatMap((data) => [
+            `export interface ${data.name} {`,
+            ...this.toMembers(data.fields ?? []),
+            "}",
+            "",
+        ]);
+    }
+
+    /**
+     * Generates an interface for each event of the manifest, and the map of
+     * the events by their name.
+     */
+    private generateEvents(): string[] {
+        const events = this.getElements<LogicManifest.Event>("event");
+
+        const lines = events.flatMap((event) => [
+            `export interface ${event.name}Event {`,
+            ...this.toMembers(event.fields ?? []),
+            "}",
+            "",
+        ]);
+
+        if (events.length === 0) {
+            return [...lines, `export type ${this.name}Events = {};`, ""];
+        }
+
+        return [
+            ...lines,
+            `export type ${this.name}Events = {`,
+            ...events.map((event) => `    ${toPropertyKey(event.name)}: ${event.name}Event;`),
+            "};",
+            "",
+        ];
+    }
+
+    /**
+     * Generates the routine map of the logic driver. Mutating routines resolve
+     * to the interaction response, while read-only routines resolve to their
+     * decoded output.
+     */
+    private generateRoutines(): string[] {
+        const routines = this.getElements<LogicManifest.Routine>("routine")
+            .filter((routine) => ["invoke", "enlist"].includes(routine.kind));
+
+        const lines = routines.map((routine) => {
+            const params = (routine.accepts ?? [])
+                .map((field) => `${toParameterName(field)}: ${this.toType(field.type, "input")}`)
+                .join(", ");
+
+            const mutable = ["persistent", "ephemeral"].includes(routine.mode);
+            const output = routine.returns?.length
+                ? `{ ${routine.returns.map((field) => `${toPropertyKey(field.label)}: ${this.toType(field.type, "output")}`).join("; ")} }`
+                : "null";
+            const result = mutable ? "moi.InteractionResponse" : `moi.LogicIxResult<${output}>`;
+
+            return `    ${toPropertyKey(routine.name)}: (${params}) => Promise<${result}>;`;
+        });
+
+        return [`export type ${this.name}Routines = {`, ...lines, "};", ""];
+    }
+
+    /**
+     * Returns the persistent state fields which can be read through an
+     * accessor, along with the steps to access their value. The access path
+     * of a field follows its arrays and maps until it reaches a primitive
+     * value or a class, of which only the primitive fields can be read.
+     */
+    private getStateEntities(): Array<{ field: LogicManifest.TypeField; steps: AccessStep[]; type: string }> {
+        const state = this.getElements<LogicManifest.State>("state").find((state) => state.mode === "persistent");
+
+        return (state?.fields ?? []).flatMap((field) => {
+            const steps: AccessStep[] = [];
+            let type = field.type;
+
+            while (isArray(type) || isMap(type)) {
+                if (isArray(type)) {
+                    steps.push({ accessor: "at", type: "u64" });
+                    type = Schema.extractArrayDataType(type);
+                    continue;
+                }
+
+                const [key, value] = Schema.extractMapDataType(type);
+                steps.push({ accessor: "property", type: key });
+                type = value;
+            }
+
+            if (this.classes.has(type) && this.getPrimitiveFields(type).length === 0) {
+                return [];
+            }
+
+            return [{ field, steps, type }];
+        });
+    }
+
+    /**
+     * Returns the labels of the primitive fields of a class.
+     *
+     * @param {string} type - The class type.
+     * @returns {string[]} The labels of the fields.
+     */
+    private getPrimitiveFields(type: string): string[] {
+        return (this.classes.get(type).fields ?? [])
+            .filter((field) => isPrimitiveType(field.type))
+            .map((field) => field.label);
+    }
+
+    /**
+     * Generates the interface of the persistent state accessors. The accessor
+     * of a field takes the index of each array, the key of each map and the
+     * field of the class on its access path.
+     */
+    private generateState(): string[] {
+        const entities = this.getStateEntities();
+
+        if (entities.length === 0) {
+            return [];
+        }
+
+        const lines = entities.map(({ field, steps, type }) => {
+            const names = toParameterNames(steps);
+            const params = steps.map((step, index) => `${names[index]}: ${this.toType(step.type, "key")}`);
+
+            if (this.classes.has(type)) {
+                const labels = this.getPrimitiveFields(type).map((label) => JSON.stringify(label)).join(" | ");
+                params.push("field: K");
+
+                return `    ${toPropertyKey(field.label)}: <K extends ${labels}>(${params.join(", ")}) => Promise<${toClassName(type)}[K]>;`;
+            }
+
+            return `    ${toPropertyKey(field.label)}: (${params.join(", ")}) => Promise<${this.toType(type, "output")}>;`;
+        });
+
+        return [`export interface ${this.name}PersistentState {`, ...lines, "}", ""];
+    }
+
+    /**
+     * Generates the persistent state accessors, as properties of an object
+     * literal within the logic driver factory.
+     */
+    private generateStateAccessors(): string[] {
+        return this.getStateEntities().map(({ field, steps, type }) => {
+            const names = toParameterNames(steps);
+            const chain = steps.map((step, index) => `.${step.accessor}(${names[index]})`).join("");
+
+            if (this.classes.has(type)) {
+                names.push("field");
+            }
+
+            const access = `builder.entity(${JSON.stringify(field.label)})${chain}${this.classes.has(type) ? ".field(field)" : ""}`;
+
+            return `        ${toPropertyKey(field.label)}: (${names.join(", ")}) => driver.persistentState.get((builder) => ${access}),`;
+        });
+    }
+
+    /**
+     * Generates the type of the logic driver, with the typed routines and
+     * events, and its factory, which attaches the persistent state accessors
+     * to the driver under `state`.
+     */
+    private generateDriver(): string[] {
+        const hasState = this.getStateEntities().length > 0;
+        const driver = `${this.name}LogicDriver`;
+
+        const lines = hasState
+            ? [
+                `export interface ${driver} extends moi.LogicDriver<${this.name}Routines, ${this.name}Events> {`,
+                `    readonly state: ${this.name}PersistentState;`,
+                "}",
+            ]
+            : [`export type ${driver} = moi.LogicDriver<${this.name}Routines, ${this.name}Events>;`];
+
+        lines.push(
+            "",
+            `export const get${driver} = async (logicId: string, signer: moi.Signer, options?: moi.Options): Promise<${driver}> => {`,
+            `    const driver = await moi.getLogicDriver<${this.name}Routines, ${this.name}Events>(logicId, signer, options);`,
+        );
+
+        if (!hasState) {
+            lines.push("", "    return driver;", "};", "");
+            return lines;
+        }
+
+        lines.push(
+            `    const state: ${this.name}PersistentState = {`,
+            ...this.generateStateAccessors(),
+            "    };",
+            "",
+            "    return Object.assign(driver, { state });",
+            "};",
+            "",
+        );
+
+        return lines;
+    }
+
+    /**
+     * Generates the source of the module.
+     *
+     * @returns {string} The source code.
+     */
+    public generate(): string {
+        return [
+            "// Code generated by js-moi-logic from the logic manifest. DO NOT EDIT.",
+            "",
+            ...this.generateImports(),
+            "",
+            ...this.generateClasses(),
+            ...this.generateEvents(),
+            ...this.generateRoutines(),
+            ...this.generateState(),
+            ...this.generateDriver(),
+        ].join("\n");
+    }
+}
+
+/**
+ * Generates a TypeScript module with the types of a logic from its manifest.
+ *
+ * The module declares an interface for each class and event of the logic,
+ * the routine map for `LogicDriver`, typed accessors for the persistent
+ * state and a `get<Name>LogicDriver` factory returning the typed logic driver.
+ *
+ * @param {LogicManifest.Manifest | string} manifest - The logic manifest,
+ * either as an object or as a JSON or YAML string.
+ * @param {LogicModuleOptions} options - The name of the logic and the module
+ * to import the SDK from.
+ * @returns {string} The source code of the TypeScript module.
+ * @throws {Error} if the manifest or the name is invalid, or the manifest
+ * contains an unsupported type.
+ *
+ * @example
+ * const source = generateLogicModule(manifest, { name: "TokenLedger" });
+ * await fs.writeFile("token-ledger.ts", source);
+ *
+ * // in the generated module
+ * const logic = await getTokenLedgerLogicDriver(logicId, wallet);
+ * const symbol = await logic.state.Symbol();
+ */
+export const generateLogicModule = (manifest: LogicManifest.Manifest | string, options: LogicModuleOptions): string => {
+    if (!IDENTIFIER_REGEX.test(options?.name ?? "")) {
+        ErrorUtils.throwArgumentError("Name must be a valid identifier", "name", options?.name);
+    }
+
+    return new LogicModuleGenerator(parseManifest(manifest), options).generate();
+};
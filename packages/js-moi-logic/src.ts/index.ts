@@ -1,4 +1,8 @@
+export type * from "../types/codegen";
+export type * from "../types/events";
+export type * from "../types/interaction";
 export type * from "../types/logic";
+export * from "./codegen";
 export * from "./logic-driver";
 export * from "./logic-factory";
 export * from "./logic-id";
@@ -213,8 +213,11 @@ export abstract class LogicBase extends ElementDescriptor {
         }
 
         ixObject.send = async (): Promise<InteractionResponse> => {
-            option.fuelLimit = option.fuelLimit ?? await ixObject.estimateFuel();
-            option.fuelPrice = option.fuelPrice ?? DEFAULT_FUEL_PRICE;  
+            // The fuel policy of the signer fills in the missing fuel
+            if (this.signer?.fuelPolicy == null) {
+                option.fuelLimit = option.fuelLimit ?? await ixObject.estimateFuel();
+                option.fuelPrice = option.fuelPrice ?? DEFAULT_FUEL_PRICE;
+            }
 
             return this.executeRoutine(ixObject, "send", option) as Promise<InteractionResponse>
         }
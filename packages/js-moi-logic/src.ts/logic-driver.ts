@@ -5,21 +5,24 @@ import { ErrorCode, ErrorUtils, defineReadOnly } from "js-moi-utils";
 import { LogicIxObject, LogicIxResponse, LogicIxResult } from "../types/interaction";
 import { Routines } from "../types/logic";
 import { LogicDescriptor } from "./logic-descriptor";
+import { LogicEvents } from "./logic-events";
 import { RoutineOption } from "./routine-options";
 import { EphemeralState, PersistentState } from "./state";
 
 /**
  * Represents a logic driver that serves as an interface for interacting with logics.
  */
-export class LogicDriver<T extends Record<string, (...args: any) => any> = any> extends LogicDescriptor {
+export class LogicDriver<T extends Record<string, (...args: any) => any> = any, E extends Record<string, any> = any> extends LogicDescriptor {
     public readonly routines: Routines<T> = {} as Routines<T>;
     public readonly persistentState: PersistentState;
     public readonly ephemeralState: EphemeralState;
+    public readonly events: LogicEvents<E>;
 
     constructor(logicId: string, manifest: LogicManifest.Manifest, arg: Signer) {
         super(logicId, manifest, arg)
         this.createState();
         this.createRoutines();
+        defineReadOnly(this, "events", new LogicEvents<E>(this, this.provider));
     }
 
     /**
@@ -161,7 +164,7 @@ export class LogicDriver<T extends Record<string, (...args: any) => any> = any>
  * 
  * @returns {Promise<LogicDriver>} A promise that resolves to a LogicDriver instance.
  */
-export const getLogicDriver = async <T extends Record<string, (...args: any) => any>>(logicId: string, signer: Signer, options?: Options): Promise<LogicDriver<T>> => {
+export const getLogicDriver = async <T extends Record<string, (...args: any) => any>, E extends Record<string, any> = any>(logicId: string, signer: Signer, options?: Options): Promise<LogicDriver<T, E>> => {
     const manifest = await signer.getProvider().getLogicManifest(logicId, "JSON", options);
 
     if (typeof manifest !== "object") {
@@ -171,5 +174,5 @@ export const getLogicDriver = async <T extends Record<string, (...args: any) =>
         );
     }
 
-    return new LogicDriver<T>(logicId, manifest, signer);
+    return new LogicDriver<T, E>(logicId, manifest, signer);
 }
\ No newline at end of file
@@ -0,0 +1,195 @@
+import { ManifestCoder } from "js-moi-manifest";
+import { WebSocketEvent, WebsocketProvider, type AbstractProvider, type Log, type LogFilter } from "js-moi-providers";
+import { ErrorCode, ErrorUtils, topicHash, trimHexPrefix } from "js-moi-utils";
+
+import type { LogicEvent, LogicEventFilter, LogicEventOf } from "../types/events";
+import type { LogicDriver } from "./logic-driver";
+
+/**
+ * Represents a listener of a logic event, along with the log subscription
+ * and the log listener which decodes the events for it.
+ */
+interface EventSubscription {
+    name: string;
+    listener: (event: LogicEvent) => void;
+    event: { event: WebSocketEvent.NewLog; params: LogFilter };
+    logListener: (log: Log) => void;
+}
+
+/**
+ * Normalizes a hex string for comparison, by removing its prefix and
+ * converting it to lower case.
+ *
+ * @param {string} value - The hex string.
+ * @returns {string} The normalized hex string.
+ */
+const normalizeHex = (value: string): string => {
+    return trimHexPrefix(value ?? "").toLowerCase();
+};
+
+/**
+ * Represents the events of a logic. Decodes the logs emitted by the logic
+ * into named events, by matching the first topic of a log against the topic
+ * hash of each event in the manifest.
+ */
+export class LogicEvents<E extends Record<string, any> = any> {
+    private address: string | null;
+    private provider: AbstractProvider;
+    private manifestCoder: ManifestCoder;
+    private topics = new Map<string, string>();
+    private subscriptions: EventSubscription[] = [];
+
+    constructor(logic: LogicDriver, provider: AbstractProvider) {
+        const address = logic.getLogicId().getAddress();
+
+        this.address = address != null ? "0x" + address : null;
+        this.provider = provider;
+        this.manifestCoder = new ManifestCoder(logic.getManifest());
+
+        for (const name of logic.getEvents().keys()) {
+            this.topics.set(normalizeHex(topicHash(name)), name);
+        }
+    }
+
+    /**
+     * Returns the address of the logic, which the logs are queried for.
+     *
+     * @returns {string} The address of the logic.
+     * @throws {Error} if the logic id has no address.
+     */
+    private getAddress(): string {
+        if (this.address == null) {
+            ErrorUtils.throwError("Logic id has no address to query the events for", ErrorCode.NOT_INITIALIZED);
+        }
+
+        return this.address;
+    }
+
+    /**
+     * Checks if the event is defined in the manifest of the logic.
+     *
+     * @param {string} name - The name of the event.
+     * @throws {Error} if the event is not defined.
+     */
+    private checkEvent(name: string): void {
+        if (![...this.topics.values()].includes(name)) {
+            ErrorUtils.throwArgumentError(`Event ${name} not found in manifest`, "name", name);
+        }
+    }
+
+    /**
+     * Decodes a log emitted by the logic into an event.
+     *
+     * @param {Log} log - The log, as returned by `getLogs` or a `newLogs`
+     * subscription.
+     * @returns {LogicEventOf<E> | null} The decoded event, or null if the log
+     * is not emitted by the logic or does not match any event of the manifest.
+     * @throws {Error} if the data of the log cannot be decoded.
+     */
+    public parseLog(log: Log): LogicEventOf<E> | null {
+        if (log?.topics == null || log.topics.length === 0) {
+            return null;
+        }
+
+        if (this.address != null && log.address != null && normalizeHex(log.address) !== normalizeHex(this.address)) {
+            return null;
+        }
+
+        const name = this.topics.get(normalizeHex(log.topics[0]));
+
+        if (name == null) {
+            return null;
+        }
+
+        const data = this.manifestCoder.decodeEventOutput(name, log.data);
+
+        return { name, data, log } as LogicEventOf<E>;
+    }
+
+    /**
+     * Retrieves the events with the given name emitted by the logic within
+     * the height range of the filter.
+     *
+     * @param {K} name - The name of the event.
+     * @param {LogicEventFilter} filter - The height range and the topics
+     * following the event topic.
+     * @returns {Promise<LogicEvent<E[K], K>[]>} A Promise that resolves to the
+     * decoded events.
+     * @throws {Error} if the event is not defined, the logic id has no address
+     * or the provider fails to retrieve the logs.
+     */
+    public async queryEvents<K extends keyof E & string>(name: K, filter: LogicEventFilter): Promise<LogicEvent<E[K], K>[]> {
+        this.checkEvent(name);
+
+        const logs = await this.provider.getLogs({
+            address: this.getAddress(),
+            height: filter.height,
+            topics: [[name], ...(filter.topics ?? [])],
+        });
+
+        return logs
+            .map((log) => this.parseLog(log))
+            .filter((event) => event?.name === name) as LogicEvent<E[K], K>[];
+    }
+
+    /**
+     * Listens to the events with the given name emitted by the logic, through
+     * a log subscription of the websocket provider.
+     *
+     * @param {K} name - The name of the event.
+     * @param {Function} listener - The callback function to be called with
+     * each decoded event.
+     * @returns {LogicEvents<E>} The logic events instance.
+     * @throws {Error} if the event is not defined, the logic id has no address
+     * or the provider is not a websocket provider.
+     */
+    public on<K extends keyof E & string>(name: K, listener: (event: LogicEvent<E[K], K>) => void): this {
+        this.checkEvent(name);
+
+        if (!(this.provider instanceof WebsocketProvider)) {
+            ErrorUtils.throwError("Listening to logic events requires a websocket provider", ErrorCode.UNSUPPORTED_OPERATION);
+        }
+
+        const subscription: EventSubscription = {
+            name,
+            listener,
+            event: {
+                event: WebSocketEvent.NewLog,
+                params: { address: this.getAddress(), height: [-1, -1], topics: [[name]] },
+            },
+            logListener: (log: Log) => {
+                const event = this.parseLog(log);
+
+                if (event?.name === name) {
+                    listener(event as LogicEvent<E[K], K>);
+                }
+            },
+        };
+
+        this.provider.on(subscription.event, subscription.logListener);
+        this.subscriptions.push(subscription);
+
+        return this;
+    }
+
+    /**
+     * Removes a listener of the events with the given name, and the log
+     * subscription it was listening through.
+     *
+     * @param {K} name - The name of the event.
+     * @param {Function} listener - The listener to remove.
+     * @returns {LogicEvents<E>} The logic events instance.
+     */
+    public off<K extends keyof E & string>(name: K, listener: (event: LogicEvent<E[K], K>) => void): this {
+        const index = this.subscriptions.findIndex((sub) => sub.name === name && sub.listener === listener);
+
+        if (index === -1) {
+            return this;
+        }
+
+        const [subscription] = this.subscriptions.splice(index, 1);
+        (this.provider as WebsocketProvider).removeListener(subscription.event, subscription.logListener);
+
+        return this;
+    }
+}
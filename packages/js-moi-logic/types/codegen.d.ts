@@ -0,0 +1,11 @@
+export interface LogicModuleOptions {
+    /**
+     * The name of the logic, used as the prefix of the generated types and
+     * of the logic driver factory, such as `TokenLedger`.
+     */
+    name: string;
+    /**
+     * The module the generated code imports the SDK from, `js-moi-sdk` by default.
+     */
+    module?: string;
+}
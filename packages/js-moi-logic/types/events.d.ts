@@ -0,0 +1,41 @@
+import type { Log, LogFilter } from "js-moi-providers";
+
+/**
+ * An event emitted by a logic, decoded from a log.
+ */
+export interface LogicEvent<T = any, K extends string = string> {
+    /**
+     * The name of the event in the manifest.
+     */
+    name: K;
+    /**
+     * The decoded fields of the event, or null if the log has no data.
+     */
+    data: T | null;
+    /**
+     * The log the event is decoded from.
+     */
+    log: Log;
+}
+
+/**
+ * The union of the events of an event map, keyed by the event name.
+ */
+export type LogicEventOf<E extends Record<string, any>> = {
+    [K in keyof E & string]: LogicEvent<E[K], K>;
+}[keyof E & string];
+
+/**
+ * The filter of the events queried from the logs of a logic.
+ */
+export interface LogicEventFilter {
+    /**
+     * The height range of the tesseracts to query the events in.
+     */
+    height: LogFilter["height"];
+    /**
+     * The topics following the event topic, each given as the values
+     * matched at its position. (optional)
+     */
+    topics?: string[][];
+}
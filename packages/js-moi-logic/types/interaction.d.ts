@@ -15,9 +15,9 @@ export interface LogicIxResponse extends InteractionResponse {
     routine_name: string;
 }
 
-export interface LogicIxResult {
+export interface LogicIxResult<T = any> {
     logic_id?: string;
-    output?: any;
+    output?: T;
     error: Exception | null
 }
 
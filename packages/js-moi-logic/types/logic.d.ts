@@ -9,6 +9,13 @@ export interface LogicIxRequest {
     unwrap: () => Promise<any>;
 }
 
+/**
+ * The result of a routine, which is the declared result if it is a promise,
+ * as for the routine maps generated from a manifest. Otherwise, the routine
+ * may also resolve to the interaction response of a mutating routine call.
+ */
+type RoutineResult<R> = R extends Promise<any> ? R : R | Promise<InteractionResponse>;
+
 export interface Routine<T extends (...args: any[]) => any> {
     /**
      * Executes the logic interaction request with the specified routine and arguments.
@@ -16,7 +23,7 @@ export interface Routine<T extends (...args: any[]) => any> {
      * @param {RoutineOption} option - The option for the logic interaction request.
      * @returns {Promise<any>} a promise that resolves to the result of the logic interaction request.
      */
-    (...args: [...Parameters<T>, option?: RoutineOption]): ReturnType<T> | Promise<InteractionResponse>;
+    (...args: [...Parameters<T>, option?: RoutineOption]): RoutineResult<ReturnType<T>>;
     isMutable: () => boolean;
     accepts: () => LogicManifest.TypeField[] | null;
     returns: () => LogicManifest.TypeField[] | null;
@@ -0,0 +1,56 @@
+import { CustomError, ErrorCode } from "js-moi-utils";
+
+import type { RpcResponse } from "../types/jsonrpc";
+import { BaseProvider } from "../src.ts/base-provider";
+import { RpcRequestError } from "../src.ts/errors";
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+
+class StubProvider extends BaseProvider {
+    public readonly transport = jest.fn<Promise<RpcResponse<any>>, [string, any]>();
+
+    protected execute<T>(method: string, params: any): Promise<RpcResponse<T>> {
+        return this.transport(method, params);
+    }
+}
+
+describe("RpcRequestError", () => {
+    it("should map the standard JSON-RPC error codes", () => {
+        expect(RpcRequestError({ code: -32601, message: "method not found", data: null }).code).toBe(ErrorCode.UNSUPPORTED_OPERATION);
+        expect(RpcRequestError({ code: -32602, message: "invalid params", data: null }).code).toBe(ErrorCode.INVALID_ARGUMENT);
+    });
+
+    it("should report any other error of the node as an RPC error", () => {
+        const error = RpcRequestError({ code: -32000, message: "invalid nonce", data: "0x01" }, "moi.SendInteractions", { nonce: 1 });
+
+        expect(error).toBeInstanceOf(CustomError);
+        expect(error.code).toBe(ErrorCode.RPC_ERROR);
+        expect(error.message).toBe("invalid nonce");
+        expect(error.params).toEqual({
+            rpcCode: -32000,
+            data: "0x01",
+            method: "moi.SendInteractions",
+            params: { nonce: 1 },
+        });
+    });
+
+    it("should be thrown by the provider for an error response", async () => {
+        const provider = new StubProvider();
+        provider.transport.mockResolvedValue({ jsonrpc: "2.0", id: 1, error: { code: -32000, message: "account not found", data: null } });
+
+        await expect(provider.getAccountMetaInfo(ADDRESS)).rejects.toMatchObject({
+            code: ErrorCode.RPC_ERROR,
+            message: "account not found",
+            params: { rpcCode: -32000, method: "moi.AccountMetaInfo" },
+        });
+    });
+});
+
+describe("Unsupported methods", () => {
+    it("should reject a fuel price suggestion without calling the node", async () => {
+        const provider = new StubProvider();
+
+        await expect(provider.getFuelPrice()).rejects.toMatchObject({ code: ErrorCode.UNSUPPORTED_OPERATION });
+        expect(provider.transport).not.toHaveBeenCalled();
+    });
+});
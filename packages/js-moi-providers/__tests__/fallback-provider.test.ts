@@ -0,0 +1,70 @@
+import { CustomError, ErrorCode } from "js-moi-utils";
+
+import { FallbackProvider } from "../src.ts/fallback-provider";
+import { JsonRpcProvider } from "../src.ts/jsonrpc-provider";
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+
+const networkError = (code: string) => new CustomError("Error: fetch failed", ErrorCode.NETWORK_ERROR, { code });
+const rpcError = () => new CustomError("interaction rejected", ErrorCode.RPC_ERROR, { rpcCode: -32000 });
+
+describe("FallbackProvider", () => {
+    let first: JsonRpcProvider;
+    let second: JsonRpcProvider;
+    let provider: FallbackProvider;
+
+    beforeEach(() => {
+        first = new JsonRpcProvider("http://node-1:1600");
+        second = new JsonRpcProvider("http://node-2:1600");
+        provider = new FallbackProvider([
+            { provider: first, priority: 0 },
+            { provider: second, priority: 1 },
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("should fail over a query on a network error", async () => {
+        jest.spyOn(first, "getInteractionCount").mockRejectedValue(networkError("ECONNRESET"));
+        jest.spyOn(second, "getInteractionCount").mockResolvedValue(4);
+
+        await expect(provider.getInteractionCount(ADDRESS)).resolves.toBe(4);
+    });
+
+    it("should not fail over an error returned by the node", async () => {
+        jest.spyOn(first, "getInteractionCount").mockRejectedValue(rpcError());
+        const fallback = jest.spyOn(second, "getInteractionCount").mockResolvedValue(4);
+
+        await expect(provider.getInteractionCount(ADDRESS)).rejects.toThrow("interaction rejected");
+        expect(fallback).not.toHaveBeenCalled();
+    });
+
+    it("should only fail over an interaction which was never delivered", async () => {
+        const response = { hash: "0x01" } as any;
+
+        jest.spyOn(first, "sendInteraction").mockRejectedValueOnce(networkError("ECONNREFUSED"));
+        const fallback = jest.spyOn(second, "sendInteraction").mockResolvedValue(response);
+
+        await expect(provider.sendInteraction({} as any)).resolves.toBe(response);
+        expect(fallback).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not resend an interaction which may have been delivered", async () => {
+        const fallback = jest.spyOn(second, "sendInteraction");
+
+        jest.spyOn(first, "sendInteraction").mockRejectedValueOnce(networkError("ECONNRESET"));
+        await expect(provider.sendInteraction({} as any)).rejects.toThrow("fetch failed");
+
+        jest.spyOn(first, "sendInteraction").mockRejectedValueOnce(rpcError());
+        await expect(provider.sendInteraction({} as any)).rejects.toThrow("interaction rejected");
+
+        jest.spyOn(first, "sendInteraction").mockRejectedValueOnce(
+            new CustomError("Error: internal", ErrorCode.SERVER_ERROR, { status: 500 })
+        );
+        await expect(provider.sendInteraction({} as any)).rejects.toThrow("internal");
+
+        expect(fallback).not.toHaveBeenCalled();
+    });
+});
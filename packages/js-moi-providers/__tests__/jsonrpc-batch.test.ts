@@ -0,0 +1,102 @@
+import { JsonRpcProvider } from "../src.ts/jsonrpc-provider";
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+
+const respond = (payload: any) => ({ jsonrpc: "2.0", id: payload.id, result: "0x" + payload.id.toString(16) });
+
+describe("JsonRpcProvider batching", () => {
+    let attempt: jest.SpyInstance;
+
+    beforeEach(() => {
+        attempt = jest.spyOn(JsonRpcProvider.prototype as any, "attempt").mockImplementation(async (body: any) => {
+            return Array.isArray(body) ? body.map(respond) : respond(body);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it("should merge the calls of the batched provider into a single request", async () => {
+        const provider = new JsonRpcProvider("http://localhost:1600");
+
+        const counts = await provider.batch((batch) => [
+            batch.getInteractionCount(ADDRESS),
+            batch.getInteractionCount(ADDRESS),
+        ]);
+
+        expect(attempt).toHaveBeenCalledTimes(1);
+        expect(attempt.mock.calls[0][0]).toHaveLength(2);
+        expect(counts).toEqual([1, 2]);
+    });
+
+    it("should not merge calls made outside of the batched provider", async () => {
+        const provider = new JsonRpcProvider("http://localhost:1600");
+
+        const [counts, count] = await Promise.all([
+            provider.batch((batch) => [
+                batch.getInteractionCount(ADDRESS),
+                batch.getInteractionCount(ADDRESS),
+            ]),
+            provider.getInteractionCount(ADDRESS),
+        ]);
+
+        expect(attempt).toHaveBeenCalledTimes(2);
+        expect(attempt.mock.calls.filter(([body]) => Array.isArray(body))).toHaveLength(1);
+        expect(counts).toHaveLength(2);
+        expect(count).toBeDefined();
+    });
+
+    it("should merge the calls made within the same tick when batching is enabled", async () => {
+        const provider = new JsonRpcProvider("http://localhost:1600", { batch: { maxSize: 2 } });
+
+        await Promise.all([
+            provider.getInteractionCount(ADDRESS),
+            provider.getInteractionCount(ADDRESS),
+            provider.getInteractionCount(ADDRESS),
+        ]);
+
+        expect(attempt).toHaveBeenCalledTimes(2);
+        expect(attempt.mock.calls[0][0]).toHaveLength(2);
+        expect(Array.isArray(attempt.mock.calls[1][0])).toBe(false);
+    });
+
+    it("should only merge the calls which send the same headers", async () => {
+        const provider = new JsonRpcProvider("http://localhost:1600");
+        const tenants = ["a", "b", "a"];
+
+        provider.use({
+            beforeRequest: (context) => {
+                context.headers["X-Tenant"] = tenants.shift()!;
+            },
+        });
+
+        await provider.batch((batch) => [
+            batch.getInteractionCount(ADDRESS),
+            batch.getInteractionCount(ADDRESS),
+            batch.getInteractionCount(ADDRESS),
+        ]);
+
+        expect(attempt).toHaveBeenCalledTimes(2);
+        expect(attempt.mock.calls.map(([body, headers]) => [body.length ?? 1, headers])).toEqual([
+            [2, { "X-Tenant": "a" }],
+            [1, { "X-Tenant": "b" }],
+        ]);
+    });
+
+    it("should reject only the calls whose response is an error", async () => {
+        attempt.mockImplementation(async (body: any[]) => [
+            respond(body[0]),
+            { jsonrpc: "2.0", id: body[1].id, error: { code: -32602, message: "invalid address" } },
+        ]);
+
+        const provider = new JsonRpcProvider("http://localhost:1600");
+        const [count, failed] = await provider.batch((batch) => [
+            batch.getInteractionCount(ADDRESS),
+            batch.getInteractionCount(ADDRESS).catch((error) => error),
+        ]);
+
+        expect(count).toBeDefined();
+        expect(failed.message).toBe("invalid address");
+    });
+});
@@ -0,0 +1,81 @@
+import type { RpcResponse } from "../types/jsonrpc";
+import type { RequestContext } from "../types/middleware";
+import { BaseProvider } from "../src.ts/base-provider";
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+
+class StubProvider extends BaseProvider {
+    public readonly transport = jest.fn<Promise<RpcResponse<any>>, [string, any, RequestContext?]>();
+
+    protected execute<T>(method: string, params: any, context?: RequestContext): Promise<RpcResponse<T>> {
+        return this.transport(method, params, context);
+    }
+}
+
+const result = (value: string): RpcResponse<string> => ({ jsonrpc: "2.0", id: 1, result: value });
+
+describe("Provider middleware", () => {
+    let provider: StubProvider;
+
+    beforeEach(() => {
+        provider = new StubProvider();
+        provider.transport.mockResolvedValue(result("0x1"));
+    });
+
+    it("should run the hooks around the request in order", async () => {
+        const calls: string[] = [];
+
+        provider
+            .use({
+                beforeRequest: () => { calls.push("before 1"); },
+                afterResponse: () => { calls.push("after 1"); },
+            })
+            .use({
+                beforeRequest: (context) => {
+                    calls.push("before 2");
+                    context.headers["Authorization"] = "Bearer token";
+                },
+                afterResponse: () => { calls.push("after 2"); },
+            });
+
+        await provider.getInteractionCount(ADDRESS);
+
+        expect(calls).toEqual(["before 1", "before 2", "after 2", "after 1"]);
+        expect(provider.transport.mock.calls[0][2]?.headers).toEqual({ Authorization: "Bearer token" });
+    });
+
+    it("should skip the request when a hook returns a response", async () => {
+        const afterResponse = jest.fn();
+
+        provider
+            .use({ beforeRequest: () => result("0x5"), afterResponse })
+            .use({ beforeRequest: () => { throw new Error("not reached"); } });
+
+        await expect(provider.getInteractionCount(ADDRESS)).resolves.toBe(5);
+        expect(provider.transport).not.toHaveBeenCalled();
+        expect(afterResponse).toHaveBeenCalledTimes(1);
+    });
+
+    it("should replace the response returned by the request", async () => {
+        provider.use({ afterResponse: () => result("0x7") });
+
+        await expect(provider.getInteractionCount(ADDRESS)).resolves.toBe(7);
+    });
+
+    it("should recover from an error of the request", async () => {
+        provider.transport.mockRejectedValue(new Error("connection refused"));
+        provider.use({ onError: (_, error) => (error as Error).message === "connection refused" ? result("0x3") : undefined });
+
+        await expect(provider.getInteractionCount(ADDRESS)).resolves.toBe(3);
+    });
+
+    it("should pass on an error no hook recovers from", async () => {
+        const onError = jest.fn();
+
+        provider.transport.mockRejectedValue(new Error("connection refused"));
+        provider.use({ onError });
+
+        await expect(provider.getInteractionCount(ADDRESS)).rejects.toThrow("connection refused");
+        expect(onError).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,134 @@
+import type { RpcResponse } from "../types/jsonrpc";
+import type { RequestContext } from "../types/middleware";
+import { BaseProvider } from "../src.ts/base-provider";
+import { LRUCacheStorage, ResponseCache } from "../src.ts/response-cache";
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+const LOGIC_ID = "0x0800007d70c34ed6ec4384c75d469894052647a078b33ac0f08db0d3751c1fce29a49a";
+const IX_HASH = "0x9c10a2b5cc5bbd16a8f0c8bde5b39d1b2bc2fcb2a4b8e8a0d0f1b6df5b2c4a11";
+
+class StubProvider extends BaseProvider {
+    public readonly transport = jest.fn<Promise<RpcResponse<any>>, [string, any, RequestContext?]>();
+
+    protected execute<T>(method: string, params: any, context?: RequestContext): Promise<RpcResponse<T>> {
+        return this.transport(method, params, context);
+    }
+}
+
+const respond = (result: unknown): RpcResponse<any> => ({ jsonrpc: "2.0", id: 1, result });
+
+describe("Response cache", () => {
+    describe("LRUCacheStorage", () => {
+        it("should evict the least recently used entry", () => {
+            const storage = new LRUCacheStorage(2);
+
+            storage.set("a", 1);
+            storage.set("b", 2);
+            storage.get("a");
+            storage.set("c", 3);
+
+            expect(storage.size).toBe(2);
+            expect(storage.get("a")).toBe(1);
+            expect(storage.get("b")).toBeUndefined();
+            expect(storage.get("c")).toBe(3);
+        });
+    });
+
+    describe("ResponseCache", () => {
+        let provider: StubProvider;
+        let cache: ResponseCache;
+
+        beforeEach(() => {
+            provider = new StubProvider();
+            cache = new ResponseCache();
+            provider.use(cache);
+        });
+
+        it("should serve a repeated lookup by hash from the cache", async () => {
+            const receipt = { ix_hash: IX_HASH, fuel_used: "0x1" };
+            provider.transport.mockResolvedValue(respond(receipt));
+
+            await provider.getInteractionReceipt(IX_HASH);
+            await expect(provider.getInteractionReceipt(IX_HASH)).resolves.toEqual(receipt);
+
+            expect(provider.transport).toHaveBeenCalledTimes(1);
+            expect(cache.getStats()).toEqual({ hits: 1, misses: 1 });
+        });
+
+        it("should cache a logic manifest by its logic id", async () => {
+            provider.transport.mockResolvedValue(respond("0x0e"));
+
+            await provider.getLogicManifest(LOGIC_ID, "POLO");
+            await provider.getLogicManifest(LOGIC_ID, "POLO", { tesseract_number: 4 });
+            await provider.getLogicManifest(LOGIC_ID.toUpperCase().replace("0X", "0x"), "POLO");
+
+            expect(provider.transport).toHaveBeenCalledTimes(1);
+            expect(cache.getStats()).toEqual({ hits: 2, misses: 1 });
+        });
+
+        it("should cache a logic manifest separately for each encoding", async () => {
+            provider.transport.mockResolvedValue(respond("0x0e"));
+
+            await provider.getLogicManifest(LOGIC_ID, "POLO");
+            await provider.getLogicManifest(LOGIC_ID, "JSON").catch(() => undefined);
+
+            expect(provider.transport).toHaveBeenCalledTimes(2);
+        });
+
+        it("should not cache data which may still change", async () => {
+            provider.transport.mockImplementation(async (method) => {
+                return method === "moi.AssetInfoByAssetID" ? respond({ symbol: "MOI", supply: "0x64" }) : respond("0x1");
+            });
+
+            await provider.getAssetInfoByAssetID("0x00");
+            await provider.getAssetInfoByAssetID("0x00");
+            await provider.getInteractionCount(ADDRESS);
+
+            expect(provider.transport).toHaveBeenCalledTimes(3);
+            expect(cache.getStats()).toEqual({ hits: 0, misses: 0 });
+        });
+
+        it("should only cache an interaction once it is included in a tesseract", async () => {
+            provider.transport
+                .mockResolvedValueOnce(respond({ hash: IX_HASH, ts_hash: "" }))
+                .mockResolvedValue(respond({ hash: IX_HASH, ts_hash: "0x01" }));
+
+            await provider.getInteractionByHash(IX_HASH);
+            await provider.getInteractionByHash(IX_HASH);
+            await provider.getInteractionByHash(IX_HASH);
+
+            expect(provider.transport).toHaveBeenCalledTimes(2);
+            expect(cache.getStats()).toEqual({ hits: 1, misses: 2 });
+        });
+
+        it("should cache a lookup by height once the height is older than the latest tesseract", async () => {
+            provider.transport.mockImplementation(async (method) => {
+                return method === "moi.AccountMetaInfo"
+                    ? respond({ address: ADDRESS, height: "0x5" })
+                    : respond({ hash: "0x01", participants: [] });
+            });
+
+            await provider.getTesseract(ADDRESS, false, false, { tesseract_number: 3 });
+            expect(cache.getStats()).toEqual({ hits: 0, misses: 0 });
+
+            await provider.getAccountMetaInfo(ADDRESS);
+            await provider.getTesseract(ADDRESS, false, false, { tesseract_number: 3 });
+            await provider.getTesseract(ADDRESS, false, false, { tesseract_number: 3 });
+            await provider.getTesseract(ADDRESS, false, false, { tesseract_number: 5 });
+
+            expect(provider.transport).toHaveBeenCalledTimes(4);
+            expect(cache.getStats()).toEqual({ hits: 1, misses: 1 });
+        });
+
+        it("should reset the statistics when cleared", async () => {
+            provider.transport.mockResolvedValue(respond({ ix_hash: IX_HASH }));
+
+            await provider.getInteractionReceipt(IX_HASH);
+            await cache.clear();
+            await provider.getInteractionReceipt(IX_HASH);
+
+            expect(provider.transport).toHaveBeenCalledTimes(2);
+            expect(cache.getStats()).toEqual({ hits: 0, misses: 1 });
+        });
+    });
+});
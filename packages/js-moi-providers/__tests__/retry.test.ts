@@ -0,0 +1,120 @@
+import fetch from "cross-fetch";
+import { CustomError, ErrorCode } from "js-moi-utils";
+
+import { JsonRpcProvider } from "../src.ts/jsonrpc-provider";
+import { getBackoffDelay, isUnsentRequestError, resolveRetryPolicy, withRetry } from "../src.ts/retry";
+
+jest.mock("cross-fetch", () => ({ __esModule: true, default: jest.fn() }));
+
+const httpResponse = (status: number) => ({ ok: false, status, text: async () => `status ${status}` });
+
+const policy = resolveRetryPolicy({ baseDelay: 0, jitter: false });
+
+const networkError = (code?: string) => new CustomError("Error: fetch failed", ErrorCode.NETWORK_ERROR, code ? { code } : {});
+const serverError = (status: number) => new CustomError("Error: unavailable", ErrorCode.SERVER_ERROR, { status });
+
+describe("Retry policy", () => {
+    it("should resolve the retry option of a provider", () => {
+        expect(resolveRetryPolicy().maxAttempts).toBe(3);
+        expect(resolveRetryPolicy(false).maxAttempts).toBe(1);
+        expect(resolveRetryPolicy({ maxAttempts: 5 })).toEqual({ ...resolveRetryPolicy(), maxAttempts: 5 });
+    });
+
+    it("should double the delay with every attempt up to the maximum delay", () => {
+        const backoff = resolveRetryPolicy({ baseDelay: 100, maxDelay: 300, jitter: false });
+
+        expect([1, 2, 3, 4].map((attempt) => getBackoffDelay(attempt, backoff))).toEqual([100, 200, 300, 300]);
+    });
+
+    it("should only treat errors of requests which never reached the node as unsent", () => {
+        expect(isUnsentRequestError(networkError("ECONNREFUSED"))).toBe(true);
+        expect(isUnsentRequestError(serverError(503))).toBe(true);
+        expect(isUnsentRequestError(serverError(429))).toBe(true);
+        expect(isUnsentRequestError(networkError("ECONNRESET"))).toBe(false);
+        expect(isUnsentRequestError(serverError(500))).toBe(false);
+        expect(isUnsentRequestError(new Error("connection refused"))).toBe(false);
+    });
+
+    it("should retry a transient error until the call succeeds", async () => {
+        const fn = jest.fn()
+            .mockRejectedValueOnce(networkError())
+            .mockRejectedValueOnce(serverError(502))
+            .mockResolvedValue("result");
+
+        await expect(withRetry(fn, policy, true)).resolves.toBe("result");
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it("should throw the last error once the maximum number of attempts is reached", async () => {
+        const fn = jest.fn().mockRejectedValue(networkError());
+
+        await expect(withRetry(fn, policy, true)).rejects.toThrow("fetch failed");
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not retry an error which is not retryable", async () => {
+        const fn = jest.fn().mockRejectedValue(new CustomError("invalid", ErrorCode.INVALID_ARGUMENT));
+
+        await expect(withRetry(fn, policy, true)).rejects.toThrow("invalid");
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it("should only retry a non-idempotent call if it was never sent", async () => {
+        const sent = jest.fn().mockRejectedValue(serverError(500));
+        const unsent = jest.fn().mockRejectedValueOnce(networkError("ECONNREFUSED")).mockResolvedValue("result");
+
+        await expect(withRetry(sent, policy, false)).rejects.toThrow("unavailable");
+        await expect(withRetry(unsent, policy, false)).resolves.toBe("result");
+        expect(sent).toHaveBeenCalledTimes(1);
+        expect(unsent).toHaveBeenCalledTimes(2);
+    });
+
+    describe("JsonRpcProvider", () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+            jest.mocked(fetch).mockReset();
+        });
+
+        it("should not resend an interaction which may have reached the node", async () => {
+            const attempt = jest.spyOn(JsonRpcProvider.prototype as any, "attempt").mockRejectedValue(serverError(500));
+            const provider = new JsonRpcProvider("http://localhost:1600", { retry: { baseDelay: 0 } });
+
+            await expect(provider.sendInteraction({} as any)).rejects.toThrow("unavailable");
+            expect(attempt).toHaveBeenCalledTimes(1);
+        });
+
+        it("should retry a query which failed with a transient error", async () => {
+            const attempt = jest.spyOn(JsonRpcProvider.prototype as any, "attempt")
+                .mockRejectedValueOnce(serverError(500))
+                .mockImplementation(async (payload: any) => ({ jsonrpc: "2.0", id: payload.id, result: "0x2" }));
+            const provider = new JsonRpcProvider("http://localhost:1600", { retry: { baseDelay: 0 } });
+
+            await expect(provider.getInteractionCount("0x00")).resolves.toBe(2);
+            expect(attempt).toHaveBeenCalledTimes(2);
+        });
+
+        it("should not retry a request which was rejected with a client error", async () => {
+            jest.mocked(fetch).mockResolvedValue(httpResponse(403) as any);
+            const provider = new JsonRpcProvider("http://localhost:1600", { retry: { baseDelay: 0 } });
+
+            await expect(provider.getInteractionCount("0x00")).rejects.toMatchObject({
+                code: ErrorCode.CLIENT_ERROR,
+                params: { status: 403 },
+            });
+            expect(fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it("should retry a rate limited request", async () => {
+            jest.mocked(fetch)
+                .mockResolvedValueOnce(httpResponse(429) as any)
+                .mockImplementation(async (_, init) => {
+                    const { id } = JSON.parse(init.body as string);
+                    return { ok: true, status: 200, json: async () => ({ jsonrpc: "2.0", id, result: "0x2" }) } as any;
+                });
+            const provider = new JsonRpcProvider("http://localhost:1600", { retry: { baseDelay: 0 } });
+
+            await expect(provider.getInteractionCount("0x00")).resolves.toBe(2);
+            expect(fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+type Responder = (request: { method: string; params: any[]; id: number }) => unknown;
+
+/**
+ * A websocket stub which answers the JSON-RPC requests sent over it with
+ * the results of a responder, in place of a node.
+ */
+export class w3cwebsocket {
+    public static instances: w3cwebsocket[] = [];
+    public static responder: Responder = () => null;
+
+    public readonly CONNECTING = 0;
+    public readonly OPEN = 1;
+    public readonly CLOSING = 2;
+    public readonly CLOSED = 3;
+
+    public readyState = this.OPEN;
+    public readonly sent: { method: string; params: any[]; id: number }[] = [];
+
+    public onopen?: () => void;
+    public onmessage?: (message: { data: string }) => void;
+    public onclose?: (event: { code: number; reason: string }) => void;
+    public onerror?: (error: Error) => void;
+
+    constructor() {
+        w3cwebsocket.instances.push(this);
+        setTimeout(() => this.onopen?.(), 0);
+    }
+
+    public send(data: string): void {
+        const request = JSON.parse(data);
+        this.sent.push(request);
+
+        setTimeout(() => {
+            const result = w3cwebsocket.responder(request);
+
+            if (result === undefined) {
+                return;
+            }
+
+            const response = result instanceof Error
+                ? { jsonrpc: "2.0", id: request.id, error: { code: -32000, message: result.message } }
+                : { jsonrpc: "2.0", id: request.id, result };
+
+            this.receive(response);
+        }, 0);
+    }
+
+    public receive(message: unknown): void {
+        this.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    public close(code: number = 1000, reason: string = ""): void {
+        this.readyState = this.CLOSED;
+        this.onclose?.({ code, reason });
+    }
+
+    public static reset(): void {
+        w3cwebsocket.instances = [];
+        w3cwebsocket.responder = () => null;
+    }
+}
@@ -0,0 +1,85 @@
+import { WebsocketProvider } from "../src.ts/websocket-provider";
+import { w3cwebsocket as Websocket } from "./utils/websocket";
+
+jest.mock("websocket", () => require("./utils/websocket"));
+
+const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getHeartbeats = (ws: Websocket) => ws.sent.filter((request) => request.method === "net.Version").length;
+
+describe("WebsocketProvider heartbeat", () => {
+    const providers: WebsocketProvider[] = [];
+
+    const createProvider = (options: ConstructorParameters<typeof WebsocketProvider>[1]) => {
+        const provider = new WebsocketProvider("ws://localhost:1600/ws", options);
+        providers.push(provider);
+        return provider;
+    };
+
+    beforeEach(() => {
+        Websocket.reset();
+    });
+
+    afterEach(() => {
+        providers.splice(0).forEach((provider) => provider["stopHeartbeat"]());
+    });
+
+    it("should keep a responsive connection open", async () => {
+        Websocket.responder = () => "0.6.0";
+        createProvider({ heartbeat: { interval: 20, timeout: 30 } });
+
+        await wait(150);
+
+        const ws = Websocket.instances[0];
+        expect(ws.readyState).toBe(ws.OPEN);
+        expect(getHeartbeats(ws)).toBeGreaterThan(2);
+    });
+
+    it("should close the connection when a heartbeat is not answered in time", async () => {
+        Websocket.responder = () => undefined;
+        createProvider({ heartbeat: { interval: 20, timeout: 30 } });
+
+        const ws = Websocket.instances[0];
+        const close = jest.spyOn(ws, "close");
+
+        await wait(100);
+
+        expect(close).toHaveBeenCalledWith(3008, "Heartbeat timeout");
+    });
+
+    it("should keep sending heartbeats after a failed heartbeat", async () => {
+        let answer = false;
+
+        Websocket.responder = () => answer ? "0.6.0" : undefined;
+        createProvider({ requestTimeout: 10, heartbeat: { interval: 20, timeout: 100 } });
+
+        const ws = Websocket.instances[0];
+        const close = jest.spyOn(ws, "close");
+
+        await wait(45);
+        answer = true;
+        await wait(150);
+
+        expect(getHeartbeats(ws)).toBeGreaterThan(2);
+        expect(close).not.toHaveBeenCalled();
+    });
+
+    it("should not close a connection after it has been replaced", async () => {
+        Websocket.responder = () => undefined;
+        createProvider({ heartbeat: { interval: 20, timeout: 60 }, reconnect: { delay: 1000, maxAttempts: 2 } });
+
+        const previous = Websocket.instances[0];
+        await wait(30);
+
+        Websocket.responder = () => "0.6.0";
+        previous.close(1006);
+        const close = jest.spyOn(previous, "close");
+
+        await wait(100);
+
+        const next = Websocket.instances[1];
+        expect(close).not.toHaveBeenCalled();
+        expect(next.readyState).toBe(next.OPEN);
+        expect(getHeartbeats(next)).toBeGreaterThan(0);
+    });
+});
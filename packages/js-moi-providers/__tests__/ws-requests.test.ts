@@ -0,0 +1,68 @@
+import { ErrorCode } from "js-moi-utils";
+
+import { WebsocketProvider } from "../src.ts/websocket-provider";
+import { w3cwebsocket as Websocket } from "./utils/websocket";
+
+jest.mock("websocket", () => require("./utils/websocket"));
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+describe("WebsocketProvider requests", () => {
+    beforeEach(() => {
+        Websocket.reset();
+    });
+
+    it("should route the responses to their requests by id", async () => {
+        Websocket.responder = ({ params }) => params[0].address === ADDRESS ? "0x1" : "0x2";
+
+        const provider = new WebsocketProvider("ws://localhost:1600/ws");
+        const counts = await Promise.all([
+            provider.getInteractionCount(ADDRESS),
+            provider.getInteractionCount("0x" + "00".repeat(32)),
+        ]);
+
+        expect(counts).toEqual([1, 2]);
+    });
+
+    it("should reject a request which is not answered in time", async () => {
+        Websocket.responder = () => undefined;
+
+        const provider = new WebsocketProvider("ws://localhost:1600/ws", { requestTimeout: 20 });
+
+        await expect(provider.getInteractionCount(ADDRESS)).rejects.toMatchObject({ code: ErrorCode.TIMEOUT });
+    });
+
+    it("should reject the pending requests when the connection closes", async () => {
+        Websocket.responder = () => undefined;
+
+        const provider = new WebsocketProvider("ws://localhost:1600/ws");
+
+        const count = provider.getInteractionCount(ADDRESS);
+        await flush();
+
+        Websocket.instances[0].close(1006);
+
+        await expect(count).rejects.toThrow("connection not open on send()");
+    });
+
+    it("should replay the idempotent requests after reconnecting", async () => {
+        Websocket.responder = () => undefined;
+
+        const provider = new WebsocketProvider("ws://localhost:1600/ws", {
+            reconnect: { delay: 1000, maxAttempts: 2, replayRequests: true },
+        });
+
+        const count = provider.getInteractionCount(ADDRESS);
+        const sent = provider.sendInteraction({} as any);
+        await flush();
+
+        Websocket.responder = () => "0x3";
+        Websocket.instances[0].close(1006);
+
+        await expect(sent).rejects.toThrow("Provider started to reconnect");
+        await expect(count).resolves.toBe(3);
+        expect(Websocket.instances[1].sent.map((request) => request.method)).toEqual(["moi.InteractionCount"]);
+    });
+});
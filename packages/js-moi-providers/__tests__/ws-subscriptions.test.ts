@@ -0,0 +1,218 @@
+import type { Tesseract } from "js-moi-utils";
+
+import { WebsocketProvider } from "../src.ts/websocket-provider";
+import { WebSocketEvent } from "../src.ts/websocket-events";
+import type { NewLogs, NewTesseractsByAccount } from "../types/websocket";
+import { w3cwebsocket as Websocket } from "./utils/websocket";
+
+jest.mock("websocket", () => require("./utils/websocket"));
+
+const ADDRESS = "0x996ab2197faa069202f83d7993f174e7a3635f3278d3745d6a9fe89d75b854df";
+const IX_HASH = "0x9c10a2b5cc5bbd16a8f0c8bde5b39d1b2bc2fcb2a4b8e8a0d0f1b6df5b2c4a11";
+const RECEIPT = { ix_hash: IX_HASH, status: 0 };
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+describe("WebsocketProvider subscriptions", () => {
+    let provider: WebsocketProvider;
+    let ws: Websocket;
+
+    beforeEach(() => {
+        Websocket.reset();
+        Websocket.responder = ({ method }) => {
+            switch (method) {
+                case "moi.subscribe":
+                    return "0x01";
+                case "moi.unsubscribe":
+                    return true;
+                case "moi.InteractionByHash":
+                    return { hash: IX_HASH, sender: ADDRESS };
+                case "moi.InteractionReceipt":
+                    return RECEIPT;
+                default:
+                    return null;
+            }
+        };
+
+        provider = new WebsocketProvider("ws://localhost:1600/ws");
+        ws = Websocket.instances[0];
+    });
+
+    const getMethods = () => ws.sent.map((request) => request.method);
+
+    it("should cancel the subscription once its last listener is removed", async () => {
+        const event: NewTesseractsByAccount = { event: WebSocketEvent.NewTesseractsByAccount, params: { address: ADDRESS } };
+        const first = jest.fn();
+        const second = jest.fn();
+
+        provider.on(event, first);
+        provider.on(event, second);
+        await flush();
+
+        ws.receive({ jsonrpc: "2.0", method: "moi.subscription", params: { subscription: "0x01", result: { hash: "0x02" } } });
+        expect(first).toHaveBeenCalledWith({ hash: "0x02" });
+
+        provider.removeListener(event, first);
+        await flush();
+        expect(getMethods()).not.toContain("moi.unsubscribe");
+
+        provider.removeListener(event, second);
+        await flush();
+
+        expect(ws.sent.find((request) => request.method === "moi.unsubscribe")?.params).toEqual(["0x01"]);
+        expect(provider.listenerCount("message")).toBe(0);
+    });
+
+    it("should subscribe to the logs and cancel the subscription once the listener is removed", async () => {
+        const event: NewLogs = { event: WebSocketEvent.NewLog, params: { address: ADDRESS, height: [-1, -1], topics: [] } };
+        const listener = jest.fn();
+
+        provider.on(event, listener);
+        await flush();
+
+        expect(ws.sent[0].params[0]).toBe("newLogs");
+
+        provider.removeListener(event, listener);
+        await flush();
+
+        expect(getMethods()).toEqual(["moi.subscribe", "moi.unsubscribe"]);
+        expect(provider.listenerCount("message")).toBe(0);
+    });
+
+    it("should cancel the subscription of an event removed with off", async () => {
+        const listener = jest.fn();
+
+        provider.on(WebSocketEvent.NewTesseracts, listener);
+        await flush();
+
+        provider.off(WebSocketEvent.NewTesseracts, listener);
+        await flush();
+
+        expect(getMethods()).toEqual(["moi.subscribe", "moi.unsubscribe"]);
+        expect(provider.listenerCount("message")).toBe(0);
+    });
+
+    it("should check the receipt once the subscription is confirmed", async () => {
+        let confirm: () => void = () => {};
+        let subscribed: () => void;
+        const subscribing = new Promise<void>((resolve) => subscribed = resolve);
+        const responder = Websocket.responder;
+
+        Websocket.responder = (request) => {
+            if (request.method !== "moi.subscribe") {
+                return responder(request);
+            }
+
+            confirm = () => ws.receive({ jsonrpc: "2.0", id: request.id, result: "0x01" });
+            subscribed();
+            return undefined;
+        };
+
+        const wait = provider["waitForInteraction"](IX_HASH, 10);
+        await subscribing;
+
+        expect(getMethods()).toEqual(["moi.InteractionByHash", "moi.subscribe"]);
+
+        confirm();
+
+        await expect(wait).resolves.toEqual(RECEIPT);
+        expect(getMethods().slice(2)).toEqual(["moi.InteractionReceipt", "moi.unsubscribe"]);
+        expect(provider.listenerCount("message")).toBe(0);
+    });
+
+    it("should resolve once a tesseract including the interaction arrives", async () => {
+        let included = false;
+        const responder = Websocket.responder;
+
+        Websocket.responder = (request) => {
+            if (request.method === "moi.InteractionReceipt" && !included) {
+                return null;
+            }
+
+            return responder(request);
+        };
+
+        const resolved = jest.fn();
+        provider["waitForInteraction"](IX_HASH, 10).then(resolved);
+        await flush();
+
+        expect(resolved).not.toHaveBeenCalled();
+
+        included = true;
+        const tesseract = { hash: "0x02", ixns: [{ hash: IX_HASH }] } as unknown as Tesseract;
+        ws.receive({ jsonrpc: "2.0", method: "moi.subscription", params: { subscription: "0x01", result: tesseract } });
+        await flush();
+
+        expect(resolved).toHaveBeenCalledWith(RECEIPT);
+        expect(getMethods()).toContain("moi.unsubscribe");
+    });
+
+    it("should poll for the receipt if the subscription fails", async () => {
+        const responder = Websocket.responder;
+
+        Websocket.responder = (request) => {
+            return request.method === "moi.subscribe" ? new Error("subscriptions disabled") : responder(request);
+        };
+
+        await expect(provider["waitForInteraction"](IX_HASH, 10)).resolves.toEqual(RECEIPT);
+        expect(getMethods()).not.toContain("moi.unsubscribe");
+        expect(provider.listenerCount("message")).toBe(0);
+    });
+
+    it("should subscribe again after reconnecting", async () => {
+        const reconnecting = new WebsocketProvider("ws://localhost:1600/ws", {
+            reconnect: { delay: 1000, maxAttempts: 2 },
+        });
+        const event: NewTesseractsByAccount = { event: WebSocketEvent.NewTesseractsByAccount, params: { address: ADDRESS } };
+        const listener = jest.fn();
+        const resubscribed = jest.fn();
+
+        reconnecting.on(event, listener);
+        reconnecting.on(WebSocketEvent.Resubscribed, resubscribed);
+        await flush();
+
+        Websocket.responder = ({ method }) => method === "moi.subscribe" ? "0x02" : null;
+        Websocket.instances.at(-1)!.close(1006);
+        await flush();
+
+        const next = Websocket.instances.at(-1)!;
+        expect(next.sent.map((request) => request.method)).toEqual(["moi.subscribe"]);
+        expect(resubscribed).toHaveBeenCalledWith([event]);
+
+        next.receive({ jsonrpc: "2.0", method: "moi.subscription", params: { subscription: "0x01", result: { hash: "0x03" } } });
+        next.receive({ jsonrpc: "2.0", method: "moi.subscription", params: { subscription: "0x02", result: { hash: "0x04" } } });
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith({ hash: "0x04" });
+    });
+
+    it("should check the receipt again after reconnecting while waiting", async () => {
+        const reconnecting = new WebsocketProvider("ws://localhost:1600/ws", {
+            reconnect: { delay: 1000, maxAttempts: 2 },
+        });
+        let included = false;
+        const responder = Websocket.responder;
+
+        Websocket.responder = (request) => {
+            if (request.method === "moi.InteractionReceipt" && !included) {
+                return null;
+            }
+
+            return responder(request);
+        };
+
+        const resolved = jest.fn();
+        reconnecting["waitForInteraction"](IX_HASH, 10).then(resolved);
+        await flush();
+
+        expect(resolved).not.toHaveBeenCalled();
+
+        // The tesseract including the interaction is missed while disconnected
+        included = true;
+        Websocket.instances.at(-1)!.close(1006);
+        await flush();
+
+        expect(resolved).toHaveBeenCalledWith(RECEIPT);
+        expect(reconnecting.listenerCount(WebSocketEvent.Resubscribed)).toBe(0);
+    });
+});
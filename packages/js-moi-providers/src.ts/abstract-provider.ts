@@ -1,6 +1,6 @@
 import { EventEmitter } from "events";
 import { LogicManifest } from "js-moi-manifest";
-import { Interaction, Tesseract } from "js-moi-utils";
+import { ErrorCode, ErrorUtils, Interaction, Tesseract } from "js-moi-utils";
 import {
     AccountMetaInfo,
     AccountState,
@@ -63,8 +63,24 @@ export abstract class AbstractProvider extends EventEmitter {
     abstract estimateFuel(ixObject: CallorEstimateIxObject, options?: CallorEstimateOptions): Promise<number | bigint>
     abstract sendInteraction(ixObject: InteractionRequest): Promise<InteractionResponse>
 
+    /**
+     * Retrieves the fuel price suggested for new interactions. The MOI nodes 
+     * do not suggest a fuel price, so providers do not support it unless 
+     * they override this method with a source of fuel prices.
+     * 
+     * @returns {Promise<number | bigint>} A Promise resolving to the suggested 
+     * fuel price.
+     * @throws {Error} if the provider does not support suggesting a fuel price.
+     */
+    public async getFuelPrice(): Promise<number | bigint> {
+        ErrorUtils.throwError(
+            "Fuel price suggestion is not supported by the provider",
+            ErrorCode.UNSUPPORTED_OPERATION
+        );
+    }
+
     // Query Methods
-    abstract getAssetInfoByAssetID(assetId: string): Promise<AssetInfo>
+    abstract getAssetInfoByAssetID(assetId: string, options?: Options): Promise<AssetInfo>
     abstract getInteractionReceipt(ixHash: string): Promise<InteractionReceipt>
     abstract getStorageAt(logicId: string, storageKey: string, options?: Options): Promise<string>
     abstract getStorageAt(logicId: string, storageKey: string, address: string, options?: Options): Promise<string>
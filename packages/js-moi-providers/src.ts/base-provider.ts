@@ -1,6 +1,6 @@
 import { LogicManifest } from "js-moi-manifest";
 import {
-    AssetCreationResult, AssetSupplyResult, ErrorCode, ErrorUtils, Interaction,
+    AssetCreationResult, AssetSupplyResult, CustomError, ErrorCode, ErrorUtils, Interaction,
     LogicDeployResult,
     LogicEnlistResult,
     LogicInvokeResult,
@@ -20,16 +20,26 @@ import type {
     Log, LogFilter,
     LogicManifestParams, NodeInfo, Options,
     Registry,
-    RpcResponse, Status, StatusResponse, StorageParams, SyncStatus, SyncStatusParams, TDU, TDUResponse
+    RpcResponse, Status, StatusResponse, StorageParams, SyncStatus, SyncStatusParams, TDU, TDUResponse,
+    WaitOptions
 } from "../types/jsonrpc";
+import type { ProviderMiddleware, RequestContext } from "../types/middleware";
+import type { BaseProviderOptions, PollingOptions } from "../types/provider";
 import { type NestedArray } from "../types/util";
 import type { ProviderEvents } from "../types/websocket";
 import { AbstractProvider } from "./abstract-provider";
+import { RpcRequestError } from "./errors";
 import { processIxObject } from "./interaction";
 
 // Default timeout value in seconds
 const defaultTimeout: number = 120;
 
+const defaultPollingOptions: Required<PollingOptions> = {
+    interval: 1000,
+    factor: 1.5,
+    maxInterval: 5000
+}
+
 const defaultOptions: Options = {
     tesseract_number: -1
 }
@@ -45,14 +55,44 @@ export interface EventTag {
  * account operations, execution, and querying RPC methods.
  */
 export class BaseProvider extends AbstractProvider {
-    constructor() {
+    private readonly middlewares: ProviderMiddleware[] = [];
+    protected readonly polling: Required<PollingOptions>;
+
+    constructor(options?: BaseProviderOptions) {
         super();
+
+        this.polling = { ...defaultPollingOptions, ...options?.polling };
+    }
+
+    /**
+     * Adds a middleware to the chain of middlewares which observe and
+     * transform every request made by the provider. Middlewares run in the
+     * order in which they were added before the request, and in the reverse
+     * order after the response or an error.
+     *
+     * @param {ProviderMiddleware} middleware - The middleware to add.
+     * @returns {this} The provider instance.
+     *
+     * @example
+     * provider.use({
+     *     beforeRequest: (context) => {
+     *         context.headers["Authorization"] = `Bearer ${token}`;
+     *         context.meta.start = Date.now();
+     *     },
+     *     afterResponse: (context) => {
+     *         console.log(context.method, Date.now() - context.meta.start);
+     *     }
+     * });
+     */
+    public use(middleware: ProviderMiddleware): this {
+        this.middlewares.push(middleware);
+        return this;
     }
 
     /**
      * Helper function to process the RPC response and extract the relevant data.
      * If the response has a result, it checks if the result has data and returns it.
-     * Otherwise, it throws an error with the corresponding error message.
+     * Otherwise, it throws an error typed by the cause of the error.
      *
      * @param {RpcResponse} response - The RPC response to be processed.
      * @returns {any} The extracted data from the response.
@@ -64,10 +104,7 @@ export class BaseProvider extends AbstractProvider {
             return response.result
         }
 
-        ErrorUtils.throwError(
-            response.error.message, 
-            ErrorCode.SERVER_ERROR,
-        );
+        throw RpcRequestError(response.error);
     }
 
     // Account Methods
@@ -90,7 +127,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.Balance", params);
+            const response = await this.request("moi.Balance", params);
 
             const balance: string = this.processResponse(response);
 
@@ -117,7 +154,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.ContextInfo", params);
+            const response = await this.request("moi.ContextInfo", params);
 
             return this.processResponse(response);
         } catch (error) {
@@ -140,7 +177,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.TDU", params);
+            const response = await this.request("moi.TDU", params);
 
             const tdu: Array<TDUResponse> = this.processResponse(response);
 
@@ -166,7 +203,7 @@ export class BaseProvider extends AbstractProvider {
                 hash: ixHash
             }
     
-            const response = await this.execute("moi.InteractionByHash", params)
+            const response = await this.request("moi.InteractionByHash", params)
 
             return this.processResponse(response)
         } catch(err) {
@@ -227,7 +264,7 @@ export class BaseProvider extends AbstractProvider {
                 params['ix_index'] = arg2 != null ? toQuantity(arg2 as number) : toQuantity(1);
             }
 
-            const response = await this.execute("moi.InteractionByTesseract", params);
+            const response = await this.request("moi.InteractionByTesseract", params);
             return this.processResponse(response);
         } catch (error) {
             throw error;
@@ -250,7 +287,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.InteractionCount", params);
+            const response = await this.request("moi.InteractionCount", params);
 
             const ixCount: string = this.processResponse(response);
 
@@ -277,7 +314,7 @@ export class BaseProvider extends AbstractProvider {
                 address: address
             }
     
-            const response = await this.execute("moi.PendingInteractionCount", params);
+            const response = await this.request("moi.PendingInteractionCount", params);
 
             const ixCount: string = this.processResponse(response);
 
@@ -304,7 +341,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.AccountState", params)
+            const response = await this.request("moi.AccountState", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -327,7 +364,7 @@ export class BaseProvider extends AbstractProvider {
                 address: address
             }
     
-            const response = await this.execute("moi.AccountMetaInfo", params)
+            const response = await this.request("moi.AccountMetaInfo", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -349,7 +386,7 @@ export class BaseProvider extends AbstractProvider {
                 address: address
             }
     
-            const response = await this.execute("ixpool.ContentFrom", params)
+            const response = await this.request("ixpool.ContentFrom", params)
 
             const contentResponse: ContentFromResponse = this.processResponse(response)
 
@@ -392,7 +429,7 @@ export class BaseProvider extends AbstractProvider {
                 address: address
             }
     
-            const response = await this.execute("ixpool.WaitTime", params)
+            const response = await this.request("ixpool.WaitTime", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -410,7 +447,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getNewTesseractFilter(): Promise<Filter> {
         try {
-            const response = await this.execute("moi.NewTesseractFilter", null);
+            const response = await this.request("moi.NewTesseractFilter", null);
 
             return this.processResponse(response);
         } catch (error) {
@@ -433,7 +470,7 @@ export class BaseProvider extends AbstractProvider {
                 address: address
             };
 
-            const response = await this.execute("moi.NewTesseractsByAccountFilter", params);
+            const response = await this.request("moi.NewTesseractsByAccountFilter", params);
 
             return this.processResponse(response);
         } catch (error) {
@@ -453,7 +490,7 @@ export class BaseProvider extends AbstractProvider {
         try {
             const params = null;
 
-            const response = await this.execute('moi.PendingIxnsFilter', params);
+            const response = await this.request('moi.PendingIxnsFilter', params);
             
             return this.processResponse(response);
         } catch (error) {
@@ -490,7 +527,7 @@ export class BaseProvider extends AbstractProvider {
             end_height: end
         }
 
-        const response = await this.execute<Filter>("moi.NewLogFilter", payload);
+        const response = await this.request<Filter>("moi.NewLogFilter", payload);
         return this.processResponse(response);
     }
 
@@ -508,7 +545,7 @@ export class BaseProvider extends AbstractProvider {
                 id: filter.id
             };
 
-            const response = await this.execute("moi.RemoveFilter", params);
+            const response = await this.request("moi.RemoveFilter", params);
 
             return this.processResponse(response);
         } catch (error) {
@@ -535,7 +572,7 @@ export class BaseProvider extends AbstractProvider {
                 id: filter.id
             };
  
-            const response = await this.execute("moi.GetFilterChanges", params);
+            const response = await this.request("moi.GetFilterChanges", params);
             
             if (response.result == null) {
                 return null;
@@ -602,7 +639,7 @@ export class BaseProvider extends AbstractProvider {
                 params['options'] = arg3 ?? defaultOptions;
             }
 
-            const response = await this.execute<Tesseract>("moi.Tesseract", params);
+            const response = await this.request<Tesseract>("moi.Tesseract", params);
             return this.processResponse(response);
         } catch (error) {
             throw error;
@@ -624,7 +661,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.LogicIDs", params)
+            const response = await this.request("moi.LogicIDs", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -647,7 +684,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.Registry", params)
+            const response = await this.request("moi.Registry", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -668,7 +705,7 @@ export class BaseProvider extends AbstractProvider {
                 address: address
             }
     
-            const response = await this.execute("moi.Syncing", params)
+            const response = await this.request("moi.Syncing", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -695,7 +732,7 @@ export class BaseProvider extends AbstractProvider {
                 options : options
             }
 
-            const response = await this.execute("moi.Call", params)
+            const response = await this.request("moi.Call", params)
 
             const receipt: InteractionReceipt = this.processResponse(response)
 
@@ -727,7 +764,7 @@ export class BaseProvider extends AbstractProvider {
                 options : options
             }
 
-            const response = await this.execute("moi.FuelEstimate", params)
+            const response = await this.request("moi.FuelEstimate", params)
 
             const fuelPrice: string = this.processResponse(response)
 
@@ -736,7 +773,7 @@ export class BaseProvider extends AbstractProvider {
             throw error
         }
     }
-    
+
     /**
      * Sends an interaction request.
      * 
@@ -747,7 +784,7 @@ export class BaseProvider extends AbstractProvider {
      * processing the response.
      */
     public async sendInteraction(ixObject: InteractionRequest): Promise<InteractionResponse> {
-        const response = await this.execute("moi.SendInteractions", ixObject)
+        const response = await this.request("moi.SendInteractions", ixObject)
 
         try {
             if(response.result != null) {
@@ -758,10 +795,7 @@ export class BaseProvider extends AbstractProvider {
                 }
             }
     
-            ErrorUtils.throwError(
-                response.error.message, 
-                ErrorCode.SERVER_ERROR,
-            );
+            throw RpcRequestError(response.error, "moi.SendInteractions", ixObject);
         } catch (error) {
             throw error
         }
@@ -786,7 +820,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions,
             }
     
-            const response = await this.execute("moi.AssetInfoByAssetID", params)
+            const response = await this.request("moi.AssetInfoByAssetID", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -809,7 +843,7 @@ export class BaseProvider extends AbstractProvider {
                 hash: ixHash
             }
     
-            const response = await this.execute("moi.InteractionReceipt", params)
+            const response = await this.request("moi.InteractionReceipt", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -874,7 +908,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.LogicStorage", params)
+            const response = await this.request("moi.LogicStorage", params)
 
             return this.processResponse(response)
         } catch (error) {
@@ -900,7 +934,7 @@ export class BaseProvider extends AbstractProvider {
                 options: options ? options : defaultOptions
             }
     
-            const response = await this.execute("moi.LogicManifest", params)
+            const response = await this.request("moi.LogicManifest", params)
             const data: string = this.processResponse(response);
             const decodedManifest = hexToBytes(data)
 
@@ -969,7 +1003,7 @@ export class BaseProvider extends AbstractProvider {
             end_height: end
         }
 
-        const response = await this.execute<Log[]>("moi.GetLogs", payload);
+        const response = await this.request<Log[]>("moi.GetLogs", payload);
         return this.processResponse(response);
     }
 
@@ -984,7 +1018,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getContent(): Promise<Content> {
         try {
-            const response = await this.execute("ixpool.Content", null)
+            const response = await this.request("ixpool.Content", null)
             const contentResponse: ContentResponse = this.processResponse(response)
             const content = {
                 pending: new Map(),
@@ -1028,7 +1062,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getStatus(): Promise<Status> {
         try {
-            const response = await this.execute("ixpool.Status", null)
+            const response = await this.request("ixpool.Status", null)
             const status: StatusResponse = this.processResponse(response)
 
             return {
@@ -1054,7 +1088,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getInspect(): Promise<Inspect> {
         try {
-            const response = await this.execute("ixpool.Inspect", null)
+            const response = await this.request("ixpool.Inspect", null)
             const inspectResponse: InspectResponse = this.processResponse(response)
             const inspect = {
                 pending: new Map(),
@@ -1092,7 +1126,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getPeers(): Promise<string[]> {
         try {
-            const response = await this.execute("net.Peers", null)
+            const response = await this.request("net.Peers", null)
             return this.processResponse(response)
         } catch (error) {
             throw error;
@@ -1109,7 +1143,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getVersion(): Promise<string> {
         try {
-            const response = await this.execute("net.Version", null)
+            const response = await this.request("net.Version", null)
             return this.processResponse(response)
         } catch (error) {
             throw error;
@@ -1126,7 +1160,7 @@ export class BaseProvider extends AbstractProvider {
      */
     public async getNodeInfo(): Promise<NodeInfo> {
         try {
-            const response = await this.execute("net.Info", null)
+            const response = await this.request("net.Info", null)
             return this.processResponse(response)
         } catch (error) {
             throw error;
@@ -1134,6 +1168,17 @@ export class BaseProvider extends AbstractProvider {
     }
 
     public async getSubscription(event: ProviderEvents): Promise<string> {
+        return await this.subscribe(this.getSubscriptionParams(event));
+    }
+
+    /**
+     * Returns the parameters of the subscription request for the given event.
+     * 
+     * @param {ProviderEvents} event - The event to subscribe to.
+     * @returns {unknown} The parameters of the subscription request.
+     * @throws {Error} if the event is invalid.
+     */
+    protected getSubscriptionParams(event: ProviderEvents): unknown {
         let params: unknown = [];
 
         if (typeof event === "string") {
@@ -1144,8 +1189,19 @@ export class BaseProvider extends AbstractProvider {
             params = this.validateAndFormatEvent(event);
 
         }
-        
-        const response = await this.execute("moi.subscribe", params);
+
+        return params;
+    }
+
+    /**
+     * Subscribes to an event with the given subscription parameters.
+     * 
+     * @param {unknown} params - The parameters of the subscription request.
+     * @returns {Promise<string>} A Promise that resolves to the subscription id.
+     * @throws {Error} if there is an error executing the RPC call.
+     */
+    protected async subscribe(params: unknown): Promise<string> {
+        const response = await this.request("moi.subscribe", params);
         return this.processResponse(response);
     }
 
@@ -1175,50 +1231,103 @@ export class BaseProvider extends AbstractProvider {
 
     /**
      * Waits for the interaction with the specified hash to be included in a tesseract 
-     * and returns the interaction receipt.
+     * and returns the interaction receipt. The receipt is polled with a delay
+     * which grows after every attempt, according to the polling options.
      * 
      * @param {string} interactionHash - The hash of the interaction.
      * @param {number} timeout - The timeout duration in seconds (optional).
+     * @param {WaitOptions} options - The abort signal and polling options (optional).
      * @returns {Promise<InteractionReceipt>} A Promise that resolves to the 
      * interaction receipt.
      * @throws {Error} if there is an error executing the RPC call, processing 
-     * the response, or the timeout is reached.
+     * the response, the timeout is reached or the wait is aborted.
      */
-    protected async waitForInteraction(interactionHash: string, timeout?: number): Promise<InteractionReceipt> {
-        if(timeout == undefined) {
-            timeout = defaultTimeout
-        }
+    protected async waitForInteraction(interactionHash: string, timeout?: number, options?: WaitOptions): Promise<InteractionReceipt> {
+        const polling = { ...this.polling, ...options?.polling };
+        let interval = polling.interval;
+        let pollId: ReturnType<typeof setTimeout>;
+
+        return this.waitUntil(timeout, options?.signal, (resolve, isSettled) => {
+            const checkReceipt = async() => {
+                const receipt = await this.getInteractionReceipt(interactionHash).catch(() => null);
 
-        return new Promise(async (resolve, reject) => {
-            let intervalId: ReturnType<typeof setInterval>;
-            let timeoutId: ReturnType<typeof setTimeout>;
+                if (isSettled()) {
+                    return;
+                }
 
-            const clearTimers = () => {
-                clearInterval(intervalId);
-                clearTimeout(timeoutId);
+                if (receipt != null) {
+                    resolve(receipt);
+                    return;
+                }
+
+                pollId = setTimeout(checkReceipt, interval);
+                interval = Math.min(interval * polling.factor, polling.maxInterval);
             }
 
-            const checkReceipt = async() => {
-                const receipt = await this.getInteractionReceipt(interactionHash).catch(() => null);
+            checkReceipt();
+
+            return () => clearTimeout(pollId);
+        });
+    }
+
+    /**
+     * Creates a Promise which settles when the executor resolves it, the
+     * timeout is reached or the signal is aborted, whichever happens first.
+     * 
+     * @param {number} timeout - The timeout duration in seconds (optional).
+     * @param {AbortSignal} signal - The signal which aborts the wait (optional).
+     * @param {Function} executor - Starts the wait and returns a cleanup function.
+     * It receives the resolve function and a function telling whether the
+     * Promise has already settled.
+     * @returns {Promise<T>} A Promise that resolves to the value given by the executor.
+     * @throws {Error} if the timeout is reached or the wait is aborted.
+     */
+    protected waitUntil<T>(
+        timeout: number | undefined,
+        signal: AbortSignal | undefined,
+        executor: (resolve: (value: T) => void, isSettled: () => boolean) => () => void
+    ): Promise<T> {
+        if (timeout == undefined) {
+            timeout = defaultTimeout
+        }
 
-                if(receipt == null) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let cleanup: () => void = () => {};
+
+            const settle = (fn: () => void) => {
+                if (settled) {
                     return;
                 }
 
-                clearTimers();
+                settled = true;
+                clearTimeout(timeoutId);
+                signal?.removeEventListener("abort", onAbort);
+                cleanup();
+                fn();
+            }
+
+            const onAbort = () => settle(() => reject(
+                signal.reason ?? new CustomError("wait aborted", ErrorCode.ACTION_REJECTED)
+            ));
+
+            const timeoutId = setTimeout(() => settle(() => reject(
+                new CustomError("failed to fetch receipt", ErrorCode.TIMEOUT)
+            )), timeout * 1000);
 
-                resolve(receipt);
+            if (signal?.aborted) {
+                onAbort();
+                return;
             }
 
-            await checkReceipt();
+            signal?.addEventListener("abort", onAbort);
 
-            intervalId = setInterval(checkReceipt, 5000)
+            cleanup = executor((value) => settle(() => resolve(value)), () => settled);
 
-            timeoutId = setTimeout(() => {
-                clearInterval(intervalId);
-                reject({message: "failed to fetch receipt"})
-            }, timeout * 1000)
-        })
+            if (settled) {
+                cleanup();
+            }
+        });
     }
 
     /**
@@ -1293,13 +1402,14 @@ export class BaseProvider extends AbstractProvider {
      * 
      * @param {string} interactionHash - The hash of the interaction.
      * @param {number} timeout - The timeout duration in seconds (optional).
+     * @param {WaitOptions} options - The abort signal and polling options (optional).
      * @returns {Promise<any>} A Promise that resolves to the result of the 
      * interaction.
      * @throws {Error} if there is an error executing the RPC call, processing the 
-     * response, or the timeout is reached.
+     * response, the timeout is reached or the wait is aborted.
      */
-    protected async waitForResult(interactionHash: string, timeout?: number): Promise<any> {
-        const receipt = await this.waitForInteraction(interactionHash, timeout);
+    protected async waitForResult(interactionHash: string, timeout?: number, options?: WaitOptions): Promise<any> {
+        const receipt = await this.waitForInteraction(interactionHash, timeout, options);
         return await this.processReceipt(receipt);
     }
 
@@ -1313,15 +1423,94 @@ export class BaseProvider extends AbstractProvider {
         return response && response.status >= 500 && response.status < 600;
     }
 
+    /**
+     * Checks if the response object represents a rate limited request, which 
+     * is worth sending again later.
+     * 
+     * @param {Response} response - The Response object.
+     * @returns {boolean} A boolean indicating whether the request was rate limited.
+     */
+    protected isRateLimited(response: Response): boolean {
+        return response && response.status === 429;
+    }
+
+    /**
+     * Checks if the response object represents a client error, such as an 
+     * unauthorized or malformed request, which fails the same way when sent again.
+     * 
+     * @param {Response} response - The Response object.
+     * @returns {boolean} A boolean indicating whether the error is a client error.
+     */
+    protected isClientError(response: Response): boolean {
+        return response && response.status >= 400 && response.status < 500 && !this.isRateLimited(response);
+    }
+
+    /**
+     * Runs an RPC request through the middleware chain and executes it.
+     * 
+     * @param {string} method - The RPC method to execute.
+     * @param {any} params - The parameters to pass to the RPC method.
+     * @returns {Promise<RpcResponse>} A Promise that resolves to the response of the RPC call.
+     * @throws {CustomError} if the node responds with an error, typed by the
+     * cause of the error.
+     * @throws {Error} if the request fails and no middleware recovers from the error.
+     */
+    protected async request<T = any>(method: string, params: any): Promise<RpcResponse<T>> {
+        const context: RequestContext = { method, params, headers: {}, meta: {} };
+        let entered = 0;
+        let response: RpcResponse<T>;
+
+        try {
+            for (; entered < this.middlewares.length && response == null; entered++) {
+                const cached = await this.middlewares[entered].beforeRequest?.(context);
+
+                if (cached != null) {
+                    response = cached as RpcResponse<T>;
+                }
+            }
+
+            if (response == null) {
+                response = await this.execute<T>(context.method, context.params, context);
+            }
+        } catch (error) {
+            for (let i = entered - 1; i >= 0 && response == null; i--) {
+                const recovered = await this.middlewares[i].onError?.(context, error);
+
+                if (recovered != null) {
+                    response = recovered as RpcResponse<T>;
+                }
+            }
+
+            if (response == null) {
+                throw error;
+            }
+        }
+
+        for (let i = entered - 1; i >= 0; i--) {
+            const replaced = await this.middlewares[i].afterResponse?.(context, response);
+
+            if (replaced != null) {
+                response = replaced as RpcResponse<T>;
+            }
+        }
+
+        if (response.error != null) {
+            throw RpcRequestError(response.error, context.method, context.params);
+        }
+
+        return response;
+    }
+
     /**
      * Executes an RPC method with the specified parameters.
      * 
      * @param {string} method - The RPC method to execute.
      * @param {any} params - The parameters to pass to the RPC method.
+     * @param {RequestContext} context - The context of the request. (optional)
      * @returns {Promise<any>} A Promise that resolves to the response of the RPC call.
      * @throws {Error} if the method is not implemented.
      */
-    protected execute<T = any>(method: string, params: any): Promise<RpcResponse<T>> {
+    protected execute<T = any>(method: string, params: any, context?: RequestContext): Promise<RpcResponse<T>> {
         throw new Error(method + " not implemented")
     } 
 }
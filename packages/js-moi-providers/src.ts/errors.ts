@@ -1,4 +1,11 @@
-import { defineReadOnly } from "js-moi-utils";
+import { CustomError, ErrorCode, defineReadOnly } from "js-moi-utils";
+import type { RpcError } from "../types/jsonrpc";
+
+// Standard JSON-RPC error codes which identify the cause of a failed request
+const RPC_ERROR_CODES: Record<number, ErrorCode> = {
+    [-32601]: ErrorCode.UNSUPPORTED_OPERATION,
+    [-32602]: ErrorCode.INVALID_ARGUMENT
+};
 
 const connectionError = (msg: string, event: any) => {
     try {
@@ -29,3 +36,25 @@ export const MaxAttemptsReachedOnReconnectingError = (): Error => {
 export const PendingRequestsOnReconnectingError = (): Error => {
     return new Error('CONNECTION ERROR: Provider started to reconnect before the response got received!');
 }
+
+/**
+ * Creates a typed error from the error of a JSON-RPC response. The standard
+ * JSON-RPC error codes are mapped to their error codes, and any other error
+ * returned by the node is reported as an RPC error, which sets it apart from
+ * the network and server errors of the transport.
+ *
+ * @param {RpcError} error - The error of the JSON-RPC response.
+ * @param {string} method - The RPC method which failed. (optional)
+ * @param {any} params - The parameters of the RPC method. (optional)
+ * @returns {CustomError} The typed error.
+ */
+export const RpcRequestError = (error: RpcError, method?: string, params?: any): CustomError => {
+    const code = RPC_ERROR_CODES[error.code] ?? ErrorCode.RPC_ERROR;
+
+    return new CustomError(error.message, code, {
+        rpcCode: error.code,
+        data: error.data,
+        method: method,
+        params: params
+    });
+}
@@ -0,0 +1,413 @@
+import { LogicManifest } from "js-moi-manifest";
+import { CustomError, ErrorCode, ErrorUtils, type Interaction, type Tesseract } from "js-moi-utils";
+import type {
+    AccountMetaInfo, AccountState, AssetInfo, CallorEstimateIxObject, CallorEstimateOptions,
+    Content, ContentFrom, ContextInfo, Encoding, Filter, FilterDeletionResult, Inspect,
+    InteractionCallResponse, InteractionReceipt, InteractionRequest, InteractionResponse,
+    Log, LogFilter, NodeInfo, Options, Registry, Status, SyncStatus, TDU
+} from "../types/jsonrpc";
+import type { FallbackProviderConfig, FallbackProviderOptions } from "../types/provider";
+import type { ProviderEvents } from "../types/websocket";
+import { AbstractProvider } from "./abstract-provider";
+import { isUnsentRequestError } from "./retry";
+
+type Backend = Required<FallbackProviderConfig>;
+
+/**
+ * Serializes a result into a string which can be compared with the results
+ * of the other backends.
+ *
+ * @param {unknown} value - The result to serialize.
+ * @returns {string} The serialized result.
+ */
+const serializeResult = (value: unknown): string => {
+    return JSON.stringify(value, (_, item) => {
+        if (typeof item === "bigint") {
+            return item.toString();
+        }
+
+        if (item instanceof Map) {
+            return Array.from(item.entries());
+        }
+
+        return item;
+    });
+};
+
+/**
+ * Copies a log filter, since the backends hash the topics of the filter they
+ * are given in place.
+ *
+ * @param {LogFilter} filter - The log filter to copy.
+ * @returns {LogFilter} The copy of the log filter.
+ */
+const copyLogFilter = (filter: LogFilter): LogFilter => {
+    return {
+        ...filter,
+        topics: filter.topics == null ? filter.topics : JSON.parse(JSON.stringify(filter.topics))
+    };
+};
+
+/**
+ * A provider which spreads calls across several backend providers. Backends
+ * are tried in the order of their priority and, among the backends with the
+ * same priority, picked at random according to their weight. A call fails
+ * over to the next backend when a backend reports a network or server error.
+ * Interactions only fail over when the request never reached the backend,
+ * so that an interaction is never sent to more than one node.
+ *
+ * Reads of chain data can optionally require a quorum, in which case the
+ * call only resolves once enough backends have returned the same result.
+ */
+export class FallbackProvider extends AbstractProvider {
+    private readonly backends: Backend[];
+    private readonly quorum: number;
+    private readonly filters: Map<string, AbstractProvider> = new Map();
+
+    constructor(providers: Array<AbstractProvider | FallbackProviderConfig>, options?: FallbackProviderOptions) {
+        super();
+
+        if (providers == null || providers.length === 0) {
+            ErrorUtils.throwArgumentError("At least one provider is required", "providers", providers);
+        }
+
+        this.backends = providers.map(config => {
+            if (config instanceof AbstractProvider) {
+                return { provider: config, priority: 0, weight: 1 };
+            }
+
+            return { priority: 0, weight: 1, ...config };
+        });
+
+        this.quorum = options?.quorum ?? 1;
+
+        if (!Number.isInteger(this.quorum) || this.quorum < 1 || this.quorum > this.backends.length) {
+            ErrorUtils.throwArgumentError("Quorum must be between 1 and the number of providers", "quorum", this.quorum);
+        }
+    }
+
+    /**
+     * Returns the backends in the order in which they should be tried.
+     *
+     * @returns {Backend[]} The ordered backends.
+     */
+    private getOrderedBackends(): Backend[] {
+        const priorities = Array.from(new Set(this.backends.map(backend => backend.priority))).sort((a, b) => a - b);
+
+        return priorities.flatMap(priority => {
+            const candidates = this.backends.filter(backend => backend.priority === priority);
+            const ordered: Backend[] = [];
+
+            while (candidates.length > 0) {
+                const total = candidates.reduce((sum, backend) => sum + backend.weight, 0);
+                let pick = Math.random() * total;
+                let index = candidates.findIndex(backend => (pick -= backend.weight) < 0);
+
+                if (index === -1) {
+                    index = candidates.length - 1;
+                }
+
+                ordered.push(...candidates.splice(index, 1));
+            }
+
+            return ordered;
+        });
+    }
+
+    /**
+     * Checks whether an error should make the call fail over to the next
+     * backend. Errors returned by the node in a JSON-RPC response are never
+     * failed over, since every backend would reject the call alike.
+     *
+     * @param {unknown} error - The error thrown by a backend.
+     * @returns {boolean} true if the call should fail over, false otherwise.
+     */
+    private isFailoverError(error: unknown): boolean {
+        return error instanceof CustomError && error.params.rpcCode == null &&
+            (error.code === ErrorCode.NETWORK_ERROR || error.code === ErrorCode.SERVER_ERROR);
+    }
+
+    /**
+     * Performs a call on the backends one after another, until one of them
+     * succeeds or fails with an error which is not worth failing over.
+     *
+     * @param {Function} fn - The call to perform on a backend.
+     * @param {Function} shouldFailover - Decides whether an error makes the
+     * call fail over to the next backend. (optional)
+     * @returns {Promise<T>} A Promise that resolves to the result of the call.
+     * @throws {Error} The error of the last backend tried.
+     */
+    protected async perform<T>(
+        fn: (provider: AbstractProvider) => Promise<T>,
+        shouldFailover: (error: unknown) => boolean = (error) => this.isFailoverError(error)
+    ): Promise<T> {
+        let lastError: unknown;
+
+        for (const backend of this.getOrderedBackends()) {
+            try {
+                return await fn(backend.provider);
+            } catch (error) {
+                if (!shouldFailover(error)) {
+                    throw error;
+                }
+
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Performs a read of chain data. When a quorum is configured, the call
+     * is sent to as many backends as the quorum requires, and to further
+     * backends while their results disagree.
+     *
+     * @param {Function} fn - The call to perform on a backend.
+     * @returns {Promise<T>} A Promise that resolves to the agreed result.
+     * @throws {Error} if the quorum cannot be reached.
+     */
+    protected async performRead<T>(fn: (provider: AbstractProvider) => Promise<T>): Promise<T> {
+        if (this.quorum === 1) {
+            return this.perform(fn);
+        }
+
+        const backends = this.getOrderedBackends();
+        const votes: Map<string, { count: number, result: T }> = new Map();
+        const errors: unknown[] = [];
+
+        const query = async (backend: Backend): Promise<{ result: T } | undefined> => {
+            try {
+                const result = await fn(backend.provider);
+                const key = serializeResult(result);
+                const vote = votes.get(key) ?? { count: 0, result };
+
+                vote.count++;
+                votes.set(key, vote);
+
+                return vote.count >= this.quorum ? { result: vote.result } : undefined;
+            } catch (error) {
+                errors.push(error);
+                return undefined;
+            }
+        };
+
+        const initial = await Promise.all(backends.slice(0, this.quorum).map(query));
+        let agreed = initial.find(outcome => outcome != null);
+
+        for (let i = this.quorum; agreed == null && i < backends.length; i++) {
+            agreed = await query(backends[i]);
+        }
+
+        if (agreed != null) {
+            return agreed.result;
+        }
+
+        if (votes.size === 0) {
+            throw errors[0];
+        }
+
+        ErrorUtils.throwError("Quorum not reached", ErrorCode.SERVER_ERROR, {
+            quorum: this.quorum,
+            results: votes.size,
+            errors: errors.length
+        });
+    }
+
+    /**
+     * Creates a filter on one of the backends and remembers the backend,
+     * since filters only exist on the node which created them.
+     *
+     * @param {Function} fn - The call creating the filter on a backend.
+     * @returns {Promise<Filter>} A Promise that resolves to the filter.
+     */
+    private async createFilter(fn: (provider: AbstractProvider) => Promise<Filter>): Promise<Filter> {
+        return this.perform(async provider => {
+            const filter = await fn(provider);
+            this.filters.set(filter.id, provider);
+            return filter;
+        });
+    }
+
+    /**
+     * Returns the backend which created the given filter.
+     *
+     * @param {Filter} filter - The filter.
+     * @returns {AbstractProvider} The backend which created the filter.
+     * @throws {Error} if the filter was not created through this provider.
+     */
+    private getFilterProvider(filter: Filter): AbstractProvider {
+        const provider = this.filters.get(filter.id);
+
+        if (provider == null) {
+            ErrorUtils.throwArgumentError("Unknown filter", "filter", filter);
+        }
+
+        return provider;
+    }
+
+    // Account Methods
+
+    public getBalance(address: string, assetId: string, options?: Options): Promise<number | bigint> {
+        return this.performRead(provider => provider.getBalance(address, assetId, options));
+    }
+
+    public getContextInfo(address: string, options?: Options): Promise<ContextInfo> {
+        return this.performRead(provider => provider.getContextInfo(address, options));
+    }
+
+    getTesseract(address: string, with_interactions: boolean, with_commit_info: boolean, options?: Options): Promise<Tesseract>;
+    getTesseract(with_interactions: boolean, with_commit_info: boolean, options?: Options): Promise<Tesseract>;
+    public getTesseract(...args: unknown[]): Promise<Tesseract> {
+        return this.performRead(provider => provider.getTesseract.apply(provider, args));
+    }
+
+    public getTDU(address: string, options?: Options): Promise<TDU[]> {
+        return this.performRead(provider => provider.getTDU(address, options));
+    }
+
+    public getInteractionByHash(ixHash: string): Promise<Interaction> {
+        return this.performRead(provider => provider.getInteractionByHash(ixHash));
+    }
+
+    getInteractionByTesseract(address: string, options?: Options, ix_index?: number): Promise<Interaction>;
+    getInteractionByTesseract(options: Options, ix_index?: number): Promise<Interaction>;
+    public getInteractionByTesseract(...args: unknown[]): Promise<Interaction> {
+        return this.performRead(provider => provider.getInteractionByTesseract.apply(provider, args));
+    }
+
+    public getInteractionCount(address: string, options?: Options): Promise<number | bigint> {
+        return this.performRead(provider => provider.getInteractionCount(address, options));
+    }
+
+    public getPendingInteractionCount(address: string): Promise<number | bigint> {
+        return this.perform(provider => provider.getPendingInteractionCount(address));
+    }
+
+    public getAccountState(address: string, options?: Options): Promise<AccountState> {
+        return this.performRead(provider => provider.getAccountState(address, options));
+    }
+
+    public getAccountMetaInfo(address: string, options?: Options): Promise<AccountMetaInfo> {
+        return this.performRead(provider => provider.getAccountMetaInfo(address, options));
+    }
+
+    public getLogicIds(address: string, options?: Options): Promise<string[]> {
+        return this.performRead(provider => provider.getLogicIds(address, options));
+    }
+
+    public getRegistry(address: string, options?: Options): Promise<Registry> {
+        return this.performRead(provider => provider.getRegistry(address, options));
+    }
+
+    public getSyncStatus(address?: string): Promise<SyncStatus> {
+        return this.perform(provider => provider.getSyncStatus(address));
+    }
+
+    public getContentFrom(address: string): Promise<ContentFrom> {
+        return this.perform(provider => provider.getContentFrom(address));
+    }
+
+    public getWaitTime(address: string): Promise<number | bigint> {
+        return this.perform(provider => provider.getWaitTime(address));
+    }
+
+    // Execution Methods
+
+    public call(ixObject: CallorEstimateIxObject, options?: CallorEstimateOptions): Promise<InteractionCallResponse> {
+        return this.perform(provider => provider.call(ixObject, options));
+    }
+
+    public estimateFuel(ixObject: CallorEstimateIxObject, options?: CallorEstimateOptions): Promise<number | bigint> {
+        return this.perform(provider => provider.estimateFuel(ixObject, options));
+    }
+
+    public getFuelPrice(): Promise<number | bigint> {
+        return this.perform(provider => provider.getFuelPrice());
+    }
+
+    public sendInteraction(ixObject: InteractionRequest): Promise<InteractionResponse> {
+        // A backend may have accepted the interaction even if it failed to
+        // respond, so it is only sent to the next backend if it was never
+        // delivered, the same rule the retry policy applies to it.
+        return this.perform(provider => provider.sendInteraction(ixObject), isUnsentRequestError);
+    }
+
+    // Query Methods
+
+    public getAssetInfoByAssetID(assetId: string, options?: Options): Promise<AssetInfo> {
+        return this.performRead(provider => provider.getAssetInfoByAssetID(assetId, options));
+    }
+
+    public getInteractionReceipt(ixHash: string): Promise<InteractionReceipt> {
+        return this.performRead(provider => provider.getInteractionReceipt(ixHash));
+    }
+
+    getStorageAt(logicId: string, storageKey: string, options?: Options): Promise<string>;
+    getStorageAt(logicId: string, storageKey: string, address: string, options?: Options): Promise<string>;
+    public getStorageAt(...args: unknown[]): Promise<string> {
+        return this.performRead(provider => provider.getStorageAt.apply(provider, args));
+    }
+
+    public getLogicManifest(logicId: string, encoding: Encoding, options?: Options): Promise<string | LogicManifest.Manifest> {
+        return this.performRead(provider => provider.getLogicManifest(logicId, encoding, options));
+    }
+
+    public getContent(): Promise<Content> {
+        return this.perform(provider => provider.getContent());
+    }
+
+    public getStatus(): Promise<Status> {
+        return this.perform(provider => provider.getStatus());
+    }
+
+    public getInspect(): Promise<Inspect> {
+        return this.perform(provider => provider.getInspect());
+    }
+
+    public getPeers(): Promise<string[]> {
+        return this.perform(provider => provider.getPeers());
+    }
+
+    public getVersion(): Promise<string> {
+        return this.perform(provider => provider.getVersion());
+    }
+
+    public getNodeInfo(): Promise<NodeInfo> {
+        return this.perform(provider => provider.getNodeInfo());
+    }
+
+    public getNewTesseractFilter(): Promise<Filter> {
+        return this.createFilter(provider => provider.getNewTesseractFilter());
+    }
+
+    public getNewTesseractsByAccountFilter(address: string): Promise<Filter> {
+        return this.createFilter(provider => provider.getNewTesseractsByAccountFilter(address));
+    }
+
+    public getPendingInteractionFilter(): Promise<Filter> {
+        return this.createFilter(provider => provider.getPendingInteractionFilter());
+    }
+
+    public getLogsFilter(filter: LogFilter): Promise<Filter> {
+        return this.createFilter(provider => provider.getLogsFilter(copyLogFilter(filter)));
+    }
+
+    public async getFilterChanges<T extends any>(filter: Filter): Promise<T> {
+        return this.getFilterProvider(filter).getFilterChanges<T>(filter);
+    }
+
+    public async removeFilter(filter: Filter): Promise<FilterDeletionResult> {
+        const result = await this.getFilterProvider(filter).removeFilter(filter);
+        this.filters.delete(filter.id);
+        return result;
+    }
+
+    public getLogs(filter: LogFilter): Promise<Log[]> {
+        return this.performRead(provider => provider.getLogs(copyLogFilter(filter)));
+    }
+
+    public getSubscription(event: ProviderEvents): Promise<string> {
+        return this.perform(provider => provider.getSubscription(event));
+    }
+}
@@ -1,9 +1,13 @@
+export type * from "../types/cache";
 export type * from "../types/event";
 export type * from "../types/jsonrpc";
+export type * from "../types/middleware";
 export type * from "../types/provider";
 export * from "./abstract-provider";
 export * from "./base-provider";
+export * from "./fallback-provider";
 export * from "./jsonrpc-provider";
+export * from "./response-cache";
 export * from "./voyage-provider";
 export * from "./interaction";
 export { WebSocketEvent } from "./websocket-events";
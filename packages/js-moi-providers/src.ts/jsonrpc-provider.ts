@@ -1,19 +1,63 @@
 import fetch from "cross-fetch";
 import { CustomError, ErrorCode, ErrorUtils } from "js-moi-utils";
 import { RpcResponse } from "../types/jsonrpc";
+import type { RequestContext } from "../types/middleware";
+import type { JsonRpcProviderOptions, RetryPolicy } from "../types/provider";
 import { BaseProvider } from "./base-provider";
+import { isIdempotentMethod, resolveRetryPolicy, withRetry } from "./retry";
+
+interface RpcPayload {
+    method: string;
+    params: any[];
+    jsonrpc: "2.0";
+    id: number;
+}
+
+interface PendingRequest {
+    payload: RpcPayload;
+    headers: Record<string, string>;
+    resolve: (response: RpcResponse<any>) => void;
+    reject: (error: Error) => void;
+}
+
+interface BatchQueue {
+    requests: PendingRequest[];
+    timer?: ReturnType<typeof setTimeout>;
+}
+
+// Default number of requests merged into a single batch
+const defaultBatchSize: number = 100;
+
+/**
+ * Serializes the headers of a request into a key which is equal for
+ * requests sending the same headers.
+ *
+ * @param headers - The headers of the request.
+ * @returns The key of the headers.
+ */
+const getHeadersKey = (headers: Record<string, string>): string => {
+    return JSON.stringify(Object.entries(headers).sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0));
+};
 
 /**
  * A class that represents a JSON-RPC provider for making RPC calls over HTTP.
  */
 export class JsonRpcProvider extends BaseProvider {
     protected host: string;
+    protected readonly options: JsonRpcProviderOptions;
+    protected readonly retryPolicy: Required<RetryPolicy>;
+
+    private readonly requestIds = { next: 1 };
+    private readonly batchQueue: BatchQueue | null;
 
-    constructor(host: string) {
-        super();
+    constructor(host: string, options?: JsonRpcProviderOptions) {
+        super(options);
 
         if(/^http(s)?:\/\//i.test(host) || /^ws(s)?:\/\//i.test(host)) {
             this.host = host
+            this.options = options ?? {}
+            this.retryPolicy = resolveRetryPolicy(this.options.retry)
+            this.batchQueue = this.options.batch ? { requests: [] } : null
 
             return
         }
@@ -21,69 +65,220 @@ export class JsonRpcProvider extends BaseProvider {
         ErrorUtils.throwError("Invalid request url!", ErrorCode.INVALID_ARGUMENT)
     }
 
+    /**
+     * Merges every RPC call made through the provider passed to the callback
+     * into a single JSON-RPC batch request, regardless of whether batching is
+     * enabled on the provider. The batched provider has its own queue, so
+     * calls made elsewhere in the meantime are not merged into the batch.
+     *
+     * @param callback - A function that issues calls on the batched provider and returns their promises.
+     * @returns A Promise that resolves to the results of the calls, in order.
+     * @throws Error if any of the calls fail.
+     *
+     * @example
+     * const [balance, tdu] = await provider.batch((batch) => [
+     *     batch.getBalance(address, assetId),
+     *     batch.getTDU(address)
+     * ]);
+     */
+    public async batch<T extends readonly unknown[]>(callback: (provider: this) => [...T]): Promise<{ [K in keyof T]: Awaited<T[K]> }> {
+        const queue: BatchQueue = { requests: [] };
+        const provider: this = Object.create(this, { batchQueue: { value: queue } });
+
+        return Promise.all(callback(provider)) as Promise<{ [K in keyof T]: Awaited<T[K]> }>;
+    }
+
     /**
      * Executes an RPC call by sending a method and parameters.
      *
      * @param method - The method to call.
      * @param params - The parameters for the method call.
+     * @param context - The context of the request. (optional)
      * @returns A Promise that resolves to the result of the RPC call.
      * @throws Error if there is an error executing the RPC call.
      */
-    protected async execute<T>(method: string, params: any): Promise<RpcResponse<T>> {
+    protected async execute<T>(method: string, params: any, context?: RequestContext): Promise<RpcResponse<T>> {
         try {
-            return await this.send(method, [params])
+            return await this.send(method, [params], context?.headers)
         } catch (error) {
             throw error
         }
     }
 
     /**
-     * Sends an RPC request to the JSON-RPC endpoint.
+     * Sends an RPC request to the JSON-RPC endpoint. When batching is active
+     * the request is queued and dispatched along with the other requests
+     * made through the same queue in the same tick.
      *
      * @param method - The method to call.
      * @param params - The parameters for the method call.
+     * @param headers - Additional headers to send with the request. (optional)
      * @returns A Promise that resolves to the result of the RPC call.
      * @throws Error if there is an error sending the RPC request.
      */
-    protected async send<T>(method: string, params: any[]): Promise<RpcResponse<T>> {
+    protected async send<T>(method: string, params: any[], headers: Record<string, string> = {}): Promise<RpcResponse<T>> {
+        const payload: RpcPayload = {
+            method: method,
+            params: params,
+            jsonrpc: "2.0",
+            id: this.requestIds.next++
+        };
+
+        const queue = this.batchQueue;
+
+        if (queue == null) {
+            return await this.post(payload, headers);
+        }
+
+        return new Promise((resolve, reject) => {
+            queue.requests.push({ payload, headers, resolve, reject });
+
+            if (queue.timer == null) {
+                queue.timer = setTimeout(() => this.flushBatch(queue), 0);
+            }
+        });
+    }
+
+    /**
+     * Dispatches the requests of the queue as JSON-RPC batches and routes
+     * each response back to its caller by id. A batch is sent with a single
+     * set of headers, so only requests with identical headers are batched
+     * together.
+     *
+     * @param queue - The queue to dispatch.
+     */
+    private flushBatch(queue: BatchQueue): void {
+        const groups = new Map<string, PendingRequest[]>();
+        const batchOptions = typeof this.options.batch === "object" ? this.options.batch : {};
+        const maxSize = batchOptions.maxSize ?? defaultBatchSize;
+
+        queue.requests.forEach(request => {
+            const key = getHeadersKey(request.headers);
+            groups.set(key, [...(groups.get(key) ?? []), request]);
+        });
+
+        queue.requests = [];
+        queue.timer = undefined;
+
+        groups.forEach(requests => {
+            for (let i = 0; i < requests.length; i += maxSize) {
+                this.dispatchBatch(requests.slice(i, i + maxSize));
+            }
+        });
+    }
+
+    /**
+     * Posts requests sharing the same headers as a single JSON-RPC batch.
+     *
+     * @param requests - The requests to dispatch.
+     */
+    private async dispatchBatch(requests: PendingRequest[]): Promise<void> {
+        if (requests.length === 1) {
+            const [request] = requests;
+            this.post(request.payload, request.headers).then(request.resolve, request.reject);
+            return;
+        }
+
         try {
-            const payload = {
-                method: method,
-                params: params,
-                jsonrpc: "2.0",
-                id: 1
-            };
+            const payloads = requests.map(request => request.payload);
+            const responses: RpcResponse<unknown>[] = await this.post(payloads, requests[0].headers);
+
+            if (!Array.isArray(responses)) {
+                ErrorUtils.throwError(
+                    "Invalid batch response received",
+                    ErrorCode.SERVER_ERROR
+                );
+            }
+
+            const responsesById = new Map(responses.map(response => [response.id, response]));
+
+            requests.forEach(request => {
+                const response = responsesById.get(request.payload.id);
+
+                if (response == null) {
+                    request.reject(new CustomError(
+                        `Missing response for request ${request.payload.id}`,
+                        ErrorCode.SERVER_ERROR,
+                        { method: request.payload.method }
+                    ));
+                    return;
+                }
 
+                request.resolve(response);
+            });
+        } catch (error) {
+            requests.forEach(request => request.reject(error));
+        }
+    }
+
+    /**
+     * Posts a single payload or a batch of payloads to the JSON-RPC endpoint,
+     * retrying transient failures according to the retry policy. A batch is
+     * only retried freely if every request in it is idempotent.
+     *
+     * @param body - The payload or the array of payloads to post.
+     * @param headers - Additional headers to send with the request.
+     * @returns A Promise that resolves to the parsed JSON response.
+     * @throws Error if there is an error sending the request.
+     */
+    private post(body: RpcPayload | RpcPayload[], headers: Record<string, string>): Promise<any> {
+        const payloads = Array.isArray(body) ? body : [body];
+        const idempotent = payloads.every(payload => isIdempotentMethod(payload.method));
+
+        return withRetry(() => this.attempt(body, headers), this.retryPolicy, idempotent);
+    }
+
+    /**
+     * Makes a single attempt to post the body to the JSON-RPC endpoint.
+     *
+     * @param body - The payload or the array of payloads to post.
+     * @param headers - Additional headers to send with the request.
+     * @returns A Promise that resolves to the parsed JSON response.
+     * @throws Error if there is an error sending the request.
+     */
+    private async attempt(body: RpcPayload | RpcPayload[], headers: Record<string, string>): Promise<any> {
+        try {
             const response = await fetch(this.host, {
                 method: 'POST',
-                body: JSON.stringify(payload),
+                body: JSON.stringify(body),
                 headers: {
+                    ...headers,
                     'Content-Type': 'application/json'
                 }
             });
-    
+
             if (!response.ok) {
                 const errMessage = await response.text();
-    
-                if (this.isServerError(response)) {
+
+                if (this.isServerError(response) || this.isRateLimited(response)) {
                     ErrorUtils.throwError(
                         `Error: ${errMessage}`,
-                        ErrorCode.SERVER_ERROR
+                        ErrorCode.SERVER_ERROR,
+                        { status: response.status }
                     )
                 }
-    
+
+                if (this.isClientError(response)) {
+                    ErrorUtils.throwError(
+                        `Error: ${errMessage}`,
+                        ErrorCode.CLIENT_ERROR,
+                        { status: response.status }
+                    )
+                }
+
                 throw new Error(errMessage)
             }
-    
+
             return await response.json()
         } catch(error) {
             if(error instanceof CustomError) {
                 throw error;
             }
-    
+
             ErrorUtils.throwError(
                 `Error: ${error.message}`,
-                ErrorCode.NETWORK_ERROR
+                ErrorCode.NETWORK_ERROR,
+                error.code ? { code: error.code } : {}
             )
         }
     }
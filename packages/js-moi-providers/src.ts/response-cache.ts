@@ -0,0 +1,252 @@
+import type { Tesseract } from "js-moi-utils";
+import type { CacheStats, CacheStorage, ResponseCacheOptions } from "../types/cache";
+import type { AccountMetaInfo, RpcResponse } from "../types/jsonrpc";
+import type { ProviderMiddleware, RequestContext } from "../types/middleware";
+
+// Default number of entries held by the in-memory storage
+const defaultMaxSize: number = 1000;
+
+// RPC methods returning data which never changes once it is final
+const CACHEABLE_METHODS = [
+    "moi.Tesseract",
+    "moi.InteractionByHash",
+    "moi.InteractionReceipt",
+    "moi.LogicManifest",
+    "moi.AssetInfoByAssetID"
+];
+
+// RPC methods addressed by the hash of an interaction
+const INTERACTION_METHODS = ["moi.InteractionByHash", "moi.InteractionReceipt"];
+
+// RPC methods returning data which never changes for the id it is addressed by
+const IMMUTABLE_METHODS: Record<string, (params: any) => string | undefined> = {
+    "moi.LogicManifest": (params) => params.logic_id != null ? `${params.logic_id.toLowerCase()}:${params.encoding}` : undefined
+};
+
+/**
+ * An in-memory cache storage which evicts the least recently used entry
+ * once it holds the maximum number of entries.
+ */
+export class LRUCacheStorage implements CacheStorage {
+    private readonly entries: Map<string, unknown> = new Map();
+    private readonly maxSize: number;
+
+    constructor(maxSize: number = defaultMaxSize) {
+        this.maxSize = maxSize;
+    }
+
+    public get(key: string): unknown {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        const value = this.entries.get(key);
+
+        // Re-insert the entry to mark it as the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        return value;
+    }
+
+    public set(key: string, value: unknown): void {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    public clear(): void {
+        this.entries.clear();
+    }
+
+    /**
+     * The number of entries held by the storage.
+     */
+    public get size(): number {
+        return this.entries.size;
+    }
+}
+
+/**
+ * A provider middleware which caches the responses of requests for immutable
+ * chain data. A response is only cached when the request addresses the data
+ * by hash, by an id whose data never changes such as a logic id, or by a
+ * height older than the latest known tesseract of the account. The latest
+ * heights are learned from the tesseracts and the account meta information
+ * returned through the provider.
+ *
+ * @example
+ * const cache = new ResponseCache({ maxSize: 500 });
+ * provider.use(cache);
+ */
+export class ResponseCache implements ProviderMiddleware {
+    private readonly storage: CacheStorage;
+    private readonly latestHeights: Map<string, bigint> = new Map();
+    private hits = 0;
+    private misses = 0;
+
+    constructor(options?: ResponseCacheOptions) {
+        this.storage = options?.storage ?? new LRUCacheStorage(options?.maxSize);
+    }
+
+    /**
+     * Returns the number of cache hits and misses so far.
+     *
+     * @returns {CacheStats} The cache statistics.
+     */
+    public getStats(): CacheStats {
+        return { hits: this.hits, misses: this.misses };
+    }
+
+    /**
+     * Removes every cached response and resets the statistics.
+     *
+     * @returns {Promise<void>}
+     */
+    public async clear(): Promise<void> {
+        await this.storage.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    public async beforeRequest(context: RequestContext): Promise<RpcResponse<unknown> | void> {
+        const key = this.getCacheKey(context.method, context.params);
+
+        if (key == null) {
+            return;
+        }
+
+        const result = await this.storage.get(key);
+
+        if (result === undefined) {
+            this.misses++;
+            context.meta.cacheKey = key;
+            return;
+        }
+
+        this.hits++;
+
+        return { jsonrpc: "2.0", id: 1, result };
+    }
+
+    public async afterResponse(context: RequestContext, response: RpcResponse<any>): Promise<void> {
+        if (response.result == null) {
+            return;
+        }
+
+        this.learnHeights(context.method, response.result);
+
+        const key = context.meta.cacheKey as string | undefined;
+
+        if (key != null && this.isFinal(context.method, response.result)) {
+            await this.storage.set(key, response.result);
+        }
+    }
+
+    /**
+     * Returns the cache key of a request, or undefined if its response
+     * must not be cached.
+     *
+     * @param {string} method - The RPC method.
+     * @param {any} params - The parameters of the RPC method.
+     * @returns {string | undefined} The cache key.
+     */
+    private getCacheKey(method: string, params: any): string | undefined {
+        if (!CACHEABLE_METHODS.includes(method) || params == null) {
+            return undefined;
+        }
+
+        if (IMMUTABLE_METHODS[method] != null) {
+            const id = IMMUTABLE_METHODS[method](params);
+
+            if (id != null) {
+                return `${method}:${id}`;
+            }
+        }
+
+        if (!INTERACTION_METHODS.includes(method) && !this.isAddressedImmutably(params)) {
+            return undefined;
+        }
+
+        return `${method}:${JSON.stringify(params)}`;
+    }
+
+    /**
+     * Checks whether the tesseract options of a request point to data
+     * which can no longer change.
+     *
+     * @param {any} params - The parameters of the RPC method.
+     * @returns {boolean} true if the request is addressed by hash or by an
+     * old height, false otherwise.
+     */
+    private isAddressedImmutably(params: any): boolean {
+        const options = params.options;
+
+        if (options?.tesseract_hash) {
+            return true;
+        }
+
+        if (params.address == null || options?.tesseract_number == null) {
+            return false;
+        }
+
+        const height = BigInt(options.tesseract_number);
+        const latest = this.latestHeights.get(params.address.toLowerCase());
+
+        return height >= 0 && latest != null && height < latest;
+    }
+
+    /**
+     * Checks whether a result is final. Interactions are only final once
+     * they are included in a tesseract.
+     *
+     * @param {string} method - The RPC method.
+     * @param {any} result - The result of the RPC method.
+     * @returns {boolean} true if the result is final, false otherwise.
+     */
+    private isFinal(method: string, result: any): boolean {
+        if (method === "moi.InteractionByHash") {
+            return Boolean(result.ts_hash);
+        }
+
+        return true;
+    }
+
+    /**
+     * Records the latest heights of the accounts seen in a result.
+     *
+     * @param {string} method - The RPC method.
+     * @param {any} result - The result of the RPC method.
+     */
+    private learnHeights(method: string, result: any): void {
+        switch (method) {
+            case "moi.AccountMetaInfo": {
+                const info = result as AccountMetaInfo;
+                this.learnHeight(info.address, info.height);
+                break;
+            }
+            case "moi.Tesseract": {
+                const tesseract = result as Tesseract;
+                tesseract.participants?.forEach(participant => this.learnHeight(participant.address, participant.height));
+                break;
+            }
+        }
+    }
+
+    private learnHeight(address: string, height: string): void {
+        if (address == null || height == null) {
+            return;
+        }
+
+        const key = address.toLowerCase();
+        const value = BigInt(height);
+        const latest = this.latestHeights.get(key);
+
+        if (latest == null || value > latest) {
+            this.latestHeights.set(key, value);
+        }
+    }
+}
@@ -0,0 +1,111 @@
+import { CustomError, ErrorCode } from "js-moi-utils";
+import type { RetryPolicy } from "../types/provider";
+
+export const DEFAULT_RETRY_POLICY: Required<RetryPolicy> = {
+    maxAttempts: 3,
+    baseDelay: 250,
+    maxDelay: 5000,
+    jitter: true,
+    retryableErrors: [ErrorCode.NETWORK_ERROR, ErrorCode.SERVER_ERROR, ErrorCode.TIMEOUT]
+};
+
+// RPC methods which change the state of the network when accepted by a node
+const NON_IDEMPOTENT_METHODS = ["moi.SendInteractions"];
+
+// Connection failures which guarantee that the request never reached the node
+const UNSENT_REQUEST_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN", "EHOSTUNREACH", "ENETUNREACH"];
+
+// HTTP statuses returned when the node did not accept the request
+const UNSENT_REQUEST_STATUSES = [429, 503];
+
+/**
+ * Resolves the retry option of a provider into a complete retry policy.
+ *
+ * @param {boolean | RetryPolicy} option - The retry option given to the provider. (optional)
+ * @returns {Required<RetryPolicy>} The resolved retry policy.
+ */
+export const resolveRetryPolicy = (option?: boolean | RetryPolicy): Required<RetryPolicy> => {
+    if (option === false) {
+        return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+    }
+
+    if (option == null || option === true) {
+        return DEFAULT_RETRY_POLICY;
+    }
+
+    return { ...DEFAULT_RETRY_POLICY, ...option };
+};
+
+/**
+ * Checks whether an RPC method can be sent more than once without side effects.
+ *
+ * @param {string} method - The RPC method.
+ * @returns {boolean} true if the method is idempotent, false otherwise.
+ */
+export const isIdempotentMethod = (method: string): boolean => {
+    return !NON_IDEMPOTENT_METHODS.includes(method);
+};
+
+/**
+ * Checks whether an error proves that the request was never accepted by the
+ * node, which makes it safe to retry even non-idempotent requests.
+ *
+ * @param {unknown} error - The error thrown while sending the request.
+ * @returns {boolean} true if the request was never accepted, false otherwise.
+ */
+export const isUnsentRequestError = (error: unknown): boolean => {
+    if (!(error instanceof CustomError)) {
+        return false;
+    }
+
+    switch (error.code) {
+        case ErrorCode.NETWORK_ERROR:
+            return UNSENT_REQUEST_CODES.includes(error.params.code);
+        case ErrorCode.SERVER_ERROR:
+            return UNSENT_REQUEST_STATUSES.includes(error.params.status);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Computes the delay before the next attempt using exponential backoff.
+ *
+ * @param {number} attempt - The number of attempts made so far.
+ * @param {Required<RetryPolicy>} policy - The retry policy.
+ * @returns {number} The delay in milliseconds.
+ */
+export const getBackoffDelay = (attempt: number, policy: Required<RetryPolicy>): number => {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+
+    return policy.jitter ? Math.floor(Math.random() * delay) : delay;
+};
+
+/**
+ * Calls the given function until it succeeds, the error is not retryable
+ * or the maximum number of attempts is reached.
+ *
+ * @param {Function} fn - The function to call.
+ * @param {Required<RetryPolicy>} policy - The retry policy.
+ * @param {boolean} idempotent - Whether the call can be repeated without side
+ * effects. Non-idempotent calls are only retried if they were never accepted.
+ * @returns {Promise<T>} A Promise that resolves to the result of the function.
+ * @throws {Error} The last error thrown by the function.
+ */
+export const withRetry = async <T>(fn: () => Promise<T>, policy: Required<RetryPolicy>, idempotent: boolean): Promise<T> => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            const retryable = error instanceof CustomError &&
+                policy.retryableErrors.includes(error.code) &&
+                (idempotent || isUnsentRequestError(error));
+
+            if (!retryable || attempt >= policy.maxAttempts) {
+                throw error;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, getBackoffDelay(attempt, policy)));
+        }
+    }
+};
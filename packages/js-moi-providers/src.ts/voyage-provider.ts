@@ -2,15 +2,21 @@ import fetch from 'cross-fetch';
 import { BaseProvider } from './base-provider';
 import { ErrorCode, ErrorUtils, CustomError } from "js-moi-utils";
 import { RpcResponse } from '../types/jsonrpc';
+import type { RequestContext } from '../types/middleware';
+import type { HttpProviderOptions, RetryPolicy } from '../types/provider';
+import { isIdempotentMethod, resolveRetryPolicy, withRetry } from './retry';
 
 /**
  * A provider for making RPC calls to voyage nodes.
  */
 export class VoyageProvider extends BaseProvider {
   private host: string;
+  private readonly retryPolicy: Required<RetryPolicy>;
 
-  constructor(network: string) {
-    super();
+  constructor(network: string, options?: HttpProviderOptions) {
+    super(options);
+
+    this.retryPolicy = resolveRetryPolicy(options?.retry);
 
     switch (network) {
       case 'babylon':
@@ -26,38 +32,54 @@ export class VoyageProvider extends BaseProvider {
    * 
    * @param {string} method - The method to execute.
    * @param {any} params - The parameters for the method.
+   * @param {RequestContext} context - The context of the request. (optional)
    * @returns {Promise<any>} A promise that resolves to the result of the RPC call.
    * @throws {Error} Throws any error encountered during the RPC call.
    */
-  protected async execute<T>(method: string, params: any): Promise<RpcResponse<T>> {
+  protected async execute<T>(method: string, params: any, context?: RequestContext): Promise<RpcResponse<T>> {
     try {
-      return await this.send(method, [params]);
+      return await this.send(method, [params], context?.headers);
     } catch (error) {
       throw error;
     }
   }
 
   /**
-   * Sends an RPC request to the Voyage endpoint.
+   * Sends an RPC request to the Voyage endpoint, retrying transient failures
+   * according to the retry policy.
    * 
    * @param {string} method - The method to execute.
    * @param {any[]} params - The parameters for the method.
+   * @param {Record<string, string>} headers - Additional headers to send with the request. (optional)
+   * @returns {Promise<any>} A promise that resolves to the result of the RPC call.
+   * @throws {Error} Throws any error encountered during the RPC call.
+   */
+  protected async send(method: string, params: any[], headers: Record<string, string> = {}): Promise<any> {
+    const payload = {
+      method: method,
+      params: params,
+      jsonrpc: '2.0',
+      id: 1,
+    };
+
+    return withRetry(() => this.attempt(payload, headers), this.retryPolicy, isIdempotentMethod(method));
+  }
+
+  /**
+   * Makes a single attempt to post the payload to the Voyage endpoint.
+   * 
+   * @param {object} payload - The JSON-RPC payload.
+   * @param {Record<string, string>} headers - Additional headers to send with the request.
    * @returns {Promise<any>} A promise that resolves to the result of the RPC call.
    * @throws {Error} Throws any error encountered during the RPC call.
    */
-  protected async send(method: string, params: any[]): Promise<any> {
+  private async attempt(payload: object, headers: Record<string, string>): Promise<any> {
     try {
-      const payload = {
-        method: method,
-        params: params,
-        jsonrpc: '2.0',
-        id: 1,
-      };
-  
       const response = await fetch(this.host, {
         method: 'POST',
         body: JSON.stringify(payload),
         headers: {
+            ...headers,
             'Content-Type': 'application/json'
         }
       })
@@ -65,10 +87,19 @@ export class VoyageProvider extends BaseProvider {
       if (!response.ok) {
         const errMessage = await response.text();
 
-        if (this.isServerError(response)) {
+        if (this.isServerError(response) || this.isRateLimited(response)) {
+            ErrorUtils.throwError(
+                `Error: ${errMessage}`,
+                ErrorCode.SERVER_ERROR,
+                { status: response.status }
+            )
+        }
+
+        if (this.isClientError(response)) {
             ErrorUtils.throwError(
                 `Error: ${errMessage}`,
-                ErrorCode.SERVER_ERROR
+                ErrorCode.CLIENT_ERROR,
+                { status: response.status }
             )
         }
 
@@ -83,7 +114,8 @@ export class VoyageProvider extends BaseProvider {
 
       ErrorUtils.throwError(
           `Error: ${err.message}`,
-          ErrorCode.NETWORK_ERROR
+          ErrorCode.NETWORK_ERROR,
+          err.code ? { code: err.code } : {}
       )
     }
   }
@@ -7,11 +7,13 @@ export enum WebSocketEvent {
 
     Reconnect = "reconnect",
 
+    Resubscribed = "resubscribed",
+
     NewTesseracts = "newTesseracts",
 
     NewPendingInteractions = "newPendingInteractions",
 
-    NewLog = "newLog",
+    NewLog = "newLogs",
 
     NewTesseractsByAccount = "newTesseractsByAccount",
 }
\ No newline at end of file
@@ -1,13 +1,16 @@
-import { ErrorCode, ErrorUtils, type Tesseract } from "js-moi-utils";
-import { w3cwebsocket as Websocket, type ICloseEvent } from "websocket";
-import type { Log, RpcResponse } from "../types/jsonrpc";
+import { CustomError, ErrorCode, ErrorUtils, type Tesseract } from "js-moi-utils";
+import { w3cwebsocket as Websocket, type ICloseEvent, type IMessageEvent } from "websocket";
+import type { InteractionReceipt, Log, RpcResponse, WaitOptions } from "../types/jsonrpc";
+import type { BaseProviderOptions } from "../types/provider";
 import type { NewLogs, NewTesseractsByAccount, ProviderEvents, WebsocketEventMap } from "../types/websocket";
 import { BaseProvider } from "./base-provider";
+import { ConnectionNotOpenError, MaxAttemptsReachedOnReconnectingError, PendingRequestsOnReconnectingError } from "./errors";
+import { isIdempotentMethod } from "./retry";
 import { WebSocketEvent } from "./websocket-events";
 
 type TypeOfWebsocketConst = ConstructorParameters<typeof Websocket>;
 
-interface WebsocketConnection {
+interface WebsocketConnection extends BaseProviderOptions {
     protocols?: TypeOfWebsocketConst[1];
     headers?: TypeOfWebsocketConst[3];
     requestOptions?: TypeOfWebsocketConst[4];
@@ -15,14 +18,44 @@ interface WebsocketConnection {
     reconnect?: {
         delay: number;
         maxAttempts: number;
+        replayRequests?: boolean;
     }
     timeout?: number;
+    requestTimeout?: number;
+    heartbeat?: {
+        interval: number;
+        timeout?: number;
+        method?: string;
+    }
+}
+
+interface PendingRequest {
+    method: string;
+    params: any[];
+    sent: boolean;
+    resolve: (response: RpcResponse<any>) => void;
+    reject: (error: Error) => void;
+    timer?: ReturnType<typeof setTimeout>;
 }
 
+interface Subscription {
+    subID?: Promise<string>;
+    id?: string;
+    uuid?: string;
+    params?: unknown;
+    handler?: (message: IMessageEvent) => void;
+}
+
+// Default timeout value of a request in milliseconds
+const defaultRequestTimeout: number = 30000;
+
+// Default RPC method sent to check that the connection is alive
+const defaultHeartbeatMethod: string = "net.Version";
+
 const WEBSOCKET_HOST_REGEX = /^wss?:\/\/([a-zA-Z0-9-]+\.)*[a-zA-Z0-9-]+(:[0-9]+)?(\/.*)?$/;
 
 const crypto = globalThis.crypto ?? global.crypto
-const randomUUID = crypto.randomUUID;
+const randomUUID = (): string => crypto.randomUUID();
 
 export class WebsocketProvider extends BaseProvider {
     private ws: Websocket;
@@ -30,14 +63,19 @@ export class WebsocketProvider extends BaseProvider {
     private reconnectInterval?: NodeJS.Timeout;
     private readonly host: string;
     private readonly options?: WebsocketConnection;
-    private readonly subscriptions: Map<ProviderEvents, { subID?: Promise<string>, uuid?: string }> = new Map();
+    private readonly subscriptions: Map<ProviderEvents, Subscription> = new Map();
+    private readonly pendingRequests: Map<number, PendingRequest> = new Map();
+    private nextId = 1;
+    private connected = false;
+    private heartbeatTimer?: ReturnType<typeof setTimeout>;
+    private heartbeatDeadline?: ReturnType<typeof setTimeout>;
 
     constructor(host: string, options?: WebsocketConnection) {
         if (!WEBSOCKET_HOST_REGEX.test(host)) {
             ErrorUtils.throwArgumentError("Invalid host", "host", host);
         }
 
-        super();
+        super(options);
         this.host = host;
         this.options = options;
         this.ws = this.createNewWebsocket(host, options);
@@ -49,7 +87,7 @@ export class WebsocketProvider extends BaseProvider {
         ws.onopen = () => this.handleOnConnect();
         ws.onerror = (error) => this.handleOnError(error);
         ws.onclose = (event) => this.handleOnClose(event);
-        ws.onmessage = (message) => this.emit('message', message);
+        ws.onmessage = (message) => this.handleOnMessage(message);
 
         if (options?.timeout) {
             setTimeout(() => {
@@ -65,6 +103,7 @@ export class WebsocketProvider extends BaseProvider {
     }
 
     private reconnect(): void {
+        this.stopHeartbeat();
         this.reconnects++;
         this.ws = this.createNewWebsocket(this.host, this.options);
         this.emit('reconnect', this.reconnects);
@@ -77,7 +116,9 @@ export class WebsocketProvider extends BaseProvider {
                 }
 
                 if (this.reconnects >= this.options.reconnect.maxAttempts) {
-                    this.emit('error', new Error('Max reconnect attempts reached'));
+                    const error = MaxAttemptsReachedOnReconnectingError();
+                    this.rejectPendingRequests(error);
+                    this.emit('error', error);
                     clearInterval(interval);
                     return;
                 }
@@ -117,8 +158,130 @@ export class WebsocketProvider extends BaseProvider {
     }
 
     private handleOnConnect(): void {
+        const reconnected = this.connected;
+
         this.reconnects = 0;
+        this.connected = true;
+
+        for (const [id, request] of this.pendingRequests) {
+            if (!request.sent) {
+                this.sendRequest(id, request);
+            }
+        }
+
+        this.startHeartbeat(this.ws);
         this.emit('connect');
+
+        if (reconnected) {
+            this.resubscribe();
+        }
+    }
+
+    /**
+     * Sends a heartbeat request after every interval while the connection is
+     * open. If no heartbeat succeeds within the deadline, the connection is
+     * treated as dead and closed, which starts the reconnect process.
+     *
+     * @param {Websocket} ws - The websocket connection to keep alive.
+     */
+    private startHeartbeat(ws: Websocket): void {
+        if (this.options?.heartbeat == null) {
+            return;
+        }
+
+        this.stopHeartbeat();
+        this.scheduleHeartbeat(ws);
+    }
+
+    private scheduleHeartbeat(ws: Websocket): void {
+        const heartbeat = this.options.heartbeat;
+
+        this.heartbeatTimer = setTimeout(async () => {
+            // A deadline left by a failed heartbeat keeps running, so that
+            // the connection is closed unless a later heartbeat succeeds.
+            this.heartbeatDeadline ??= setTimeout(() => {
+                if (ws === this.ws && ws.readyState === ws.OPEN) {
+                    ws.close(3008, "Heartbeat timeout");
+                }
+            }, heartbeat.timeout ?? heartbeat.interval);
+
+            let succeeded = false;
+
+            try {
+                await this.execute(heartbeat.method ?? defaultHeartbeatMethod, null);
+                succeeded = true;
+            } catch (error) {
+                // A failed heartbeat is left to the deadline
+            }
+
+            if (ws !== this.ws || ws.readyState !== ws.OPEN) {
+                return;
+            }
+
+            if (succeeded) {
+                clearTimeout(this.heartbeatDeadline);
+                this.heartbeatDeadline = undefined;
+            }
+
+            this.scheduleHeartbeat(ws);
+        }, heartbeat.interval);
+    }
+
+    /**
+     * Stops sending heartbeats and clears the pending deadline, so that it
+     * cannot close a connection after it has been replaced.
+     */
+    private stopHeartbeat(): void {
+        clearTimeout(this.heartbeatTimer);
+        clearTimeout(this.heartbeatDeadline);
+        this.heartbeatTimer = undefined;
+        this.heartbeatDeadline = undefined;
+    }
+
+    /**
+     * Subscribes again to every event which still has listeners, as the
+     * subscriptions of the node are lost along with the dropped connection.
+     * The new subscription ids are mapped to the existing listeners and the
+     * resubscribed event is emitted once all subscriptions are restored.
+     */
+    private async resubscribe(): Promise<void> {
+        const events = [...this.subscriptions.keys()].filter(event => {
+            const sub = this.subscriptions.get(event);
+            const name = typeof event === "string" ? event : sub.uuid;
+
+            return sub.subID != null && this.listenerCount(name) > 0;
+        });
+
+        try {
+            await Promise.all(events.map(async (event) => {
+                const sub = this.subscriptions.get(event);
+
+                sub.subID = this.subscribe(sub.params);
+                sub.id = await sub.subID;
+            }));
+
+            this.emit(WebSocketEvent.Resubscribed, events);
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    private handleOnMessage(message: IMessageEvent): void {
+        try {
+            const response: RpcResponse<unknown> = JSON.parse(message.data as string);
+            const request = this.pendingRequests.get(response.id);
+
+            if (request != null) {
+                clearTimeout(request.timer);
+                this.pendingRequests.delete(response.id);
+                request.resolve(response);
+            }
+        } catch (error) {
+            // Messages which are not JSON-RPC responses are left to the
+            // message listeners.
+        }
+
+        this.emit('message', message);
     }
 
     private handleOnError(error: Error): void {
@@ -128,57 +291,194 @@ export class WebsocketProvider extends BaseProvider {
     private handleOnClose(event: ICloseEvent): void {
         const isError = event.code !== 1000;
 
-        if (isError) {
-            if (this.options?.reconnect && this.reconnects < this.options.reconnect.maxAttempts) {
+        this.stopHeartbeat();
+
+        if (isError && this.options?.reconnect) {
+            if (this.reconnects < this.options.reconnect.maxAttempts) {
                 if (this.reconnectInterval) {
                     clearInterval(this.reconnectInterval);
                 }
 
+                this.handlePendingRequestsOnReconnect();
                 this.reconnect();
                 return;
             }
+
+            this.rejectPendingRequests(MaxAttemptsReachedOnReconnectingError());
         }
 
+        this.rejectPendingRequests(ConnectionNotOpenError(event));
         this.emit('close');
     }
 
+    /**
+     * Executes an RPC call over the websocket connection. The request is
+     * sent once the connection is open and is rejected if no response
+     * arrives within the request timeout.
+     *
+     * @param {string} method - The method to call.
+     * @param {any} params - The parameters for the method call.
+     * @returns {Promise<RpcResponse>} A Promise that resolves to the response of the RPC call.
+     * @throws {CustomError} if the request times out.
+     * @throws {Error} if the connection is closed before the response arrives.
+     */
     protected execute<T = unknown>(method: string, params: any): Promise<RpcResponse<T>> {
-        if (this.ws.readyState !== this.ws.OPEN) {
-            return new Promise((resolve) => {
-                this.once(WebSocketEvent.Connect, async () => {
-                    resolve(await this.handleRpcRequest(method, params));
-                });
-            });
-        }
+        const id = this.nextId++;
+        const timeout = this.options?.requestTimeout ?? defaultRequestTimeout;
+
+        return new Promise<RpcResponse<T>>((resolve, reject) => {
+            const request: PendingRequest = {
+                method: method,
+                params: Array.isArray(params) ? params : [params],
+                sent: false,
+                resolve: resolve,
+                reject: reject
+            };
 
-        return this.handleRpcRequest(method, params);
+            if (timeout > 0) {
+                request.timer = setTimeout(() => {
+                    this.rejectRequest(id, new CustomError("request timed out", ErrorCode.TIMEOUT, { method, timeout }));
+                }, timeout);
+            }
+
+            this.pendingRequests.set(id, request);
+
+            if (this.ws.readyState === this.ws.OPEN) {
+                this.sendRequest(id, request);
+            }
+        });
     }
 
-    private handleRpcRequest<T = unknown>(method: string, params: any) {
-        const inputParams = Array.isArray(params) ? params : [params];
+    private sendRequest(id: number, request: PendingRequest): void {
         const payload = {
-            method: method,
-            params: inputParams,
+            method: request.method,
+            params: request.params,
             jsonrpc: "2.0",
-            id: randomUUID(),
+            id: id,
         };
 
-        return new Promise<RpcResponse<T>>((resolve) => {
-            const handler = (message: MessageEvent) => {
-                const response: Omit<RpcResponse<T>, "id"> & { id: string; } = JSON.parse(message.data);
+        try {
+            this.ws.send(JSON.stringify(payload));
+            request.sent = true;
+        } catch (error) {
+            this.rejectRequest(id, error);
+        }
+    }
+
+    private rejectRequest(id: number, error: Error): void {
+        const request = this.pendingRequests.get(id);
 
-                if (response.id !== payload.id as unknown) {
-                    return;
+        if (request == null) {
+            return;
+        }
+
+        clearTimeout(request.timer);
+        this.pendingRequests.delete(id);
+        request.reject(error);
+    }
+
+    private rejectPendingRequests(error: Error): void {
+        for (const id of this.pendingRequests.keys()) {
+            this.rejectRequest(id, error);
+        }
+    }
+
+    /**
+     * Prepares the requests sent over a dropped connection for the new
+     * connection. Idempotent requests are sent again once the provider
+     * reconnects if replaying is enabled, the others are rejected as their
+     * responses are lost.
+     */
+    private handlePendingRequestsOnReconnect(): void {
+        const replay = this.options?.reconnect?.replayRequests === true;
+
+        for (const [id, request] of this.pendingRequests) {
+            if (!request.sent) {
+                continue;
+            }
+
+            if (replay && isIdempotentMethod(request.method)) {
+                request.sent = false;
+                continue;
+            }
+
+            this.rejectRequest(id, PendingRequestsOnReconnectingError());
+        }
+    }
+
+    /**
+     * Waits for the interaction with the specified hash to be included in a
+     * tesseract and returns the interaction receipt. Instead of polling, it
+     * subscribes to the tesseracts of the interaction sender and resolves as
+     * soon as a tesseract containing the interaction arrives. It falls back
+     * to polling if the sender of the interaction cannot be found or the
+     * subscription fails. The subscription is cancelled once the wait ends.
+     *
+     * @param {string} interactionHash - The hash of the interaction.
+     * @param {number} timeout - The timeout duration in seconds (optional).
+     * @param {WaitOptions} options - The abort signal and polling options (optional).
+     * @returns {Promise<InteractionReceipt>} A Promise that resolves to the
+     * interaction receipt.
+     * @throws {Error} if there is an error executing the RPC call, the timeout
+     * is reached or the wait is aborted.
+     */
+    protected override async waitForInteraction(interactionHash: string, timeout?: number, options?: WaitOptions): Promise<InteractionReceipt> {
+        const interaction = await this.getInteractionByHash(interactionHash).catch(() => null);
+
+        if (interaction?.sender == null) {
+            return super.waitForInteraction(interactionHash, timeout, options);
+        }
+
+        const event: NewTesseractsByAccount = {
+            event: WebSocketEvent.NewTesseractsByAccount,
+            params: { address: interaction.sender }
+        };
+
+        return this.waitUntil<InteractionReceipt>(timeout, options?.signal, (resolve, isSettled) => {
+            const polling = new AbortController();
+
+            const checkReceipt = async () => {
+                const receipt = await this.getInteractionReceipt(interactionHash).catch(() => null);
+
+                if (receipt != null && !isSettled()) {
+                    resolve(receipt);
                 }
+            };
 
-                // @ts-ignore - don't want to expose the message event
-                this.removeListener('message', handler);
-                resolve({ ...response, id: 1 });
+            const listener = (tesseract: Tesseract) => {
+                if (tesseract.ixns == null || tesseract.ixns.some(ix => ix.hash === interactionHash)) {
+                    checkReceipt();
+                }
             };
 
-            // @ts-ignore - don't want to expose the message event
-            this.on('message', handler);
-            this.ws.send(JSON.stringify(payload));
+            // A tesseract may have been missed while the connection was down,
+            // so the receipt is checked again once the subscription is restored
+            const onResubscribed = () => checkReceipt();
+
+            this.on(event, listener);
+            this.on(WebSocketEvent.Resubscribed, onResubscribed);
+
+            this.getSubscription(event).then(
+                // The interaction may have been included before the subscription
+                // was confirmed, so the receipt is checked once it is active
+                () => checkReceipt(),
+                () => {
+                    if (isSettled()) {
+                        return;
+                    }
+
+                    // The polling is aborted along with this wait, which rejects
+                    // on its own once the timeout is reached
+                    super.waitForInteraction(interactionHash, timeout, { ...options, signal: polling.signal })
+                        .then(resolve, () => {});
+                }
+            );
+
+            return () => {
+                polling.abort();
+                this.removeListener(event, listener);
+                this.removeListener(WebSocketEvent.Resubscribed, onResubscribed);
+            };
         });
     }
 
@@ -189,20 +489,120 @@ export class WebsocketProvider extends BaseProvider {
     }
 
     public override async getSubscription(eventName: ProviderEvents): Promise<string> {
+        const sub = this.subscriptions.get(eventName) ?? {};
+
+        if (sub.subID != null) {
+            return await sub.subID;
+        }
+
+        // The parameters are kept to subscribe again after a reconnect
+        sub.params = this.getSubscriptionParams(eventName);
+        sub.subID = this.subscribe(sub.params);
+        this.subscriptions.set(eventName, sub);
+
+        sub.id = await sub.subID;
+        return sub.id;
+    }
+
+    /**
+     * Subscribes to the event on the node, if it is not subscribed yet, and
+     * emits the results of the subscription to the listeners of the event.
+     * The subscription is removed once the event has no listeners left.
+     *
+     * @param {ProviderEvents} eventName - The event to subscribe to.
+     */
+    private listenToSubscription(eventName: ProviderEvents): void {
         const sub = this.subscriptions.get(eventName);
 
         if (sub?.subID != null) {
-            return await this.subscriptions.get(eventName).subID;
+            return;
         }
 
+        this.getSubscription(eventName).then(() => {
+            const _sub = this.subscriptions.get(eventName);
+
+            // The listeners may have been removed before the node confirmed the subscription
+            if (_sub == null || _sub.handler != null) {
+                return;
+            }
+
+            _sub.handler = (message: IMessageEvent) => {
+                const data = JSON.parse(message.data as string);
+
+                // The subscription id changes when the provider resubscribes after a reconnect
+                if (!("method" in data) || data.method !== "moi.subscription" || data.params.subscription !== _sub.id) {
+                    return
+                }
+
+                const name = typeof eventName === "string" ? eventName : _sub.uuid;
+
+                if (name == null) {
+                    return;
+                }
+
+                this.emit(name, this.processWsResult(eventName, data.params.result));
+
+                // The last listener may have been registered with once
+                if (this.listenerCount(name) === 0) {
+                    this.unsubscribe(eventName);
+                }
+            };
+
+            super.on("message", _sub.handler);
+        }).catch((error) => {
+            this.subscriptions.delete(eventName);
+
+            if (this.listenerCount("error") > 0) {
+                this.emit("error", error);
+            }
+        });
+    }
+
+    /**
+     * Removes the subscription of the event, along with the handler of its
+     * messages, and cancels the subscription on the node.
+     *
+     * @param {ProviderEvents} eventName - The event to unsubscribe from.
+     * @returns {Promise<void>} A Promise that resolves once the node has
+     * cancelled the subscription.
+     */
+    private async unsubscribe(eventName: ProviderEvents): Promise<void> {
+        const sub = this.subscriptions.get(eventName);
+
         if (sub == null) {
-            const promise = super.getSubscription(eventName);
-            this.subscriptions.set(eventName, { subID: promise });
-            return await promise;
+            return;
         }
 
-        sub.subID = super.getSubscription(eventName);
-        return await sub.subID;
+        this.subscriptions.delete(eventName);
+
+        if (sub.handler != null) {
+            super.removeListener("message", sub.handler);
+        }
+
+        if (sub.subID == null || this.ws.readyState !== this.ws.OPEN) {
+            return;
+        }
+
+        try {
+            await this.request("moi.unsubscribe", await sub.subID);
+        } catch (error) {
+            // The subscription is dropped by the node along with the
+            // connection, so a failed request is not worth reporting.
+        }
+    }
+
+    /**
+     * Cancels the subscription of the event if it has no listeners left.
+     *
+     * @param {ProviderEvents} eventName - The event whose listener was removed.
+     */
+    private releaseSubscription(eventName: ProviderEvents): void {
+        const sub = this.subscriptions.get(eventName);
+        const name = typeof eventName === "string" ? eventName : sub?.uuid;
+
+        if (sub != null && name != null && this.listenerCount(name) === 0) {
+            this.unsubscribe(eventName);
+        }
     }
 
     on(eventName: NewLogs, listener: (log: Log) => void): this;
@@ -236,34 +636,7 @@ export class WebsocketProvider extends BaseProvider {
         }
 
         if (this.isSubscriptionEvent(eventName)) {
-            const _sub = this.subscriptions.get(eventName);
-
-            if (_sub?.subID != null) {
-                return this;
-            }
-
-
-            this.getSubscription(eventName).then((subscription) => {
-                // @ts-ignore - don't want to expose the message event
-                this.on("message", (message: MessageEvent<string>) => {
-                    const data = JSON.parse(message.data);
-
-                    if (!("method" in data) || data.method !== "moi.subscription" || data.params.subscription !== subscription) {
-                        return
-                    }
-
-                    if (typeof eventName === "string") {
-                        this.emit(eventName, this.processWsResult(eventName as ProviderEvents, data.params.result));
-                        return;
-                    }
-
-                    if (typeof eventName === "object" && _sub.uuid != null) {
-                        this.emit(_sub.uuid, this.processWsResult(eventName, data.params.result));
-                        return;
-                    }
-
-                });
-            });
+            this.listenToSubscription(eventName);
         }
 
         return this;
@@ -300,34 +673,7 @@ export class WebsocketProvider extends BaseProvider {
         }
 
         if (this.isSubscriptionEvent(eventName)) {
-            const _sub = this.subscriptions.get(eventName);
-
-            if (_sub?.subID != null) {
-                return this;
-            }
-
-
-            this.getSubscription(eventName).then((subscription) => {
-                // @ts-ignore - don't want to expose the message event
-                this.on("message", (message: MessageEvent<string>) => {
-                    const data = JSON.parse(message.data);
-
-                    if (!("method" in data) || data.method !== "moi.subscription" || data.params.subscription !== subscription) {
-                        return
-                    }
-
-                    if (typeof eventName === "string") {
-                        this.emit(eventName, this.processWsResult(eventName, data.params.result));
-                        return;
-                    }
-
-                    if (typeof eventName === "object" && _sub.uuid != null) {
-                        this.emit(_sub.uuid, this.processWsResult(eventName, data.params.result));
-                        return;
-                    }
-
-                });
-            });
+            this.listenToSubscription(eventName);
         }
 
         return this;
@@ -356,8 +702,10 @@ export class WebsocketProvider extends BaseProvider {
             }
 
             super.removeListener(_sub.uuid, listener);
-            this.subscriptions.delete(eventName);
         }
+
+        this.releaseSubscription(eventName);
+
         return this;
     }
 
@@ -369,7 +717,13 @@ export class WebsocketProvider extends BaseProvider {
      * @returns - The provider instance
      */
     off(eventName: string | symbol, listener: (...args: any[]) => void): this {
-        return super.off(eventName, listener);
+        super.off(eventName, listener);
+
+        if (typeof eventName === "string") {
+            this.releaseSubscription(eventName as ProviderEvents);
+        }
+
+        return this;
     }
 
     /**
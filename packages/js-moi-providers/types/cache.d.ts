@@ -0,0 +1,31 @@
+export interface CacheStorage {
+    /**
+     * Returns the value stored under the key, or undefined if there is none.
+     */
+    get(key: string): unknown | Promise<unknown>;
+    /**
+     * Stores the value under the key.
+     */
+    set(key: string, value: unknown): void | Promise<void>;
+    /**
+     * Removes every stored value.
+     */
+    clear(): void | Promise<void>;
+}
+
+export interface CacheStats {
+    hits: number;
+    misses: number;
+}
+
+export interface ResponseCacheOptions {
+    /**
+     * The storage holding the cached responses. Defaults to an in-memory
+     * LRU storage.
+     */
+    storage?: CacheStorage;
+    /**
+     * The maximum number of entries of the default in-memory storage.
+     */
+    maxSize?: number;
+}
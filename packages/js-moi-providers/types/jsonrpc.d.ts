@@ -8,6 +8,7 @@ import {
     LogicEnlistResult,
     Participants
 } from "js-moi-utils";
+import type { PollingOptions } from "./provider";
 import type { NestedArray } from "./util";
 
 export interface Options {
@@ -57,12 +58,24 @@ export interface AccountMetaInfo {
 export interface InteractionRequest {
     ix_args: string;
     signature: string;
+    payer_signature?: string;
+}
+
+export interface WaitOptions {
+    /**
+     * A signal which cancels the wait when aborted.
+     */
+    signal?: AbortSignal;
+    /**
+     * Overrides the polling behaviour of the provider for this wait.
+     */
+    polling?: PollingOptions;
 }
 
 export interface InteractionResponse {
     hash: string;
-    wait: (timeout?: number) => Promise<InteractionReceipt>,
-    result: (timeout?: number) => Promise<any>
+    wait: (timeout?: number, options?: WaitOptions) => Promise<InteractionReceipt>,
+    result: (timeout?: number, options?: WaitOptions) => Promise<any>
 }
 
 export interface InteractionCallResponse {
@@ -422,7 +435,7 @@ export interface RpcResponse<T> {
     jsonrpc: string;
     result?: T;
     error?: RpcError;
-    id: 1;
+    id: number;
 }
 
 export interface Log {
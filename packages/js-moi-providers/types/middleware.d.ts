@@ -0,0 +1,42 @@
+import type { RpcResponse } from "./jsonrpc";
+
+export interface RequestContext {
+    /**
+     * The RPC method. Middleware may rewrite it before the request is sent.
+     */
+    method: string;
+    /**
+     * The parameters of the RPC method. Middleware may rewrite them before
+     * the request is sent.
+     */
+    params: any;
+    /**
+     * Additional headers sent along with the request by the HTTP providers.
+     */
+    headers: Record<string, string>;
+    /**
+     * Free-form storage shared by the hooks of a single request, for
+     * example to record timings or request ids.
+     */
+    meta: Record<string, unknown>;
+}
+
+type MiddlewareResult<T = any> = void | RpcResponse<T> | Promise<void | RpcResponse<T>>;
+
+export interface ProviderMiddleware {
+    /**
+     * Called before the request is sent. Returning a response skips the
+     * request and the remaining before-request hooks.
+     */
+    beforeRequest?(context: RequestContext): MiddlewareResult;
+    /**
+     * Called with the raw response of the request. Returning a response
+     * replaces the one handed to the caller.
+     */
+    afterResponse?(context: RequestContext, response: RpcResponse<any>): MiddlewareResult;
+    /**
+     * Called when the request fails. Returning a response recovers from
+     * the error, otherwise the error is passed on to the caller.
+     */
+    onError?(context: RequestContext, error: unknown): MiddlewareResult;
+}
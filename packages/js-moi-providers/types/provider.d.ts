@@ -1,3 +1,6 @@
+import type { ErrorCode } from "js-moi-utils";
+import type { AbstractProvider } from "../src.ts/abstract-provider";
+
 export interface WsReconnectOptions {
     auto?: boolean;
     delay?: number;
@@ -16,4 +19,97 @@ export interface WebsocketProviderOptions {
     clientConfig?: object;
     requestOptions?: any;
     origin?: string;
-}
\ No newline at end of file
+}
+export interface JsonRpcBatchOptions {
+    /**
+     * The maximum number of requests merged into a single batch. Requests
+     * beyond this limit are dispatched in additional batches.
+     */
+    maxSize?: number;
+}
+
+export interface RetryPolicy {
+    /**
+     * The maximum number of attempts, including the first one.
+     */
+    maxAttempts?: number;
+    /**
+     * The delay in milliseconds before the first retry. The delay doubles
+     * with every subsequent attempt.
+     */
+    baseDelay?: number;
+    /**
+     * The upper bound in milliseconds for the delay between two attempts.
+     */
+    maxDelay?: number;
+    /**
+     * Randomizes each delay between zero and its computed value, so that
+     * clients failing together do not retry together.
+     */
+    jitter?: boolean;
+    /**
+     * The error codes which are considered transient and worth retrying.
+     */
+    retryableErrors?: ErrorCode[];
+}
+
+export interface PollingOptions {
+    /**
+     * The delay in milliseconds before the first poll.
+     */
+    interval?: number;
+    /**
+     * The factor by which the delay grows after every poll.
+     */
+    factor?: number;
+    /**
+     * The upper bound in milliseconds for the delay between two polls.
+     */
+    maxInterval?: number;
+}
+
+export interface BaseProviderOptions {
+    /**
+     * The polling behaviour used while waiting for interactions.
+     */
+    polling?: PollingOptions;
+}
+
+export interface HttpProviderOptions extends BaseProviderOptions {
+    /**
+     * The retry policy for failed requests. Pass `false` to disable retries.
+     */
+    retry?: boolean | RetryPolicy;
+}
+
+export interface JsonRpcProviderOptions extends HttpProviderOptions {
+    /**
+     * Enables batching of every request made within the same tick. Pass
+     * `true` for the default behaviour or an object to tune it.
+     */
+    batch?: boolean | JsonRpcBatchOptions;
+}
+
+export interface FallbackProviderConfig {
+    /**
+     * The provider used as a backend.
+     */
+    provider: AbstractProvider;
+    /**
+     * Backends with a lower priority value are tried first. Defaults to 0.
+     */
+    priority?: number;
+    /**
+     * The relative share of calls routed to this backend among the backends
+     * with the same priority. Defaults to 1.
+     */
+    weight?: number;
+}
+
+export interface FallbackProviderOptions {
+    /**
+     * The number of backends which must return the same result before a
+     * chain data read is resolved. Defaults to 1.
+     */
+    quorum?: number;
+}
@@ -19,4 +19,5 @@ export interface WebsocketEventMap {
     [WebSocketEvent.Error]: [error: unknown];
     [WebSocketEvent.Close]: [];
     [WebSocketEvent.Reconnect]: [attempt: number];
+    [WebSocketEvent.Resubscribed]: [events: ProviderEvents[]];
 }
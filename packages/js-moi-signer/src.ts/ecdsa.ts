@@ -30,6 +30,21 @@ export default class ECDSA_S256 implements SigType {
         this.sigName = "ECDSA_S256";
     }
 
+    /**
+     * getPublicKey
+     *
+     * Derives the compressed public key of a secp256k1 private key.
+     *
+     * @param signingKey - The private key, either as a hexadecimal string 
+     * or a Uint8Array.
+     * @returns The 33 bytes compressed public key.
+     */
+    public getPublicKey(signingKey: Uint8Array | string): Uint8Array {
+        const _signingKey = typeof signingKey === "string" ? hexToBytes(signingKey) : signingKey;
+
+        return nobleECC.getPublicKey(_signingKey, true);
+    }
+
     /**
      * sign
      *
@@ -65,7 +80,7 @@ export default class ECDSA_S256 implements SigType {
         prefixArray[0] = this.prefix;
         prefixArray[1] = signature.length;
 
-        const pubKey = nobleECC.getPublicKey(_signingKey, true);
+        const pubKey = this.getPublicKey(_signingKey);
 
         const parityByte = new Uint8Array([pubKey[0]]);
         const sig = new Signature(prefixArray, signature, parityByte, this.sigName);
@@ -0,0 +1,77 @@
+import { ed25519 } from "@noble/curves/ed25519";
+import { Buffer } from "buffer";
+import { hexToBytes } from "js-moi-utils";
+
+import { SigType } from "../types";
+import Signature from "./signature";
+
+/**
+ * ED25519
+ *
+ * Represents the Ed25519 signature type.
+ */
+export default class ED25519 implements SigType {
+    prefix: number;
+    sigName: string;
+
+    constructor() {
+        this.prefix = 2;
+        this.sigName = "ED25519";
+    }
+
+    /**
+     * getPublicKey
+     *
+     * Derives the Ed25519 public key of a 32 bytes private key, such as the
+     * one derived from an Ed25519HDNode.
+     *
+     * @param signingKey - The private key, either as a hexadecimal string 
+     * or a Uint8Array.
+     * @returns The 32 bytes public key.
+     */
+    public getPublicKey(signingKey: Uint8Array | string): Uint8Array {
+        const _signingKey = typeof signingKey === "string" ? hexToBytes(signingKey) : signingKey;
+
+        return ed25519.getPublicKey(_signingKey);
+    }
+
+    /**
+     * sign
+     *
+     * Signs a message using the Ed25519 signature algorithm.
+     *
+     * @param message - The message to be signed, as a Buffer.
+     * @param signingKey - The private key used for signing, either as 
+     * a hexadecimal string or a Buffer.
+     * @returns A Signature instance with ED25519 prefix and no extra data
+     */
+    public sign(message: Buffer, signingKey: Buffer | string): Signature {
+        const _signingKey = typeof signingKey === "string" ? hexToBytes(signingKey) : signingKey;
+
+        const signature = ed25519.sign(message, _signingKey);
+
+        const prefixArray = new Uint8Array(2);
+        prefixArray[0] = this.prefix;
+        prefixArray[1] = signature.length;
+
+        return new Signature(prefixArray, signature, new Uint8Array(0), this.sigName);
+    }
+
+    /**
+     * verify
+     *
+     * Verifies the Ed25519 signature with the given public key
+     *
+     * @param message the message being signed
+     * @param signature the Signature instance
+     * @param publicKey the 32 bytes public key
+     * @returns boolean, to determine whether verification is success/failure
+     */
+    public verify(message: Uint8Array, signature: Signature, publicKey: Uint8Array): boolean {
+        try {
+            return ed25519.verify(signature.Digest(), message, publicKey);
+        } catch (err) {
+            return false;
+        }
+    }
+}
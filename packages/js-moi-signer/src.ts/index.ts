@@ -1,2 +1,8 @@
+export * from "./message";
+export * from "./nonce-manager";
+export * from "./registry";
+export { default as Signature } from "./signature";
 export * from "./signer";
+export * from "./typed-data";
+export * from "./void-signer";
 export type * from "../types/index";
\ No newline at end of file
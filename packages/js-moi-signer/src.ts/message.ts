@@ -0,0 +1,102 @@
+import { blake2b } from "@noble/hashes/blake2b";
+import { ErrorCode, ErrorUtils, encodeToString, hexToBytes, isValidAddress } from "js-moi-utils";
+import { getSigType } from "./registry";
+import Signature from "./signature";
+
+/**
+ * The prefix prepended to personal messages before they are signed, which 
+ * keeps them from being mistaken for serialized interactions.
+ */
+export const MESSAGE_PREFIX = "\x19MOI Signed Message:\n";
+
+/**
+ * Encodes a personal message for signing by prepending the MOI message 
+ * prefix and the length of the message in bytes.
+ *
+ * @param {string | Uint8Array} message - The message, either as a UTF-8 
+ * string or as bytes.
+ * @returns {Uint8Array} The encoded message.
+ */
+export const encodeMessage = (message: string | Uint8Array): Uint8Array => {
+    const encoder = new TextEncoder();
+    const messageBytes = typeof message === "string" ? encoder.encode(message) : message;
+    const prefix = encoder.encode(MESSAGE_PREFIX + String(messageBytes.length));
+
+    const encoded = new Uint8Array(prefix.length + messageBytes.length);
+    encoded.set(prefix);
+    encoded.set(messageBytes, prefix.length);
+
+    return encoded;
+};
+
+/**
+ * Computes the blake2b hash of a personal message encoded with the MOI 
+ * message prefix.
+ *
+ * @param {string | Uint8Array} message - The message, either as a UTF-8 
+ * string or as bytes.
+ * @returns {string} The 32 bytes hash as a hex string.
+ */
+export const hashMessage = (message: string | Uint8Array): string => {
+    return encodeToString(blake2b(encodeMessage(message), { dkLen: 32 }));
+};
+
+/**
+ * Verifies a signature over raw bytes using the signature algorithm named 
+ * by the signature byte of the signature.
+ *
+ * @param {Uint8Array} message - The message that was signed.
+ * @param {string|Uint8Array} signature - The signature to verify.
+ * @param {string|Uint8Array} publicKey - The public key or the address 
+ * used for verification.
+ * @returns {boolean} A boolean indicating whether the signature is valid or not.
+ * @throws {Error} if the signature is invalid or the signature byte is not recognized.
+ */
+export const verifySignature = (message: Uint8Array, signature: string|Uint8Array, publicKey: string|Uint8Array): boolean => {
+    let verificationKey: Uint8Array;
+
+    if (typeof publicKey === "string") {
+        verificationKey = hexToBytes(publicKey as string)
+    } else {
+        verificationKey = publicKey as Uint8Array
+    }
+
+    if (verificationKey.length === 33) {
+        verificationKey = verificationKey.slice(1);
+    }
+
+    const sig = new Signature();
+    sig.unmarshall(signature);
+
+    const _sig = getSigType(sig.getSigByte());
+
+    if (_sig == null) {
+        ErrorUtils.throwError(
+            "Invalid signature provided. Unable to verify the signature.", 
+            ErrorCode.INVALID_SIGNATURE
+        )
+    }
+
+    return _sig.verify(message, sig, verificationKey);
+};
+
+/**
+ * Verifies that a personal message was signed by the account with the 
+ * given address. MOI signatures do not carry a recovery id, so the signer 
+ * is checked against the expected address instead of being recovered.
+ *
+ * @param {string | Uint8Array} message - The message that was signed.
+ * @param {string|Uint8Array} signature - The signature to verify.
+ * @param {string} address - The address of the expected signer.
+ * @returns {boolean} A boolean indicating whether the message was signed by 
+ * the address or not.
+ * @throws {Error} if the address is invalid, or if the signature byte is 
+ * not recognized.
+ */
+export const verifyMessage = (message: string | Uint8Array, signature: string|Uint8Array, address: string): boolean => {
+    if (!isValidAddress(address)) {
+        ErrorUtils.throwArgumentError("Invalid address", "address", address);
+    }
+
+    return verifySignature(encodeMessage(message), signature, address);
+};
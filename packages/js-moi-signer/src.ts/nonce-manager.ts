@@ -0,0 +1,188 @@
+import { AbstractProvider, InteractionObject, InteractionRequest, InteractionResponse, Options } from "js-moi-providers";
+import { ErrorCode } from "js-moi-utils";
+import { FuelPolicy, SigType } from "../types";
+import { Signer } from "./signer";
+
+/**
+ * A signer wrapper which manages the nonces of the interactions sent through 
+ * it. The pending interaction count is fetched from the chain once, after 
+ * which increasing nonces are handed out locally, so that interactions sent 
+ * concurrently from the same account do not collide.
+ *
+ * The nonces are fetched from the chain again after an interaction handed out 
+ * a nonce fails to send, after an interaction is rejected with an expired 
+ * nonce, or when `reset` is called.
+ *
+ * @example
+ * const signer = new NonceManager(wallet);
+ *
+ * const responses = await Promise.all(
+ *     interactions.map((ixObject) => signer.sendInteraction(ixObject))
+ * );
+ */
+export class NonceManager extends Signer {
+    public readonly signer: Signer;
+
+    private noncePromise?: Promise<number | bigint>;
+    private delta = 0;
+
+    constructor(signer: Signer) {
+        super(signer.provider);
+        this.signer = signer;
+        this.signingAlgorithms = signer.signingAlgorithms;
+
+        // The fuel policy is shared with the wrapped signer, so that a policy 
+        // set on either of them applies to the interactions of both
+        Object.defineProperty(this, "fuelPolicy", {
+            get: () => this.signer.fuelPolicy,
+            set: (policy?: FuelPolicy) => {
+                this.signer.fuelPolicy = policy;
+            },
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    /**
+     * Retrieves the address of the wrapped signer.
+     *
+     * @returns {string} The address as a string.
+     */
+    public getAddress(): string {
+        return this.signer.getAddress();
+    }
+
+    /**
+     * Connects the wrapped signer and the manager to the given provider.
+     *
+     * @param {AbstractProvider} provider - The provider to connect.
+     */
+    public connect(provider: AbstractProvider): void {
+        this.signer.connect(provider);
+        this.provider = provider;
+    }
+
+    /**
+     * Checks if the wrapped signer is initialized.
+     *
+     * @returns {boolean} true if the wrapped signer is initialized, false otherwise.
+     */
+    public isInitialized(): boolean {
+        return this.signer.isInitialized();
+    }
+
+    /**
+     * Signs a message with the wrapped signer.
+     *
+     * @param {Uint8Array} message - The message to sign as a Uint8Array.
+     * @param {SigType} sigAlgo - The signature algorithm to use.
+     * @returns {string | Promise<string>} The signature as a string.
+     */
+    public sign(message: Uint8Array, sigAlgo: SigType): string | Promise<string> {
+        return this.signer.sign(message, sigAlgo);
+    }
+
+    /**
+     * Signs an interaction object with the wrapped signer.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to sign.
+     * @param {SigType} sigAlgo - The signature algorithm to use.
+     * @returns {InteractionRequest | Promise<InteractionRequest>} The signed 
+     * interaction request.
+     */
+    public signInteraction(ixObject: InteractionObject, sigAlgo: SigType): InteractionRequest | Promise<InteractionRequest> {
+        return this.signer.signInteraction(ixObject, sigAlgo);
+    }
+
+    /**
+     * Retrieves the nonce for the signer's address. Without options, the 
+     * next nonce the manager will hand out is returned.
+     *
+     * @param {Options} options - The options for retrieving the nonce from 
+     * the chain. (optional)
+     * @returns {Promise<number | bigint>} A Promise that resolves to the nonce.
+     * @throws {Error} if there is an error retrieving the nonce or the provider 
+     * is not initialized.
+     */
+    public async getNonce(options?: Options): Promise<number | bigint> {
+        if (options != null) {
+            return await super.getNonce(options);
+        }
+
+        return await this.nextNonce(this.delta);
+    }
+
+    /**
+     * Discards the locally tracked nonces, so that the next interaction 
+     * fetches the nonce from the chain again.
+     */
+    public reset(): void {
+        this.noncePromise = undefined;
+        this.delta = 0;
+    }
+
+    /**
+     * Sends an interaction object with the next nonce handed out by the 
+     * manager, unless the interaction object already has a nonce. The nonce 
+     * is set on a copy, so the given interaction object is not modified.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to send.
+     * @param {Signer} sponsor - The signer paying for the fuel. (optional)
+     * @returns {Promise<InteractionResponse>} A Promise that resolves to the 
+     * interaction response.
+     * @throws {Error} if there is an error sending the interaction, if the provider 
+     * is not initialized, or if the interaction object fails the validity checks.
+     */
+    public async sendInteraction(ixObject: InteractionObject, sponsor?: Signer): Promise<InteractionResponse> {
+        let noncePromise: Promise<number | bigint> | undefined;
+
+        try {
+            if (ixObject.nonce != null) {
+                return await super.sendInteraction(ixObject, sponsor);
+            }
+
+            // The delta is claimed before awaiting so that concurrent 
+            // callers are handed out different nonces
+            const delta = this.delta++;
+            const nonce = await this.nextNonce(delta);
+            noncePromise = this.noncePromise;
+
+            return await super.sendInteraction({ ...ixObject, nonce }, sponsor);
+        } catch (err) {
+            // The interactions handed out the nonces after a failed one would 
+            // be stuck behind the gap it leaves, so the nonces are fetched 
+            // from the chain again
+            if (err?.code === ErrorCode.NONCE_EXPIRED || (noncePromise != null && noncePromise === this.noncePromise)) {
+                this.reset();
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Computes the nonce at the given offset from the nonce fetched from 
+     * the chain, fetching it first if needed.
+     *
+     * @param {number} delta - The offset from the nonce fetched from the chain.
+     * @returns {Promise<number | bigint>} A Promise that resolves to the nonce.
+     */
+    private async nextNonce(delta: number): Promise<number | bigint> {
+        if (this.noncePromise == null) {
+            const noncePromise = super.getNonce();
+
+            this.noncePromise = noncePromise;
+
+            // Fetch the nonce again on the next call if fetching it failed
+            noncePromise.catch(() => {
+                if (this.noncePromise === noncePromise) {
+                    this.reset();
+                }
+            });
+        }
+
+        const nonce = await this.noncePromise;
+
+        return typeof nonce === "bigint" ? nonce + BigInt(delta) : nonce + delta;
+    }
+}
@@ -0,0 +1,52 @@
+import { ErrorCode, ErrorUtils } from "js-moi-utils";
+import { SigType, SigningAlgorithms } from "../types";
+
+// Signature types keyed by the name they are exposed with on a signer
+const sigTypesByName: Map<string, SigType> = new Map();
+
+// Signature types keyed by the signature byte of their prefix
+const sigTypesByPrefix: Map<number, SigType> = new Map();
+
+/**
+ * Registers a signature type, making it available in the signing algorithms 
+ * of signers created afterwards and allowing signatures with its prefix 
+ * byte to be unmarshalled and verified.
+ *
+ * @param {string} name - The name of the signing algorithm, such as "ed25519".
+ * @param {SigType} sigType - The signature type implementation.
+ * @throws {Error} if the prefix byte is already registered for another 
+ * signature type.
+ */
+export const registerSigType = (name: string, sigType: SigType): void => {
+    const registered = sigTypesByPrefix.get(sigType.prefix);
+
+    if (registered != null && registered.sigName !== sigType.sigName) {
+        ErrorUtils.throwError(
+            `Signature prefix ${sigType.prefix} is already registered for ${registered.sigName}`,
+            ErrorCode.INVALID_ARGUMENT
+        );
+    }
+
+    sigTypesByName.set(name, sigType);
+    sigTypesByPrefix.set(sigType.prefix, sigType);
+};
+
+/**
+ * Retrieves the signature type registered for a signature byte.
+ *
+ * @param {number} prefix - The signature byte.
+ * @returns {SigType | undefined} The signature type, or undefined if 
+ * no signature type is registered for the byte.
+ */
+export const getSigType = (prefix: number): SigType | undefined => {
+    return sigTypesByPrefix.get(prefix);
+};
+
+/**
+ * Retrieves the registered signature types keyed by their names.
+ *
+ * @returns {SigningAlgorithms} The signing algorithms.
+ */
+export const getSigningAlgorithms = (): SigningAlgorithms => {
+    return Object.fromEntries(sigTypesByName) as SigningAlgorithms;
+};
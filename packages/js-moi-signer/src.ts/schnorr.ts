@@ -0,0 +1,92 @@
+import { blake2b } from "@noble/hashes/blake2b";
+import { sha256 } from '@noble/hashes/sha256';
+import * as nobleECC from '@noble/secp256k1';
+import { Buffer } from "buffer";
+import { hexToBytes } from "js-moi-utils";
+
+import { SigType } from "../types";
+import Signature from "./signature";
+
+/**
+ * Setting the `sha256Sync` with custom hashing logic 
+ * @param msgs 
+ */
+nobleECC.utils.sha256Sync = (...msgs) => sha256(nobleECC.utils.concatBytes(...msgs));
+
+/**
+ * SCHNORR_S256
+ *
+ * Represents the Schnorr (BIP-340) on secp256k1 signature type.
+ */
+export default class SCHNORR_S256 implements SigType {
+    prefix: number;
+    sigName: string;
+
+    constructor() {
+        this.prefix = 3;
+        this.sigName = "SCHNORR_S256";
+    }
+
+    /**
+     * getPublicKey
+     *
+     * Derives the x-only public key of a secp256k1 private key.
+     *
+     * @param signingKey - The private key, either as a hexadecimal string 
+     * or a Uint8Array.
+     * @returns The 32 bytes x-only public key.
+     */
+    public getPublicKey(signingKey: Uint8Array | string): Uint8Array {
+        const _signingKey = typeof signingKey === "string" ? hexToBytes(signingKey) : signingKey;
+
+        return nobleECC.schnorr.getPublicKey(_signingKey);
+    }
+
+    /**
+     * sign
+     *
+     * Signs a message using the Schnorr signature algorithm.
+     *
+     * @param message - The message to be signed, as a Buffer.
+     * @param signingKey - The private key used for signing, either as 
+     * a hexadecimal string or a Buffer.
+     * @returns A Signature instance with SCHNORR_S256 prefix and no extra data
+     */
+    public sign(message: Buffer, signingKey: Buffer | string): Signature {
+        const _signingKey = typeof signingKey === "string" ? hexToBytes(signingKey) : signingKey;
+
+        const messageHash = blake2b(message, {
+            dkLen: 1 << 5, // Hashing raw message with blake2b to get 32 bytes digest
+        });
+
+        const signature = nobleECC.schnorr.signSync(messageHash, _signingKey);
+
+        const prefixArray = new Uint8Array(2);
+        prefixArray[0] = this.prefix;
+        prefixArray[1] = signature.length;
+
+        return new Signature(prefixArray, signature, new Uint8Array(0), this.sigName);
+    }
+
+    /**
+     * verify
+     *
+     * Verifies the Schnorr signature with the given x-only public key
+     *
+     * @param message the message being signed
+     * @param signature the Signature instance
+     * @param publicKey the 32 bytes x-only public key
+     * @returns boolean, to determine whether verification is success/failure
+     */
+    public verify(message: Uint8Array, signature: Signature, publicKey: Uint8Array): boolean {
+        const messageHash = blake2b(message, {
+            dkLen: 1 << 5, // Hashing raw message with blake2b to get 32 bytes digest
+        });
+
+        try {
+            return nobleECC.schnorr.verifySync(signature.Digest(), messageHash, publicKey);
+        } catch (err) {
+            return false;
+        }
+    }
+}
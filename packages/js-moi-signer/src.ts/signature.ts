@@ -1,5 +1,6 @@
 import { ErrorCode, ErrorUtils, hexToBytes } from "js-moi-utils";
 import { ISignature } from "../types";
+import { getSigType } from "./registry";
 
 export default class Signature implements ISignature {
     private prefix: Uint8Array;
@@ -88,9 +89,8 @@ export default class Signature implements ISignature {
      * @returns The name of the signature algorithm as a string.
      */
     private getSignatureName(sigIndex: number): string {
-        switch (sigIndex) {
-            case 1: return "ECDSA_S256";
-            default: return "";
-        }
+        const sigType = getSigType(sigIndex);
+
+        return sigType != null ? String(sigType.sigName) : "";
     }
 }
\ No newline at end of file
@@ -1,11 +1,25 @@
 import { AbstractProvider, CallorEstimateIxObject, InteractionCallResponse, InteractionObject, InteractionRequest, InteractionResponse, Options } from "js-moi-providers";
 import { ErrorCode, ErrorUtils, hexToBytes, isValidAddress } from "js-moi-utils";
-import { SigType, SigningAlgorithms } from "../types";
+import { FuelPolicy, SigType, SigningAlgorithms, TypedData } from "../types";
 import ECDSA_S256 from "./ecdsa";
-import Signature from "./signature";
+import ED25519 from "./ed25519";
+import { encodeMessage, verifyMessage, verifySignature } from "./message";
+import { getSigningAlgorithms, registerSigType } from "./registry";
+import SCHNORR_S256 from "./schnorr";
+import { encodeTypedData, verifyTypedData } from "./typed-data";
+
+registerSigType("ecdsa_secp256k1", new ECDSA_S256());
+registerSigType("ed25519", new ED25519());
+registerSigType("schnorr_secp256k1", new SCHNORR_S256());
 
 type InteractionMethod = "call" | "send" | "estimateFuel";
 
+// Default multiplier applied to the estimated fuel limit
+const defaultLimitMultiplier: number = 1;
+
+// Default fuel price used when the fuel policy does not name a strategy
+const defaultFuelPrice: number = 1;
+
 /**
  * An abstract class representing a signer responsible for cryptographic 
  * activities like signing and verification.
@@ -13,19 +27,18 @@ type InteractionMethod = "call" | "send" | "estimateFuel";
 export abstract class Signer {
     public provider?: AbstractProvider;
     public signingAlgorithms: SigningAlgorithms;
+    public fuelPolicy?: FuelPolicy;
 
     constructor(provider?: AbstractProvider) {
         this.provider = provider;
-        this.signingAlgorithms = {
-            ecdsa_secp256k1: new ECDSA_S256()
-        };
+        this.signingAlgorithms = getSigningAlgorithms();
     }
 
     abstract getAddress(): string;
     abstract connect(provider: AbstractProvider): void;
-    abstract sign(message: Uint8Array, sigAlgo: SigType): string;
+    abstract sign(message: Uint8Array, sigAlgo: SigType): string | Promise<string>;
     abstract isInitialized(): boolean;
-    abstract signInteraction(ixObject: InteractionObject, sigAlgo: SigType): InteractionRequest;
+    abstract signInteraction(ixObject: InteractionObject, sigAlgo: SigType): InteractionRequest | Promise<InteractionRequest>;
 
 
     /**
@@ -45,6 +58,22 @@ export abstract class Signer {
         );
     }
 
+    /**
+     * Sets the fuel policy used to fill in the missing fuel price and fuel 
+     * limit of the interactions sent by the signer, and to cap the fuel 
+     * they may spend.
+     *
+     * @param {FuelPolicy} policy - The fuel policy, or undefined to remove it.
+     * @throws {Error} if the limit multiplier is less than 1.
+     */
+    public setFuelPolicy(policy?: FuelPolicy): void {
+        if (policy?.limitMultiplier != null && !(policy.limitMultiplier >= 1)) {
+            ErrorUtils.throwArgumentError("Limit multiplier must be at least 1", "limitMultiplier", policy.limitMultiplier);
+        }
+
+        this.fuelPolicy = policy;
+    }
+
     /**
      * Retrieves the nonce (interaction count) for the signer's address 
      * from the provider.
@@ -90,6 +119,10 @@ export abstract class Signer {
             ErrorUtils.throwError("Sender address mismatches with the signer", ErrorCode.UNEXPECTED_ARGUMENT);
         }
 
+        if(ixObject.payer != null && !isValidAddress(ixObject.payer)) {
+            ErrorUtils.throwError("Invalid payer address", ErrorCode.INVALID_ARGUMENT);
+        }
+
         if(ixObject.ix_operations == null || ixObject.ix_operations.length == 0) {
             ErrorUtils.throwError("Operations list is missing", ErrorCode.MISSING_ARGUMENT);
         }
@@ -142,14 +175,95 @@ export abstract class Signer {
         if (!ixObject.sender) {
             ixObject.sender = this.getAddress();
         }
+
+        if (method === "send" && this.fuelPolicy != null) {
+            await this.applyFuelPolicy(ixObject);
+        }
         
         await this.checkInteraction(method, ixObject);
+
+        if (method === "send") {
+            this.checkFuelBudget(ixObject);
+        }
         
         if (method === "send" && ixObject.nonce == null) {
             ixObject.nonce = await this.getNonce();
         }
     }
 
+    /**
+     * Fills in the missing fuel price and fuel limit of an interaction object 
+     * according to the fuel policy.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to update.
+     * @returns {Promise<void>} A Promise that resolves once the fuel is filled in.
+     * @throws {Error} if the fuel price or fuel limit cannot be resolved.
+     */
+    private async applyFuelPolicy(ixObject: InteractionObject): Promise<void> {
+        const policy = this.fuelPolicy;
+
+        if (ixObject.fuel_price == null) {
+            ixObject.fuel_price = await this.resolveFuelPrice(ixObject);
+        }
+
+        if (ixObject.fuel_limit == null) {
+            const estimate = await this.getProvider().estimateFuel(ixObject as CallorEstimateIxObject);
+            const multiplier = policy.limitMultiplier ?? defaultLimitMultiplier;
+
+            ixObject.fuel_limit = typeof estimate === "bigint"
+                ? (estimate * BigInt(Math.round(multiplier * 1000)) + 999n) / 1000n
+                : Math.ceil(estimate * multiplier);
+        }
+    }
+
+    /**
+     * Checks that the fuel cost of an interaction object, its fuel price 
+     * times its fuel limit, stays within the budget of the fuel policy.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to check.
+     * @throws {Error} if the fuel cost exceeds the budget.
+     */
+    private checkFuelBudget(ixObject: InteractionObject): void {
+        const maxFuelCost = this.fuelPolicy?.maxFuelCost;
+
+        if (maxFuelCost == null) {
+            return;
+        }
+
+        const cost = BigInt(ixObject.fuel_price) * BigInt(ixObject.fuel_limit);
+
+        if (cost > BigInt(maxFuelCost)) {
+            ErrorUtils.throwError(
+                "Fuel cost exceeds the budget of the fuel policy",
+                ErrorCode.INVALID_ARGUMENT,
+                { cost, maxFuelCost }
+            );
+        }
+    }
+
+    /**
+     * Resolves the fuel price of an interaction object using the price 
+     * strategy of the fuel policy.
+     *
+     * @param {InteractionObject} ixObject - The interaction object.
+     * @returns {Promise<number | bigint>} A Promise that resolves to the fuel price.
+     * @throws {Error} if the provider is not initialized or fails to suggest 
+     * a fuel price.
+     */
+    private async resolveFuelPrice(ixObject: InteractionObject): Promise<number | bigint> {
+        const strategy = this.fuelPolicy.price ?? defaultFuelPrice;
+
+        if (strategy === "node") {
+            return await this.getProvider().getFuelPrice();
+        }
+
+        if (typeof strategy === "function") {
+            return await strategy(ixObject);
+        }
+
+        return strategy;
+    }
+
     /**
      * Initiates an interaction by calling a method on the connected provider.
      * The interaction object is prepared and sent to the provider for execution.
@@ -190,28 +304,63 @@ export abstract class Signer {
         return await provider.estimateFuel(ixObject as CallorEstimateIxObject)
     }
 
+    /**
+     * Prepares and signs an interaction object without sending it. For a 
+     * sponsored interaction, the returned request is handed to the payer 
+     * to be co-signed with `sponsorInteraction` before it is sent.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to sign.
+     * @returns {Promise<InteractionRequest>} A Promise that resolves to the 
+     * signed interaction request.
+     * @throws {Error} if there is an error signing the interaction, if the 
+     * provider is not initialized, or if the interaction object fails the 
+     * validity checks.
+     */
+    public async buildInteraction(ixObject: InteractionObject): Promise<InteractionRequest> {
+        // Get the signature algorithm
+        const sigAlgo = this.signingAlgorithms["ecdsa_secp256k1"];
+
+        await this.prepareInteraction('send', ixObject);
+
+        return await this.signInteraction(ixObject, sigAlgo);
+    }
+
     /**
      * Sends an interaction object by signing it with the appropriate signature algorithm
-     * and forwarding it to the connected provider.
+     * and forwarding it to the connected provider. If a sponsor is given, it 
+     * is named as the payer of the interaction and co-signs it to pay for 
+     * the fuel.
      *
      * @param {InteractionObject} ixObject - The interaction object to send.
+     * @param {Signer} sponsor - The signer paying for the fuel. (optional)
      * @returns {Promise<InteractionResponse>} A Promise that resolves to the 
      * interaction response.
      * @throws {Error} if there is an error sending the interaction, if the provider 
      * is not initialized, or if the interaction object fails the validity checks.
      */
-    public async sendInteraction(ixObject: InteractionObject): Promise<InteractionResponse> {
+    public async sendInteraction(ixObject: InteractionObject, sponsor?: Signer): Promise<InteractionResponse> {
         try {
             // Get the provider
             const provider = this.getProvider();
 
-            // Get the signature algorithm
-            const sigAlgo = this.signingAlgorithms["ecdsa_secp256k1"];
+            if (sponsor != null) {
+                ixObject.payer = ixObject.payer ?? sponsor.getAddress();
 
-            await this.prepareInteraction('send', ixObject);
+                if (ixObject.payer !== sponsor.getAddress()) {
+                    ErrorUtils.throwError("Payer address mismatches with the sponsor", ErrorCode.UNEXPECTED_ARGUMENT);
+                }
+            }
+
+            if (sponsor == null && ixObject.payer != null && ixObject.payer !== ixObject.sender) {
+                ErrorUtils.throwError("Payer signature is missing", ErrorCode.MISSING_ARGUMENT);
+            }
 
             // Sign the interaction object
-            const ixRequest = this.signInteraction(ixObject, sigAlgo)
+            let ixRequest = await this.buildInteraction(ixObject);
+
+            if (sponsor != null) {
+                ixRequest = await sponsor.sponsorInteraction(ixRequest);
+            }
 
             // Send the interaction request and return the response
             return await provider.sendInteraction(ixRequest);
@@ -220,6 +369,133 @@ export abstract class Signer {
         }
     }
 
+    /**
+     * Co-signs an interaction request as the payer of the interaction. The 
+     * payer signs the same serialized interaction as the sender.
+     *
+     * @param {InteractionRequest} ixRequest - The interaction request signed 
+     * by the sender.
+     * @param {SigType} sigAlgo - The signature algorithm to use. (optional)
+     * @returns {Promise<InteractionRequest>} A Promise that resolves to the 
+     * interaction request carrying the signatures of both the sender and the payer.
+     * @throws {Error} if the sender signature is missing or there is an error 
+     * during signing.
+     */
+    public async sponsorInteraction(ixRequest: InteractionRequest, sigAlgo?: SigType): Promise<InteractionRequest> {
+        const ixData = hexToBytes(ixRequest.ix_args);
+        const payerSignature = await this.sign(ixData, sigAlgo ?? this.signingAlgorithms["ecdsa_secp256k1"]);
+
+        return this.mergeSignatures(ixRequest, payerSignature);
+    }
+
+    /**
+     * Merges the signature of the payer into an interaction request signed 
+     * by the sender.
+     *
+     * @param {InteractionRequest} ixRequest - The interaction request signed 
+     * by the sender.
+     * @param {string} payerSignature - The signature of the payer over the 
+     * serialized interaction.
+     * @returns {InteractionRequest} The interaction request carrying both signatures.
+     * @throws {Error} if either of the signatures is missing.
+     */
+    public mergeSignatures(ixRequest: InteractionRequest, payerSignature: string): InteractionRequest {
+        if (ixRequest.signature == null) {
+            ErrorUtils.throwError("Sender signature is missing", ErrorCode.MISSING_ARGUMENT);
+        }
+
+        if (payerSignature == null) {
+            ErrorUtils.throwError("Payer signature is missing", ErrorCode.MISSING_ARGUMENT);
+        }
+
+        return { ...ixRequest, payer_signature: payerSignature };
+    }
+
+    /**
+     * Signs a personal message using the MOI message prefix. The prefix and 
+     * the length of the message are prepended before signing, so the 
+     * signature can not be replayed as the signature of an interaction.
+     *
+     * @param {string | Uint8Array} message - The message to sign, either as 
+     * a UTF-8 string or as bytes.
+     * @param {SigType} sigAlgo - The signature algorithm to use. (optional)
+     * @returns {Promise<string>} A Promise that resolves to the signature.
+     * @throws {Error} if there is an error during signing.
+     */
+    public async signMessage(message: string | Uint8Array, sigAlgo?: SigType): Promise<string> {
+        return await this.sign(encodeMessage(message), sigAlgo ?? this.signingAlgorithms["ecdsa_secp256k1"]);
+    }
+
+    /**
+     * Verifies that a personal message signed with `signMessage` was signed 
+     * by the account with the given address.
+     *
+     * @param {string | Uint8Array} message - The message that was signed.
+     * @param {string|Uint8Array} signature - The signature to verify.
+     * @param {string} address - The address of the expected signer.
+     * @returns {boolean} A boolean indicating whether the message was signed 
+     * by the address or not.
+     * @throws {Error} if the address is invalid, or if the signature byte is 
+     * not recognized.
+     */
+    public verifyMessage(message: string | Uint8Array, signature: string|Uint8Array, address: string): boolean {
+        return verifyMessage(message, signature, address);
+    }
+
+    /**
+     * Signs typed structured data, such as an off-chain order or permit, 
+     * bound to the domain of the typed data.
+     *
+     * @param {TypedData} typedData - The typed data to sign.
+     * @param {SigType} sigAlgo - The signature algorithm to use. (optional)
+     * @returns {Promise<string>} A Promise that resolves to the signature.
+     * @throws {Error} if the typed data cannot be encoded, or if there is an 
+     * error during signing.
+     */
+    public async signTypedData(typedData: TypedData, sigAlgo?: SigType): Promise<string> {
+        return await this.sign(encodeTypedData(typedData), sigAlgo ?? this.signingAlgorithms["ecdsa_secp256k1"]);
+    }
+
+    /**
+     * Verifies that typed data signed with `signTypedData` was signed by 
+     * the account with the given address.
+     *
+     * @param {TypedData} typedData - The typed data that was signed.
+     * @param {string|Uint8Array} signature - The signature to verify.
+     * @param {string} address - The address of the expected signer.
+     * @returns {boolean} A boolean indicating whether the typed data was 
+     * signed by the address or not.
+     * @throws {Error} if the address is invalid, if the typed data cannot be 
+     * encoded, or if the signature byte is not recognized.
+     */
+    public verifyTypedData(typedData: TypedData, signature: string|Uint8Array, address: string): boolean {
+        return verifyTypedData(typedData, signature, address);
+    }
+
+    /**
+     * Verifies the signatures of an interaction request against the 
+     * addresses of the sender and, for a sponsored interaction, the payer.
+     *
+     * @param {InteractionRequest} ixRequest - The interaction request to verify.
+     * @param {string} sender - The address of the sender.
+     * @param {string} payer - The address of the payer. (optional)
+     * @returns {boolean} A boolean indicating whether the signatures are valid or not.
+     * @throws {Error} if a signature byte is not recognized.
+     */
+    public verifyInteraction(ixRequest: InteractionRequest, sender: string, payer?: string): boolean {
+        const ixData = hexToBytes(ixRequest.ix_args);
+
+        if (!this.verify(ixData, ixRequest.signature, sender)) {
+            return false;
+        }
+
+        if (payer == null) {
+            return true;
+        }
+
+        return ixRequest.payer_signature != null && this.verify(ixData, ixRequest.payer_signature, payer);
+    }
+
     /**
      * Verifies the authenticity of a signature by performing signature verification 
      * using the provided parameters.
@@ -233,34 +509,6 @@ export abstract class Signer {
      * @throws {Error} if the signature is invalid or the signature byte is not recognized.
      */
     public verify(message: Uint8Array, signature: string|Uint8Array, publicKey: string|Uint8Array): boolean {
-        let verificationKey: Uint8Array;
-
-        if (typeof publicKey === "string") {
-            verificationKey = hexToBytes(publicKey as string)
-        } else {
-            verificationKey = publicKey as Uint8Array
-        }
-
-        if (verificationKey.length === 33) {
-            verificationKey = verificationKey.slice(1);
-        }
-
-        const sig = new Signature();
-        sig.unmarshall(signature);
-
-        switch(sig.getSigByte()) {
-            case 1: {
-                const _sig = this.signingAlgorithms["ecdsa_secp256k1"];
-
-                return _sig.verify(message, sig, verificationKey);
-            }
-            default: {
-                ErrorUtils.throwError(
-                    "Invalid signature provided. Unable to verify the signature.", 
-                    ErrorCode.INVALID_SIGNATURE
-                )
-            }
-        }
-
+        return verifySignature(message, signature, publicKey);
     }
 }
\ No newline at end of file
@@ -0,0 +1,250 @@
+import { blake2b } from "@noble/hashes/blake2b";
+import { LogicManifest, Schema } from "js-moi-manifest";
+import { ErrorCode, ErrorUtils, encodeToString, hexToBytes, isValidAddress } from "js-moi-utils";
+import { Polorizer, type Schema as PoloSchema } from "js-polo";
+import { TypedData, TypedDataDomain } from "../types";
+import { verifySignature } from "./message";
+
+/**
+ * The prefix prepended to the hashes of the domain and the message of 
+ * typed data before they are signed.
+ */
+const TYPED_DATA_PREFIX = new Uint8Array([0x19, 0x01]);
+
+const typedDataDomainSchema = {
+    kind: "struct",
+    fields: {
+        name: {
+            kind: "string",
+        },
+        version: {
+            kind: "string",
+        },
+        network: {
+            kind: "string",
+        },
+        logic_id: {
+            kind: "bytes",
+        },
+    },
+};
+
+const hash = (data: Uint8Array): Uint8Array => {
+    return blake2b(data, { dkLen: 32 });
+};
+
+const concatBytes = (...arrays: Uint8Array[]): Uint8Array => {
+    const bytes = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+
+    arrays.reduce((offset, array) => {
+        bytes.set(array, offset);
+        return offset + array.length;
+    }, 0);
+
+    return bytes;
+};
+
+/**
+ * Sorts the fields of a type by their slots.
+ *
+ * @param {LogicManifest.TypeField[]} fields - The fields of the type.
+ * @returns {LogicManifest.TypeField[]} The sorted fields.
+ */
+const sortFields = (fields: LogicManifest.TypeField[]): LogicManifest.TypeField[] => {
+    return [...fields].sort((a, b) => a.slot - b.slot);
+};
+
+/**
+ * Collects the names of the types referenced by a type, including the 
+ * types referenced by them in turn.
+ *
+ * @param {TypedData["types"]} types - The type definitions.
+ * @param {string} name - The name of the type.
+ * @param {Set<string>} found - The names of the types found so far.
+ * @returns {Set<string>} The names of the referenced types.
+ */
+const findDependencies = (types: TypedData["types"], name: string, found: Set<string> = new Set()): Set<string> => {
+    types[name].forEach((field) => {
+        const names = field.type.match(/[A-Za-z_][A-Za-z0-9_]*/g) ?? [];
+
+        names.filter((name) => types[name] != null && !found.has(name)).forEach((name) => {
+            found.add(name);
+            findDependencies(types, name, found);
+        });
+    });
+
+    return found;
+};
+
+/**
+ * Encodes the definition of a type along with the types it references, 
+ * such as "Order(address maker,u256 amount,Asset asset)Asset(string symbol)".
+ *
+ * @param {TypedData["types"]} types - The type definitions.
+ * @param {string} primaryType - The name of the type.
+ * @returns {string} The encoded type definition.
+ */
+const encodeType = (types: TypedData["types"], primaryType: string): string => {
+    const dependencies = [...findDependencies(types, primaryType)].filter((name) => name !== primaryType).sort();
+
+    return [primaryType, ...dependencies].map((name) => {
+        const fields = sortFields(types[name]).map((field) => `${field.type} ${field.label}`);
+        return `${name}(${fields.join(",")})`;
+    }).join("");
+};
+
+/**
+ * Creates the POLO schema of a type, resolving the types it references 
+ * the same way the classes of a logic manifest are resolved.
+ *
+ * @param {TypedData["types"]} types - The type definitions.
+ * @param {string} primaryType - The name of the type.
+ * @returns {PoloSchema} The POLO schema of the type.
+ */
+const createSchema = (types: TypedData["types"], primaryType: string): PoloSchema => {
+    const elements: Map<number, LogicManifest.Element> = new Map();
+    const classDefs: Map<string, number> = new Map();
+
+    Object.keys(types).forEach((name, ptr) => {
+        elements.set(ptr, { ptr, kind: "class", data: { name, fields: sortFields(types[name]) } });
+        classDefs.set(name, ptr);
+    });
+
+    return new Schema(elements, classDefs).parseFields(sortFields(types[primaryType]));
+};
+
+/**
+ * Converts the values of a message into the representation expected by 
+ * the POLO encoder, such as hex strings into bytes.
+ *
+ * @param {PoloSchema} schema - The POLO schema of the value.
+ * @param {any} value - The value to convert.
+ * @returns {any} The converted value.
+ */
+const toPoloValue = (schema: PoloSchema, value: any): any => {
+    if (value == null) {
+        return value;
+    }
+
+    switch (schema.kind) {
+        case "bytes":
+            return typeof value === "string" ? hexToBytes(value) : value;
+
+        case "array":
+            return value.map((item: any) => toPoloValue(schema.fields.values, item));
+
+        case "map": {
+            const entries: [any, any][] = value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+
+            return new Map(entries.map(([key, item]) => [
+                toPoloValue(schema.fields.keys, key),
+                toPoloValue(schema.fields.values, item),
+            ]));
+        }
+
+        case "struct":
+            return Object.keys(schema.fields).reduce((struct, key) => {
+                struct[key] = toPoloValue(schema.fields[key], value[key]);
+                return struct;
+            }, {});
+
+        default:
+            return value;
+    }
+};
+
+/**
+ * Computes the hash of the domain of typed data.
+ *
+ * @param {TypedDataDomain} domain - The domain.
+ * @returns {Uint8Array} The 32 bytes hash.
+ */
+const hashDomain = (domain: TypedDataDomain): Uint8Array => {
+    const polorizer = new Polorizer();
+
+    polorizer.polorize({
+        name: domain.name ?? "",
+        version: domain.version ?? "",
+        network: domain.network ?? "",
+        logic_id: domain.logic_id != null ? hexToBytes(domain.logic_id) : new Uint8Array(0),
+    }, typedDataDomainSchema);
+
+    return hash(polorizer.bytes());
+};
+
+/**
+ * Computes the hash of the message of typed data, which covers the 
+ * definition of its type and its POLO encoding.
+ *
+ * @param {TypedData} typedData - The typed data.
+ * @returns {Uint8Array} The 32 bytes hash.
+ */
+const hashStruct = (typedData: TypedData): Uint8Array => {
+    const { types, primaryType, message } = typedData;
+    const schema = createSchema(types, primaryType);
+    const polorizer = new Polorizer();
+
+    polorizer.polorize(toPoloValue(schema, message), schema);
+
+    const typeHash = hash(new TextEncoder().encode(encodeType(types, primaryType)));
+
+    return hash(concatBytes(typeHash, polorizer.bytes()));
+};
+
+/**
+ * Encodes typed data for signing. The encoding is the typed data prefix 
+ * followed by the hash of the domain and the hash of the message.
+ *
+ * @param {TypedData} typedData - The typed data.
+ * @returns {Uint8Array} The encoded typed data.
+ * @throws {Error} if the primary type is not defined, or if the message 
+ * does not match its type.
+ */
+export const encodeTypedData = (typedData: TypedData): Uint8Array => {
+    if (typedData?.types?.[typedData.primaryType] == null) {
+        ErrorUtils.throwError(
+            `Primary type ${typedData?.primaryType} is not defined`,
+            ErrorCode.INVALID_ARGUMENT
+        );
+    }
+
+    try {
+        return concatBytes(TYPED_DATA_PREFIX, hashDomain(typedData.domain ?? {}), hashStruct(typedData));
+    } catch (err) {
+        ErrorUtils.throwError(
+            "Failed to encode typed data",
+            ErrorCode.INVALID_ARGUMENT,
+            { originalError: err }
+        );
+    }
+};
+
+/**
+ * Computes the blake2b hash of encoded typed data.
+ *
+ * @param {TypedData} typedData - The typed data.
+ * @returns {string} The 32 bytes hash as a hex string.
+ * @throws {Error} if the typed data cannot be encoded.
+ */
+export const hashTypedData = (typedData: TypedData): string => {
+    return encodeToString(hash(encodeTypedData(typedData)));
+};
+
+/**
+ * Verifies that typed data was signed by the account with the given address.
+ *
+ * @param {TypedData} typedData - The typed data that was signed.
+ * @param {string|Uint8Array} signature - The signature to verify.
+ * @param {string} address - The address of the expected signer.
+ * @returns {boolean} A boolean indicating whether the typed data was signed 
+ * by the address or not.
+ * @throws {Error} if the address is invalid, if the typed data cannot be 
+ * encoded, or if the signature byte is not recognized.
+ */
+export const verifyTypedData = (typedData: TypedData, signature: string|Uint8Array, address: string): boolean => {
+    if (!isValidAddress(address)) {
+        ErrorUtils.throwArgumentError("Invalid address", "address", address);
+    }
+
+    return verifySignature(encodeTypedData(typedData), signature, address);
+};
@@ -0,0 +1,100 @@
+import { AbstractProvider, InteractionObject, InteractionRequest, InteractionResponse } from "js-moi-providers";
+import { ErrorCode, ErrorUtils, isValidAddress } from "js-moi-utils";
+import { SigType } from "../types";
+import { Signer } from "./signer";
+
+/**
+ * A read-only signer for an address whose key is not held. It can be used
+ * anywhere a signer is expected to `call` or `estimateFuel` with the address
+ * as the sender, such as on a server that watches the accounts derived from
+ * an extended public key, but it refuses to sign or send interactions.
+ *
+ * @example
+ * const node = HDNode.fromExtendedKey(xpub).deriveChild(0);
+ * const signer = new VoidSigner(node.address(), provider);
+ *
+ * const fuel = await signer.estimateFuel(ixObject);
+ */
+export class VoidSigner extends Signer {
+    private readonly address: string;
+
+    constructor(address: string, provider?: AbstractProvider) {
+        super(provider);
+
+        if (!isValidAddress(address)) {
+            ErrorUtils.throwArgumentError("Invalid address", "address", address);
+        }
+
+        this.address = address;
+    }
+
+    /**
+     * Checks if the signer is initialized. A void signer is always
+     * initialized with its address, so that the sender of the interactions
+     * is checked against it.
+     *
+     * @returns {boolean} true.
+     */
+    public isInitialized(): boolean {
+        return true;
+    }
+
+    /**
+     * Retrieves the address associated with the signer.
+     *
+     * @returns {string} The address as a string.
+     */
+    public getAddress(): string {
+        return this.address;
+    }
+
+    /**
+     * Connects the signer to the given provider.
+     *
+     * @param {AbstractProvider} provider - The provider to connect.
+     */
+    public connect(provider: AbstractProvider): void {
+        this.provider = provider;
+    }
+
+    /**
+     * Refuses to sign the message, as the signer holds no key.
+     *
+     * @param {Uint8Array} message - The message to sign as a Uint8Array.
+     * @param {SigType} sigAlgo - The signature algorithm to use.
+     * @throws {Error} always, as the signer is read-only.
+     */
+    public sign(message: Uint8Array, sigAlgo: SigType): string {
+        return this.throwReadOnly("sign");
+    }
+
+    /**
+     * Refuses to sign the interaction object, as the signer holds no key.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to sign.
+     * @param {SigType} sigAlgo - The signature algorithm to use.
+     * @throws {Error} always, as the signer is read-only.
+     */
+    public signInteraction(ixObject: InteractionObject, sigAlgo: SigType): InteractionRequest {
+        return this.throwReadOnly("signInteraction");
+    }
+
+    /**
+     * Refuses to send the interaction object, as the signer holds no key.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to send.
+     * @param {Signer} sponsor - The signer paying for the fuel. (optional)
+     * @throws {Error} always, as the signer is read-only.
+     */
+    public async sendInteraction(ixObject: InteractionObject, sponsor?: Signer): Promise<InteractionResponse> {
+        return this.throwReadOnly("sendInteraction");
+    }
+
+    private throwReadOnly(operation: string): never {
+        ErrorUtils.throwError(
+            "Cannot sign or send interactions with a void signer",
+            ErrorCode.UNSUPPORTED_OPERATION,
+            { operation }
+        );
+    }
+}
@@ -1,4 +1,6 @@
 import { Buffer } from "buffer";
+import type { LogicManifest } from "js-moi-manifest";
+import type { InteractionObject } from "js-moi-providers";
 
 export interface ISignature {
     Digest(): Uint8Array;
@@ -17,12 +19,46 @@ export interface ISignature {
 export interface SigType {
     prefix: number;
     sigName: String;
+    getPublicKey(signingKey: string | Uint8Array): Uint8Array
     sign(message: Buffer, signingKey: string | Buffer): ISignature
     verify(message: Uint8Array, signature: ISignature, publicKey: Uint8Array): boolean
 }
 
 export interface ECDSA_S256 extends SigType {}
 
+export interface ED25519 extends SigType {}
+
+export interface SCHNORR_S256 extends SigType {}
+
 export interface SigningAlgorithms {
     ecdsa_secp256k1: ECDSA_S256
+    ed25519: ED25519
+    schnorr_secp256k1: SCHNORR_S256
+    [name: string]: SigType
+}
+
+/**
+ * The fuel price of an interaction is either a constant, the price suggested 
+ * by the provider ("node"), or the price resolved by a callback.
+ */
+export type FuelPriceStrategy = number | bigint | "node" | ((ixObject: InteractionObject) => number | bigint | Promise<number | bigint>);
+
+export interface FuelPolicy {
+    limitMultiplier?: number;
+    price?: FuelPriceStrategy;
+    maxFuelCost?: number | bigint;
+}
+
+export interface TypedDataDomain {
+    name?: string;
+    version?: string;
+    network?: string;
+    logic_id?: string;
+}
+
+export interface TypedData {
+    domain: TypedDataDomain;
+    types: Record<string, LogicManifest.TypeField[]>;
+    primaryType: string;
+    message: Record<string, any>;
 }
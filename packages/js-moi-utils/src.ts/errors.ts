@@ -7,6 +7,7 @@ export enum ErrorCode {
     UNSUPPORTED_OPERATION = "ERROR_UNSUPPORTED_OPERATION",
     NETWORK_ERROR = "ERROR_NETWORK",
     SERVER_ERROR = "ERROR_SERVER",
+    CLIENT_ERROR = "ERROR_CLIENT",
     TIMEOUT = "ERROR_TIMEOUT",
     BUFFER_OVERRUN = "ERROR_BUFFER_OVERRUN",
     NUMERIC_FAULT = "ERROR_NUMERIC_FAULT",
@@ -22,7 +23,8 @@ export enum ErrorCode {
     INTERACTION_UNDERPRICED = "ERROR_INTERACTION_UNDERPRICED",
     UNPREDICTABLE_FUEL_LIMIT = "ERROR_UNPREDICTABLE_FUEL_LIMIT",
     ACTION_REJECTED = "ERROR_ACTION_REJECTED",
-    INVALID_SIGNATURE = "ERROR_INVALID_SIGNATURE"
+    INVALID_SIGNATURE = "ERROR_INVALID_SIGNATURE",
+    RPC_ERROR = "ERROR_RPC"
 }
 
 /**
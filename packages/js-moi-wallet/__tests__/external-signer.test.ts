@@ -0,0 +1,87 @@
+import { type InteractionObject, type InteractionRequest } from "js-moi-providers";
+import { AssetStandard, OpType } from "js-moi-utils";
+import { ExternalSigner, Wallet } from "../src.ts/index";
+
+const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
+const DEVIATION_PATH = "m/44'/6174'/0'/0/1";
+
+describe("ExternalSigner", () => {
+    let wallet: Wallet;
+    let ixObject: InteractionObject;
+
+    beforeEach(() => {
+        wallet = Wallet.fromMnemonicSync(MNEMONIC, DEVIATION_PATH);
+        ixObject = {
+            nonce: 0,
+            sender: wallet.address,
+            fuel_price: 1,
+            fuel_limit: 200,
+            ix_operations: [
+                {
+                    type: OpType.ASSET_CREATE,
+                    payload: {
+                        standard: AssetStandard.MAS0,
+                        symbol: "SIG",
+                        supply: 1248577,
+                    },
+                }
+            ]
+        };
+    });
+
+    test("should throw an error if the address is invalid", () => {
+        expect(() => new ExternalSigner("0x1234", async () => "")).toThrow("Invalid address");
+    });
+
+    test("should delegate signing to the callback", async () => {
+        const callback = jest.fn(async (message, sigAlgo) => wallet.sign(message, sigAlgo));
+        const signer = new ExternalSigner(wallet.address, callback);
+        const algo = signer.signingAlgorithms["ecdsa_secp256k1"];
+
+        const ixRequest = await signer.signInteraction(ixObject, algo);
+
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(ixRequest).toEqual(wallet.signInteraction(ixObject, algo));
+        expect(signer.verifyInteraction(ixRequest, wallet.address)).toBe(true);
+    });
+
+    test("should delegate interaction signing to the transport", async () => {
+        const transport = {
+            sign: jest.fn(async () => ""),
+            signInteraction: jest.fn(async (ixObject, sigAlgo) => wallet.signInteraction(ixObject, sigAlgo)),
+        };
+        const signer = new ExternalSigner(wallet.address, transport);
+        const algo = signer.signingAlgorithms["ecdsa_secp256k1"];
+
+        const ixRequest = await signer.signInteraction(ixObject, algo);
+
+        expect(transport.signInteraction).toHaveBeenCalledWith(ixObject, algo);
+        expect(transport.sign).not.toHaveBeenCalled();
+        expect(ixRequest).toEqual(wallet.signInteraction(ixObject, algo));
+    });
+
+    test("should await the external signature when sending an interaction", async () => {
+        const provider = {
+            getInteractionCount: jest.fn(async () => 0),
+            sendInteraction: jest.fn(async (ixRequest: InteractionRequest) => ({ hash: "0x01" })),
+        };
+        const signer = new ExternalSigner(wallet.address, async (message, sigAlgo) => {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            return wallet.sign(message, sigAlgo);
+        }, provider as any);
+
+        await signer.sendInteraction(ixObject);
+
+        const [ixRequest] = provider.sendInteraction.mock.calls[0];
+        expect(signer.verifyInteraction(ixRequest, wallet.address)).toBe(true);
+    });
+
+    test("should throw an error if the backend fails to sign", async () => {
+        const signer = new ExternalSigner(wallet.address, async () => {
+            throw new Error("device is locked");
+        });
+        const algo = signer.signingAlgorithms["ecdsa_secp256k1"];
+
+        await expect(signer.signInteraction(ixObject, algo)).rejects.toThrow("Failed to sign interaction");
+    });
+});
@@ -0,0 +1,88 @@
+import { type InteractionObject, type InteractionRequest } from "js-moi-providers";
+import { AssetStandard, hexToBytes, OpType } from "js-moi-utils";
+import { deserializeIxObject, Wallet } from "../src.ts/index";
+
+const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
+const DEVIATION_PATH = "m/44'/6174'/0'/0/1";
+
+const createProvider = () => {
+    return {
+        getPendingInteractionCount: jest.fn(async () => 0),
+        getInteractionCount: jest.fn(async () => 0),
+        getFuelPrice: jest.fn(async () => 3),
+        estimateFuel: jest.fn(async () => 1000),
+        sendInteraction: jest.fn(async (ixRequest: InteractionRequest) => ({ hash: "0x01" })),
+    };
+};
+
+const sentIxObject = (provider: ReturnType<typeof createProvider>) => {
+    const [ixRequest] = provider.sendInteraction.mock.calls[0];
+    return deserializeIxObject(hexToBytes(ixRequest.ix_args));
+};
+
+describe("Fuel policy", () => {
+    let wallet: Wallet;
+    let provider: ReturnType<typeof createProvider>;
+
+    const createIxObject = (): InteractionObject => ({
+        ix_operations: [
+            {
+                type: OpType.ASSET_CREATE,
+                payload: {
+                    standard: AssetStandard.MAS0,
+                    symbol: "SIG",
+                    supply: 1248577,
+                },
+            }
+        ]
+    });
+
+    beforeEach(() => {
+        provider = createProvider();
+        wallet = Wallet.fromMnemonicSync(MNEMONIC, DEVIATION_PATH);
+        wallet.connect(provider as any);
+    });
+
+    test("should reject an interaction without fuel if there is no fuel policy", async () => {
+        await expect(wallet.sendInteraction(createIxObject())).rejects.toThrow("Fuel price is missing");
+    });
+
+    test("should fill in the fuel limit from the estimate times the multiplier", async () => {
+        wallet.setFuelPolicy({ limitMultiplier: 1.25 });
+
+        await wallet.sendInteraction(createIxObject());
+
+        expect(sentIxObject(provider)).toMatchObject({ fuel_price: 1, fuel_limit: 1250 });
+    });
+
+    test("should fill in the fuel price suggested by the node", async () => {
+        wallet.setFuelPolicy({ price: "node" });
+
+        await wallet.sendInteraction(createIxObject());
+
+        expect(provider.getFuelPrice).toHaveBeenCalledTimes(1);
+        expect(sentIxObject(provider)).toMatchObject({ fuel_price: 3, fuel_limit: 1000 });
+    });
+
+    test("should fill in the fuel price resolved by the callback", async () => {
+        const price = jest.fn(async () => 5);
+        wallet.setFuelPolicy({ price });
+
+        await wallet.sendInteraction({ ...createIxObject(), fuel_limit: 200 });
+
+        expect(price).toHaveBeenCalledTimes(1);
+        expect(provider.estimateFuel).not.toHaveBeenCalled();
+        expect(sentIxObject(provider)).toMatchObject({ fuel_price: 5, fuel_limit: 200 });
+    });
+
+    test("should reject an interaction which exceeds the fuel budget", async () => {
+        wallet.setFuelPolicy({ price: 2, maxFuelCost: 1500 });
+
+        await expect(wallet.sendInteraction(createIxObject())).rejects.toThrow("Fuel cost exceeds the budget of the fuel policy");
+        await expect(wallet.sendInteraction({ ...createIxObject(), fuel_limit: 700 })).resolves.toBeDefined();
+    });
+
+    test("should throw an error if the limit multiplier is less than 1", () => {
+        expect(() => wallet.setFuelPolicy({ limitMultiplier: 0.5 })).toThrow("Limit multiplier must be at least 1");
+    });
+});
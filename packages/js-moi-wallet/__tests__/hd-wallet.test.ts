@@ -0,0 +1,118 @@
+import { CustomError, ErrorCode } from "js-moi-utils";
+import { HDWallet, Wallet } from "../src.ts/index";
+
+const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
+const ADDRESS = "0x870ad6c5150ea8c0355316974873313004c6b9425a855a06fff16f408b0e0a8b";
+const DEVIATION_PATH = "m/44'/6174'/0'/0/1";
+
+const createProvider = (used: string[]) => {
+    return {
+        getAccountMetaInfo: jest.fn(async (address: string) => {
+            if (!used.includes(address)) {
+                throw new CustomError("account not found", ErrorCode.RPC_ERROR, { rpcCode: -32000 });
+            }
+
+            return { address, lattice_exists: true };
+        }),
+    };
+};
+
+describe("HDWallet", () => {
+    let hdWallet: HDWallet;
+
+    beforeEach(() => {
+        hdWallet = HDWallet.fromMnemonicSync(MNEMONIC);
+    });
+
+    test("should derive the accounts below the base path", async () => {
+        expect(hdWallet.getPath(1)).toBe(DEVIATION_PATH);
+        expect(hdWallet.getAccount(0).address).toBe(Wallet.fromMnemonicSync(MNEMONIC).address);
+        expect(hdWallet.getAccount(1).address).toBe(ADDRESS);
+        expect(hdWallet.getAccount(1)).toBe(hdWallet.getAccount(1));
+
+        const asyncWallet = await HDWallet.fromMnemonic(MNEMONIC);
+
+        expect(asyncWallet.getAccount(1).address).toBe(ADDRESS);
+    });
+
+    test("should derive the accounts of a wallet recovered from SLIP-39 shares", () => {
+        const shares = [
+            "shadow pistol academic always adequate wildlife fancy gross oasis cylinder mustang wrist rescue view short owner flip making coding armed",
+            "shadow pistol academic acid actress prayer class unknown daughter sweater depict flip twice unkind craft early superior advocate guest smoking",
+        ];
+        const slip39Wallet = HDWallet.fromSlip39(shares, "TREZOR");
+
+        expect(slip39Wallet.getAccount(0).address).toBe("0x2dd28cb2220a028b1be3340ad0a8897d5eaeea69fd3d4de8e1662aba80a6f88e");
+        expect(slip39Wallet.getAccount(1).address).toBe("0xf03bbf9fdddcf59cf70bdc62a37140d20689ce00a3fba7ec8ea196c2eafa9f5a");
+        expect(Wallet.fromSlip39(shares, "TREZOR", DEVIATION_PATH).address).toBe(slip39Wallet.getAccount(1).address);
+        expect(() => HDWallet.fromSlip39(shares.slice(1), "TREZOR")).toThrow("Failed to load HD wallet from SLIP-39 shares");
+    });
+
+    test("should enumerate the derived accounts by index", () => {
+        const second = hdWallet.getAccount(3);
+        const first = hdWallet.getAccount(1);
+
+        expect(hdWallet.getAccounts()).toEqual([first, second]);
+    });
+
+    test("should throw an error for an invalid account index", () => {
+        expect(() => hdWallet.getAccount(-1)).toThrow("Invalid account index");
+        expect(() => hdWallet.getAccount(1.5)).toThrow("Invalid account index");
+    });
+
+    test("should give signers connected to the provider", () => {
+        const provider = createProvider([]);
+        const signer = hdWallet.getSigner(0);
+
+        hdWallet.connect(provider as any);
+
+        expect(signer.provider).toBe(provider);
+        expect(hdWallet.getSigner(4).provider).toBe(provider);
+    });
+
+    test("should discover the used accounts up to the gap limit", async () => {
+        const used = [0, 2, 5].map((index) => hdWallet.getAccount(index).address);
+        const provider = createProvider(used);
+        hdWallet.connect(provider as any);
+
+        const accounts = await hdWallet.discoverAccounts({ gapLimit: 3 });
+
+        expect(accounts.map((account) => account.address)).toEqual(used);
+        expect(provider.getAccountMetaInfo).toHaveBeenCalledTimes(9);
+    });
+
+    test("should stop the discovery at the first gap of unused accounts", async () => {
+        const used = [hdWallet.getAccount(4).address];
+        const provider = createProvider(used);
+        hdWallet.connect(provider as any);
+
+        expect(await hdWallet.discoverAccounts({ gapLimit: 3 })).toEqual([]);
+        expect(await hdWallet.discoverAccounts({ gapLimit: 3, startIndex: 2 })).toEqual([hdWallet.getAccount(4)]);
+    });
+
+    test("should throw the errors of the provider other than an unknown account", async () => {
+        const provider = {
+            getAccountMetaInfo: jest.fn(async () => {
+                throw new Error("CONNECTION ERROR");
+            }),
+        };
+        hdWallet.connect(provider as any);
+
+        await expect(hdWallet.discoverAccounts()).rejects.toThrow("CONNECTION ERROR");
+    });
+
+    test("should throw the other errors of the node", async () => {
+        const provider = {
+            getAccountMetaInfo: jest.fn(async () => {
+                throw new CustomError("internal error", ErrorCode.RPC_ERROR, { rpcCode: -32000 });
+            }),
+        };
+        hdWallet.connect(provider as any);
+
+        await expect(hdWallet.discoverAccounts()).rejects.toThrow("internal error");
+    });
+
+    test("should throw an error if the provider is not connected", async () => {
+        await expect(hdWallet.discoverAccounts()).rejects.toThrow("Provider is not initialized!");
+    });
+});
@@ -1,7 +1,8 @@
 import { randomBytes } from "crypto";
 import { VoyageProvider, type InteractionRequest } from "js-moi-providers";
+import { encodeMessage, verifyMessage } from "js-moi-signer";
 import { AssetStandard, isValidAddress, OpType } from "js-moi-utils";
-import { CURVE, Wallet } from "../src.ts/index";
+import { CURVE, HDWallet, Wallet, type Keystore } from "../src.ts/index";
 
 const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
 const ADDRESS = "0x870ad6c5150ea8c0355316974873313004c6b9425a855a06fff16f408b0e0a8b";
@@ -99,6 +100,55 @@ describe("Wallet", () => {
             expect(wallet.privateKey).toBe(PRIVATE_KEY);
             expect(wallet.curve).toBe(CURVE.SECP256K1);
         });
+
+        test("fromKeystore with a pbkdf2 keystore", () => {
+            const keystore: Keystore = {
+                id: "3f2b8c1d-4e5a-4b6c-9d7e-8f9a0b1c2d3e",
+                version: 2,
+                address: ADDRESS,
+                cipher: "aes-128-ctr",
+                ciphertext: "b421ebe715c18279a0b9500300db4100524d5982181a2d7fb078275ef1ab3556",
+                cipherparams: {
+                    IV: "2c5a9e0d3f6b8c1e4a7d0f3b6e9c2a5d"
+                },
+                kdf: "pbkdf2",
+                kdfparams: {
+                    c: 1024,
+                    dklen: 32,
+                    prf: "hmac-sha256",
+                    salt: "5d6c8f1a2b3e4f5061728394a5b6c7d8e9f0a1b2c3d4e5f60718293a4b5c6d7e"
+                },
+                mac: "8a833159746d12e902a70d6f2a9eaa074f62f1ed87f3e144e80a7ff46c74f125"
+            };
+
+            const wallet = Wallet.fromKeystore(keystore, "password");
+
+            expect(wallet.address).toBe(ADDRESS);
+            expect(wallet.privateKey).toBe(PRIVATE_KEY);
+            expect(() => Wallet.fromKeystore(keystore, "wrong password")).toThrow("Failed to load wallet from keystore");
+        });
+
+        test("fromKeystore with a mismatching address", () => {
+            const keystore = new Wallet(PRIVATE_KEY, CURVE.SECP256K1).generateKeystore("password", { scrypt: { n: 1024 } });
+            keystore.address = "0x" + "ab".repeat(32);
+
+            expect(() => Wallet.fromKeystore(keystore, "password")).toThrow("Failed to load wallet from keystore");
+        });
+
+        test(Wallet.fromKeystoreAsync.name, async () => {
+            const source = new Wallet(PRIVATE_KEY, CURVE.SECP256K1);
+            const keystore = await source.generateKeystoreAsync("password", { scrypt: { n: 1024 } });
+
+            expect(keystore.version).toBe(2);
+            expect(keystore.address).toBe(ADDRESS);
+            expect(keystore.kdfparams).toMatchObject({ n: 1024, r: 8, p: 1, dklen: 32 });
+            expect(keystore.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+            const wallet = await Wallet.fromKeystoreAsync(JSON.stringify(keystore), "password");
+
+            expect(wallet.address).toBe(ADDRESS);
+            expect(wallet.privateKey).toBe(PRIVATE_KEY);
+        });
     });
 
     describe("Instance methods", () => {
@@ -146,6 +196,79 @@ describe("Wallet", () => {
             });
         });
 
+        describe("signMessage", () => {
+            test("should sign a message which is verified against the address", async () => {
+                const signature = await wallet.signMessage(message);
+
+                expect(wallet.verifyMessage(message, signature, wallet.address)).toBe(true);
+                expect(verifyMessage(Buffer.from(message), signature, wallet.address)).toBe(true);
+            });
+
+            test("should not verify the signature against another address", async () => {
+                const signature = await wallet.signMessage(message);
+
+                expect(wallet.verifyMessage(message, signature, Wallet.createRandomSync().address)).toBe(false);
+                expect(wallet.verifyMessage("Hello, MOI!", signature, wallet.address)).toBe(false);
+            });
+
+            test("should not verify a signature over the raw message", () => {
+                const algo = wallet.signingAlgorithms["ecdsa_secp256k1"];
+
+                expect(wallet.verifyMessage(message, signedMessage, wallet.address)).toBe(false);
+                expect(wallet.verify(encodeMessage(message), wallet.sign(encodeMessage(message), algo), wallet.address)).toBe(true);
+            });
+
+            test("should throw an error if the address is invalid", async () => {
+                const signature = await wallet.signMessage(message);
+
+                expect(() => wallet.verifyMessage(message, signature, "0x1234")).toThrow("Invalid address");
+            });
+        });
+
+        describe("signing algorithms", () => {
+            test("should sign and verify with schnorr over the wallet address", () => {
+                const algo = wallet.signingAlgorithms["schnorr_secp256k1"];
+                const signature = wallet.sign(Buffer.from(message), algo);
+
+                expect(signature.slice(0, 4)).toBe("0340");
+                expect(wallet.verify(Buffer.from(message), signature, wallet.address)).toBe(true);
+                expect(wallet.verify(Buffer.from("Hello, MOI!"), signature, wallet.address)).toBe(false);
+                expect(wallet.verify(Buffer.from(message), signature, new Uint8Array(32))).toBe(false);
+            });
+
+            test("should sign and verify with ed25519 using the key derived with SLIP-0010", () => {
+                const algo = wallet.signingAlgorithms["ed25519"];
+                const publicKey = wallet.getPublicKey(algo);
+                const signature = wallet.sign(Buffer.from(message), algo);
+
+                expect(signature.slice(0, 4)).toBe("0240");
+                expect(wallet.verify(Buffer.from(message), signature, publicKey)).toBe(true);
+                expect(wallet.verify(Buffer.from(message), signature, algo.getPublicKey(wallet.privateKey))).toBe(false);
+                expect(wallet.verify(Buffer.from(message), signature, wallet.address)).toBe(false);
+            });
+
+            test("should derive the ed25519 key at the hardened derivation path", () => {
+                const algo = wallet.signingAlgorithms["ed25519"];
+                const hdWallet = HDWallet.fromMnemonicSync(MNEMONIC);
+
+                expect(wallet.getPublicKey(algo)).toEqual(hdWallet.getAccount(1).getPublicKey(algo));
+                expect(wallet.getPublicKey(algo)).not.toEqual(hdWallet.getAccount(0).getPublicKey(algo));
+            });
+
+            test("should throw an error when signing with ed25519 without a key derived from a seed", () => {
+                const algo = wallet.signingAlgorithms["ed25519"];
+                const keyWallet = new Wallet(PRIVATE_KEY, CURVE.SECP256K1);
+
+                expect(() => keyWallet.sign(Buffer.from(message), algo)).toThrow("Ed25519 key not found");
+            });
+
+            test("should throw an error if the signature type is not registered", () => {
+                const algo = { ...wallet.signingAlgorithms["ed25519"], prefix: 99 };
+
+                expect(() => wallet.sign(Buffer.from(message), algo)).toThrow("Unsupported signature type");
+            });
+        });
+
         test("signInteraction", () => {
             const ixObject = {
                 nonce: 0,
@@ -177,6 +300,41 @@ describe("Wallet", () => {
             );
         });
 
+        test("sponsorInteraction", async () => {
+            const payer = Wallet.fromMnemonicSync(MNEMONIC, "m/44'/6174'/0'/0/2");
+            const ixObject = {
+                nonce: 0,
+                sender: wallet.address,
+                payer: payer.address,
+                fuel_price: 1,
+                fuel_limit: 200,
+                ix_operations: [
+                    {
+                        type: OpType.ASSET_CREATE,
+                        payload: {
+                            standard: AssetStandard.MAS0,
+                            symbol: "SIG",
+                            supply: 1248577,
+                        },
+                    }
+                ]
+            };
+
+            const algo = wallet.signingAlgorithms["ecdsa_secp256k1"];
+            const ixRequest = wallet.signInteraction(ixObject, algo);
+            const sponsored = await payer.sponsorInteraction(ixRequest, algo);
+
+            expect(ixRequest.ix_args).toContain(payer.address.slice(2));
+            expect(sponsored).toMatchObject<InteractionRequest>({
+                ix_args: ixRequest.ix_args,
+                signature: ixRequest.signature,
+                payer_signature: expect.any(String),
+            });
+            expect(wallet.verifyInteraction(sponsored, wallet.address, payer.address)).toBe(true);
+            expect(wallet.verifyInteraction(sponsored, payer.address, wallet.address)).toBe(false);
+            expect(wallet.verifyInteraction(ixRequest, wallet.address, payer.address)).toBe(false);
+        });
+
         test("address", () => {
             expect(wallet.address).toBe(ADDRESS);
         });
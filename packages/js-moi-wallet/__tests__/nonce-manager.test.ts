@@ -0,0 +1,148 @@
+import { type InteractionObject, type InteractionRequest } from "js-moi-providers";
+import { NonceManager } from "js-moi-signer";
+import { AssetStandard, CustomError, ErrorCode, hexToBytes, OpType } from "js-moi-utils";
+import { deserializeIxObject, Wallet } from "../src.ts/index";
+
+const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
+const DEVIATION_PATH = "m/44'/6174'/0'/0/1";
+
+const createProvider = (nonce: number) => {
+    return {
+        getPendingInteractionCount: jest.fn(async () => nonce),
+        getInteractionCount: jest.fn(async () => 0),
+        sendInteraction: jest.fn(async (ixRequest: InteractionRequest) => ({ hash: "0x01" })),
+    };
+};
+
+const sentNonces = (provider: ReturnType<typeof createProvider>) => {
+    return provider.sendInteraction.mock.calls.map(([ixRequest]) => {
+        return deserializeIxObject(hexToBytes(ixRequest.ix_args)).nonce;
+    });
+};
+
+describe("NonceManager", () => {
+    let wallet: Wallet;
+
+    const createIxObject = (): InteractionObject => ({
+        fuel_price: 1,
+        fuel_limit: 200,
+        ix_operations: [
+            {
+                type: OpType.ASSET_CREATE,
+                payload: {
+                    standard: AssetStandard.MAS0,
+                    symbol: "SIG",
+                    supply: 1248577,
+                },
+            }
+        ]
+    });
+
+    beforeEach(() => {
+        wallet = Wallet.fromMnemonicSync(MNEMONIC, DEVIATION_PATH);
+    });
+
+    test("should hand out increasing nonces to concurrent interactions", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+
+        await Promise.all(Array.from({ length: 5 }, () => signer.sendInteraction(createIxObject())));
+
+        expect(provider.getPendingInteractionCount).toHaveBeenCalledTimes(1);
+        expect(sentNonces(provider).sort()).toEqual([5, 6, 7, 8, 9]);
+        expect(await signer.getNonce()).toBe(10);
+    });
+
+    test("should fetch the nonce again after it is reset", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+
+        await signer.sendInteraction(createIxObject());
+        provider.getPendingInteractionCount.mockResolvedValue(8);
+        signer.reset();
+        await signer.sendInteraction(createIxObject());
+
+        expect(provider.getPendingInteractionCount).toHaveBeenCalledTimes(2);
+        expect(sentNonces(provider)).toEqual([5, 8]);
+    });
+
+    test("should fetch the nonce again after it expires", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+
+        provider.sendInteraction.mockRejectedValueOnce(new CustomError("nonce too low", ErrorCode.NONCE_EXPIRED));
+        await expect(signer.sendInteraction(createIxObject())).rejects.toThrow("nonce too low");
+
+        provider.getPendingInteractionCount.mockResolvedValue(7);
+        await signer.sendInteraction(createIxObject());
+
+        expect(sentNonces(provider)).toEqual([5, 7]);
+    });
+
+    test("should fetch the nonces again after an interaction fails to send", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+
+        await expect(signer.sendInteraction({ ...createIxObject(), fuel_limit: 0 })).rejects.toThrow();
+        await signer.sendInteraction(createIxObject());
+
+        expect(provider.getPendingInteractionCount).toHaveBeenCalledTimes(2);
+        expect(sentNonces(provider)).toEqual([5]);
+    });
+
+    test("should not leave a gap after an interaction in the middle of a batch fails", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+
+        provider.sendInteraction.mockImplementation(async (ixRequest: InteractionRequest) => {
+            if (provider.sendInteraction.mock.calls.length === 2) {
+                throw new CustomError("Error: fetch failed", ErrorCode.NETWORK_ERROR);
+            }
+
+            return { hash: "0x01" };
+        });
+
+        const results = await Promise.allSettled(Array.from({ length: 3 }, () => signer.sendInteraction(createIxObject())));
+
+        expect(results.map((result) => result.status)).toEqual(["fulfilled", "rejected", "fulfilled"]);
+
+        provider.getPendingInteractionCount.mockResolvedValue(6);
+        await signer.sendInteraction(createIxObject());
+
+        expect(sentNonces(provider)).toEqual([5, 6, 7, 6]);
+    });
+
+    test("should not modify the given interaction object", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+        const ixObject = createIxObject();
+
+        await signer.sendInteraction(ixObject);
+        await signer.sendInteraction(ixObject);
+
+        expect(ixObject.nonce).toBeUndefined();
+        expect(sentNonces(provider)).toEqual([5, 6]);
+    });
+
+    test("should use the fuel policy of the wrapped signer", async () => {
+        const provider = createProvider(5);
+        wallet.connect(provider as any);
+        const signer = new NonceManager(wallet);
+
+        wallet.setFuelPolicy({ price: 3 });
+        await signer.sendInteraction({ ...createIxObject(), fuel_price: undefined });
+
+        expect(signer.fuelPolicy).toEqual({ price: 3 });
+        expect(deserializeIxObject(hexToBytes(provider.sendInteraction.mock.calls[0][0].ix_args)).fuel_price).toBe(3);
+
+        signer.setFuelPolicy(undefined);
+
+        expect(wallet.fuelPolicy).toBeUndefined();
+    });
+});
@@ -0,0 +1,93 @@
+import { type InteractionObject } from "js-moi-providers";
+import { AssetStandard, bytesToHex, LockType, OpType } from "js-moi-utils";
+import { deserializeIxObject, serializeIxObject } from "../src.ts/index";
+
+const SENDER = "0x870ad6c5150ea8c0355316974873313004c6b9425a855a06fff16f408b0e0a8b";
+const PAYER = "0x916e5a7c5b4dc2ac1b0e1a9d8c1f0bd7d6dc8b1a2e51c32d7c56a2b8f6e0c3d4";
+const BENEFICIARY = "0x2f4a9d7b6c8e1f0a3b5c7d9e1f2a4b6c8d0e2f4a6b8c0d2e4f6a8b0c2d4e6f80";
+const ASSET_ID = "0x000000004cd973c4eb83cdb8870c0de209736270491b7acc99873da1eddced5826c3bd3b";
+const LOGIC_ID = "0x0800007d70c34ed6ec4384c75d469894052647a078b33ac0f08db0d3751c1fce29a49a";
+
+describe("Serializer", () => {
+    describe(deserializeIxObject.name, () => {
+        test("should decode an encoded interaction back into the original interaction", () => {
+            const ixObject: InteractionObject = {
+                nonce: 7,
+                sender: SENDER,
+                payer: PAYER,
+                fuel_price: 1,
+                fuel_limit: 5000,
+                ix_operations: [
+                    {
+                        type: OpType.ASSET_CREATE,
+                        payload: {
+                            standard: AssetStandard.MAS0,
+                            symbol: "SIG",
+                            supply: 1248577,
+                        },
+                    },
+                    {
+                        type: OpType.ASSET_TRANSFER,
+                        payload: {
+                            benefactor: SENDER,
+                            beneficiary: BENEFICIARY,
+                            asset_id: ASSET_ID,
+                            amount: 10000000000000000000n,
+                        },
+                    },
+                    {
+                        type: OpType.LOGIC_INVOKE,
+                        payload: {
+                            logic_id: LOGIC_ID,
+                            callsite: "Seed",
+                            calldata: "0x0d6f0665b6019502737570706c790305f5e100",
+                        },
+                    },
+                ],
+            };
+
+            const decoded = deserializeIxObject(serializeIxObject(ixObject));
+
+            expect(decoded).toEqual({
+                ...ixObject,
+                funds: [
+                    { asset_id: ASSET_ID, amount: 10000000000000000000n },
+                ],
+                ix_operations: [
+                    {
+                        type: OpType.ASSET_CREATE,
+                        payload: {
+                            standard: AssetStandard.MAS0,
+                            symbol: "SIG",
+                            supply: 1248577,
+                            dimension: 0,
+                            is_stateful: false,
+                            is_logical: false,
+                        },
+                    },
+                    ixObject.ix_operations[1],
+                    ixObject.ix_operations[2],
+                ],
+                participants: [
+                    { address: SENDER, lock_type: LockType.MUTATE_LOCK },
+                    { address: PAYER, lock_type: LockType.MUTATE_LOCK },
+                    { address: BENEFICIARY, lock_type: LockType.MUTATE_LOCK },
+                    { address: "0x" + LOGIC_ID.slice(8), lock_type: LockType.MUTATE_LOCK },
+                ],
+            });
+        });
+
+        test("should give back the same bytes when encoding a decoded interaction", () => {
+            const ixArgs = "0ebf02068604830883089308ae08be088e0be00fe00f870ad6c5150ea8c0355316974873313004c6b9425a855a06fff16f408b0e0a8b000000000000000000000000000000000000000000000000000000000000000001c80f1f0e2f0316040e7f06336363616160534947130d411f0e3f068304870ad6c5150ea8c0355316974873313004c6b9425a855a06fff16f408b0e0a8b";
+            const ixObject = deserializeIxObject(ixArgs);
+
+            expect(ixObject.payer).toBeUndefined();
+            expect(ixObject.sender).toBe(SENDER);
+            expect(bytesToHex(serializeIxObject(ixObject))).toBe(ixArgs);
+        });
+
+        test("should throw an error if the bytes are not an interaction", () => {
+            expect(() => deserializeIxObject("0x0102")).toThrow("Failed to deserialize interaction object");
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { hashTypedData, verifyTypedData, type TypedData } from "js-moi-signer";
+import { Wallet } from "../src.ts/index";
+
+const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
+const DEVIATION_PATH = "m/44'/6174'/0'/0/1";
+const LOGIC_ID = "0x0800007d70c34ed6ec4384c75d469894052647a078b33ac0f08db0d3751c1fce29a49a";
+
+describe("Typed data", () => {
+    let wallet: Wallet;
+    let typedData: TypedData;
+
+    beforeEach(() => {
+        wallet = Wallet.fromMnemonicSync(MNEMONIC, DEVIATION_PATH);
+        typedData = {
+            domain: {
+                name: "Exchange",
+                version: "1",
+                network: "babylon",
+                logic_id: LOGIC_ID,
+            },
+            types: {
+                Order: [
+                    { slot: 0, label: "maker", type: "address" },
+                    { slot: 1, label: "amount", type: "u256" },
+                    { slot: 2, label: "asset", type: "Asset" },
+                    { slot: 3, label: "tags", type: "[]string" },
+                ],
+                Asset: [
+                    { slot: 0, label: "symbol", type: "string" },
+                    { slot: 1, label: "decimals", type: "u64" },
+                ],
+            },
+            primaryType: "Order",
+            message: {
+                maker: wallet.address,
+                amount: 10000000000000000000n,
+                asset: { symbol: "MOI", decimals: 18 },
+                tags: ["limit", "gtc"],
+            },
+        };
+    });
+
+    test("should sign typed data which is verified against the address", async () => {
+        const signature = await wallet.signTypedData(typedData);
+
+        expect(wallet.verifyTypedData(typedData, signature, wallet.address)).toBe(true);
+        expect(verifyTypedData(typedData, signature, Wallet.createRandomSync().address)).toBe(false);
+    });
+
+    test("should bind the signature to the domain and the message", async () => {
+        const signature = await wallet.signTypedData(typedData);
+
+        expect(verifyTypedData({ ...typedData, domain: { ...typedData.domain, network: "devnet" } }, signature, wallet.address)).toBe(false);
+        expect(verifyTypedData({ ...typedData, message: { ...typedData.message, amount: 1n } }, signature, wallet.address)).toBe(false);
+    });
+
+    test("should hash the same data to the same hash regardless of field order", () => {
+        const reordered: TypedData = {
+            ...typedData,
+            types: {
+                ...typedData.types,
+                Order: [...typedData.types.Order].reverse(),
+            },
+        };
+
+        expect(hashTypedData(reordered)).toBe(hashTypedData(typedData));
+        expect(hashTypedData(typedData)).toMatch(/^0x[0-9a-f]{64}$/);
+    });
+
+    test("should distinguish types with the same fields", () => {
+        const renamed: TypedData = {
+            ...typedData,
+            types: { Bid: typedData.types.Order, Asset: typedData.types.Asset },
+            primaryType: "Bid",
+        };
+
+        expect(hashTypedData(renamed)).not.toBe(hashTypedData(typedData));
+    });
+
+    test("should throw an error if the primary type is not defined", () => {
+        expect(() => hashTypedData({ ...typedData, primaryType: "Permit" })).toThrow("Primary type Permit is not defined");
+    });
+});
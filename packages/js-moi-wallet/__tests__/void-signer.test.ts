@@ -0,0 +1,80 @@
+import { mnemonicToSeedSync } from "js-moi-bip39";
+import { MOI_DERIVATION_BASE_PATH } from "js-moi-constants";
+import { HDNode } from "js-moi-hdnode";
+import { type InteractionObject } from "js-moi-providers";
+import { VoidSigner } from "js-moi-signer";
+import { AssetStandard, ErrorCode, OpType } from "js-moi-utils";
+import { HDWallet } from "../src.ts/index";
+
+const MNEMONIC = "profit behave tribe dash diet stool crawl general country student smooth oxygen";
+const ADDRESS = "0x870ad6c5150ea8c0355316974873313004c6b9425a855a06fff16f408b0e0a8b";
+
+const createProvider = () => {
+    return {
+        call: jest.fn(async (ixObject: InteractionObject) => ({ ix_hash: "0x01" })),
+        estimateFuel: jest.fn(async (ixObject: InteractionObject) => 200),
+        sendInteraction: jest.fn(async () => ({ hash: "0x01" })),
+    };
+};
+
+describe("VoidSigner", () => {
+    const createIxObject = (): InteractionObject => ({
+        ix_operations: [
+            {
+                type: OpType.ASSET_CREATE,
+                payload: {
+                    standard: AssetStandard.MAS0,
+                    symbol: "SIG",
+                    supply: 1248577,
+                },
+            }
+        ]
+    });
+
+    test("should watch the addresses derived from an extended public key", () => {
+        const xpub = HDNode.fromSeed(mnemonicToSeedSync(MNEMONIC))
+            .derivePath(MOI_DERIVATION_BASE_PATH)
+            .getExtendedPublicKey();
+        const hdWallet = HDWallet.fromMnemonicSync(MNEMONIC);
+        const node = HDNode.fromExtendedKey(xpub);
+
+        expect(node.deriveChild(1).address()).toBe(ADDRESS);
+        expect(node.deriveChild(7).address()).toBe(hdWallet.getAccount(7).address);
+    });
+
+    test("should call and estimate fuel with the address as the sender", async () => {
+        const provider = createProvider();
+        const signer = new VoidSigner(ADDRESS, provider as any);
+
+        await signer.call(createIxObject());
+        const fuel = await signer.estimateFuel(createIxObject());
+
+        expect(fuel).toBe(200);
+        expect(provider.call.mock.calls[0][0].sender).toBe(ADDRESS);
+        expect(provider.estimateFuel.mock.calls[0][0].sender).toBe(ADDRESS);
+    });
+
+    test("should throw an error if the sender mismatches with the address", async () => {
+        const signer = new VoidSigner(ADDRESS, createProvider() as any);
+        const ixObject = { ...createIxObject(), sender: "0x" + "ab".repeat(32) };
+
+        await expect(signer.call(ixObject)).rejects.toThrow("Sender address mismatches with the signer");
+    });
+
+    test("should refuse to sign or send interactions", async () => {
+        const provider = createProvider();
+        const signer = new VoidSigner(ADDRESS, provider as any);
+        const ixObject = { ...createIxObject(), fuel_price: 1, fuel_limit: 200 };
+
+        await expect(signer.sendInteraction(ixObject)).rejects.toMatchObject({
+            code: ErrorCode.UNSUPPORTED_OPERATION,
+        });
+        await expect(signer.signMessage("Hello, MOI")).rejects.toThrow("Cannot sign or send interactions with a void signer");
+        expect(() => signer.signInteraction(ixObject, signer.signingAlgorithms["ecdsa_secp256k1"])).toThrow();
+        expect(provider.sendInteraction).not.toHaveBeenCalled();
+    });
+
+    test("should throw an error for an invalid address", () => {
+        expect(() => new VoidSigner("0x1234")).toThrow("Invalid address");
+    });
+});
@@ -0,0 +1,123 @@
+import { AbstractProvider, InteractionObject, InteractionRequest } from "js-moi-providers";
+import { SigType, Signer } from "js-moi-signer";
+import { ErrorCode, ErrorUtils, bytesToHex, isValidAddress } from "js-moi-utils";
+
+import type { SignCallback, SignerTransport } from "../types/external-signer";
+import { serializeIxObject } from "./serializer";
+
+/**
+ * A signer which holds no key material and delegates signing to an external
+ * backend through an asynchronous callback or transport.
+ *
+ * When the transport does not implement `signInteraction`, the interaction
+ * object is serialized into POLO bytes and signed with `sign`.
+ *
+ * @example
+ * // signing through a callback
+ * const signer = new ExternalSigner(address, (message, sigAlgo) => kms.sign(keyId, message));
+ *
+ * @example
+ * // signing through a transport
+ * const transport = {
+ *     sign: (message, sigAlgo) => daemon.request("sign", { message, sigAlgo }),
+ * };
+ * const signer = new ExternalSigner(address, transport, provider);
+ */
+export class ExternalSigner extends Signer {
+    private readonly address: string;
+    private readonly transport: SignerTransport;
+
+    constructor(address: string, transport: SignerTransport | SignCallback, provider?: AbstractProvider) {
+        super(provider);
+
+        if (!isValidAddress(address)) {
+            ErrorUtils.throwArgumentError("Invalid address", "address", address);
+        }
+
+        if (transport == null) {
+            ErrorUtils.throwError("Transport is required, cannot be undefined", ErrorCode.INVALID_ARGUMENT);
+        }
+
+        this.address = address;
+        this.transport = typeof transport === "function" ? { sign: transport } : transport;
+    }
+
+    /**
+     * Checks if the signer is initialized. An external signer is always
+     * initialized as its key is held by the backend.
+     *
+     * @returns {boolean} true.
+     */
+    public isInitialized(): boolean {
+        return true;
+    }
+
+    /**
+     * Retrieves the address associated with the signer.
+     *
+     * @returns {string} The address as a string.
+     */
+    public getAddress(): string {
+        return this.address;
+    }
+
+    /**
+     * Connects the signer to the given provider.
+     *
+     * @param {AbstractProvider} provider - The provider to connect.
+     */
+    public connect(provider: AbstractProvider): void {
+        this.provider = provider;
+    }
+
+    /**
+     * Signs a message through the external backend using the specified
+     * signature algorithm.
+     *
+     * @param {Uint8Array} message - The message to sign as a Uint8Array.
+     * @param {SigType} sigAlgo - The signature algorithm to use.
+     * @returns {Promise<string>} A Promise that resolves to the signature as a string.
+     * @throws {Error} if the signature type is undefined, or if the backend
+     * fails to sign the message.
+     */
+    public async sign(message: Uint8Array, sigAlgo: SigType): Promise<string> {
+        if (sigAlgo == null) {
+            ErrorUtils.throwError("Signature type cannot be undefined", ErrorCode.INVALID_ARGUMENT);
+        }
+
+        try {
+            return await this.transport.sign(message, sigAlgo);
+        } catch (err) {
+            ErrorUtils.throwError("Failed to sign message", ErrorCode.UNKNOWN_ERROR, { originalError: err });
+        }
+    }
+
+    /**
+     * Signs an interaction object through the external backend using the
+     * specified signature algorithm.
+     *
+     * @param {InteractionObject} ixObject - The interaction object to sign.
+     * @param {SigType} sigAlgo - The signature algorithm to use.
+     * @returns {Promise<InteractionRequest>} A Promise that resolves to the
+     * signed interaction request containing the serialized interaction object
+     * and the signature.
+     * @throws {Error} if there is an error during signing or serialization.
+     */
+    public async signInteraction(ixObject: InteractionObject, sigAlgo: SigType): Promise<InteractionRequest> {
+        try {
+            if (this.transport.signInteraction != null) {
+                return await this.transport.signInteraction(ixObject, sigAlgo);
+            }
+
+            const ixData = serializeIxObject(ixObject);
+            const signature = await this.sign(ixData, sigAlgo);
+
+            return {
+                ix_args: bytesToHex(ixData),
+                signature: signature,
+            };
+        } catch (err) {
+            ErrorUtils.throwError("Failed to sign interaction", ErrorCode.UNKNOWN_ERROR, { originalError: err });
+        }
+    }
+}
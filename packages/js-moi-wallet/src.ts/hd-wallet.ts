@@ -0,0 +1,276 @@
+import * as bip39 from "js-moi-bip39";
+import { MOI_DERIVATION_BASE_PATH } from "js-moi-constants";
+import { Ed25519HDNode, HDNode, hardenPath } from "js-moi-hdnode";
+import { AbstractProvider } from "js-moi-providers";
+import { ErrorCode, ErrorUtils } from "js-moi-utils";
+
+import { AccountDiscoveryOptions, HDWalletOptions } from "../types/hd-wallet";
+import { CURVE, Wallet } from "./wallet";
+
+// Number of consecutive unused accounts after which the discovery stops
+const DEFAULT_GAP_LIMIT = 20;
+
+// Message of the error the node responds with for an account it does not know
+const ACCOUNT_NOT_FOUND = "account not found";
+
+/**
+ * A class representing a Hierarchical Deterministic Wallet which holds the
+ * root node derived from a seed and derives the accounts below the base
+ * path (`m/44'/6174'/0'/0` by default) by index on demand.
+ *
+ * Each account is a `Wallet`, which can be used anywhere a `Signer` is
+ * expected.
+ *
+ * @example
+ * const hdWallet = await HDWallet.fromMnemonic(mnemonic, { provider });
+ *
+ * // derive the accounts used on the network
+ * const accounts = await hdWallet.discoverAccounts();
+ *
+ * // get a signer for an account
+ * const signer = hdWallet.getSigner(2);
+ */
+export class HDWallet {
+    public readonly basePath: string;
+    public provider?: AbstractProvider;
+
+    private readonly root: HDNode;
+    private ed25519Root?: Ed25519HDNode;
+    private readonly accounts = new Map<number, Wallet>();
+
+    constructor(root: HDNode, options?: HDWalletOptions) {
+        if (!root) {
+            ErrorUtils.throwArgumentError("Root node is required", "root", root);
+        }
+
+        this.root = root;
+        this.basePath = options?.basePath ?? MOI_DERIVATION_BASE_PATH;
+        this.provider = options?.provider;
+    }
+
+    /**
+     * Initializes the HD wallet from a seed. The accounts of an HD wallet
+     * initialized from a seed can also sign with Ed25519, using the key
+     * derived with SLIP-0010 at the hardened path of the account.
+     *
+     * @param {Buffer} seed - The seed to derive the root node from.
+     * @param {HDWalletOptions} options - The options of the HD wallet, such as
+     * the base path and the provider. (optional)
+     * @returns {HDWallet} an instance of `HDWallet`.
+     * @throws {Error} if the root node cannot be derived from the seed.
+     */
+    public static fromSeed(seed: Buffer, options?: HDWalletOptions): HDWallet {
+        const wallet = new HDWallet(HDNode.fromSeed(seed), options);
+        wallet.ed25519Root = Ed25519HDNode.fromSeed(seed);
+        return wallet;
+    }
+
+    /**
+     * Initializes the HD wallet from a mnemonic.
+     *
+     * @param {string} mnemonic - The mnemonic to initialize the HD wallet with.
+     * @param {HDWalletOptions} options - The options of the HD wallet, such as
+     * the base path, the provider and the wordlist of the mnemonic. (optional)
+     * @returns {Promise<HDWallet>} a promise that resolves to an `HDWallet` instance.
+     * @throws {Error} if the mnemonic is invalid.
+     */
+    public static async fromMnemonic(mnemonic: string, options?: HDWalletOptions): Promise<HDWallet> {
+        try {
+            mnemonic = bip39.entropyToMnemonic(bip39.mnemonicToEntropy(mnemonic, options?.wordlist), options?.wordlist);
+            const seed = await bip39.mnemonicToSeed(mnemonic, undefined);
+            return HDWallet.fromSeed(seed, options);
+        } catch (error) {
+            ErrorUtils.throwError("Failed to load HD wallet from mnemonic", ErrorCode.UNKNOWN_ERROR, {
+                originalError: error,
+            });
+        }
+    }
+
+    /**
+     * Initializes the HD wallet from a mnemonic synchronously.
+     *
+     * @param {string} mnemonic - The mnemonic to initialize the HD wallet with.
+     * @param {HDWalletOptions} options - The options of the HD wallet, such as
+     * the base path, the provider and the wordlist of the mnemonic. (optional)
+     * @returns {HDWallet} an instance of `HDWallet`.
+     * @throws {Error} if the mnemonic is invalid.
+     */
+    public static fromMnemonicSync(mnemonic: string, options?: HDWalletOptions): HDWallet {
+        try {
+            mnemonic = bip39.entropyToMnemonic(bip39.mnemonicToEntropy(mnemonic, options?.wordlist), options?.wordlist);
+            const seed = bip39.mnemonicToSeedSync(mnemonic, undefined);
+            return HDWallet.fromSeed(seed, options);
+        } catch (error) {
+            ErrorUtils.throwError("Failed to load HD wallet from mnemonic", ErrorCode.UNKNOWN_ERROR, {
+                originalError: error,
+            });
+        }
+    }
+
+    /**
+     * Initializes the HD wallet from SLIP-39 shares. The master secret
+     * recovered from the shares is used as the seed.
+     *
+     * @param {string[]} shares - The mnemonics of the SLIP-39 shares.
+     * @param {string} passphrase - The passphrase the shares were created
+     * with. (optional)
+     * @param {HDWalletOptions} options - The options of the HD wallet, such as
+     * the base path and the provider. (optional)
+     * @returns {HDWallet} an instance of `HDWallet`.
+     * @throws {Error} if the shares are invalid or insufficient.
+     */
+    public static fromSlip39(shares: string[], passphrase?: string, options?: HDWalletOptions): HDWallet {
+        try {
+            const seed = bip39.combineSlip39Shares(shares, passphrase);
+            return HDWallet.fromSeed(seed, options);
+        } catch (error) {
+            ErrorUtils.throwError("Failed to load HD wallet from SLIP-39 shares", ErrorCode.UNKNOWN_ERROR, {
+                originalError: error,
+            });
+        }
+    }
+
+    /**
+     * Connects the HD wallet and all of its derived accounts to the given
+     * provider.
+     *
+     * @param {AbstractProvider} provider - The provider to connect.
+     */
+    public connect(provider: AbstractProvider): void {
+        this.provider = provider;
+
+        for (const account of this.accounts.values()) {
+            account.connect(provider);
+        }
+    }
+
+    /**
+     * Returns the derivation path of the account at the given index.
+     *
+     * @param {number} index - The index of the account.
+     * @returns {string} The derivation path.
+     * @throws {Error} if the index is not a non-negative integer.
+     */
+    public getPath(index: number): string {
+        if (!Number.isSafeInteger(index) || index < 0) {
+            ErrorUtils.throwArgumentError("Invalid account index", "index", index);
+        }
+
+        return `${this.basePath}/${index}`;
+    }
+
+    /**
+     * Derives the account at the given index. The derived accounts are kept,
+     * so the same wallet is returned for an index on every call.
+     *
+     * @param {number} index - The index of the account.
+     * @returns {Wallet} The wallet of the account.
+     * @throws {Error} if the index is invalid or the account cannot be derived.
+     */
+    public getAccount(index: number): Wallet {
+        const path = this.getPath(index);
+        let account = this.accounts.get(index);
+
+        if (account == null) {
+            const ed25519Key = this.ed25519Root?.derivePath(hardenPath(path)).privateKey();
+            account = new Wallet(this.root.derivePath(path).privateKey(), CURVE.SECP256K1, ed25519Key);
+
+            if (this.provider) {
+                account.connect(this.provider);
+            }
+
+            this.accounts.set(index, account);
+        }
+
+        return account;
+    }
+
+    /**
+     * Returns a signer for the account at the given index, connected to the
+     * provider of the HD wallet.
+     *
+     * @param {number} index - The index of the account.
+     * @returns {Wallet} The signer of the account.
+     * @throws {Error} if the index is invalid or the account cannot be derived.
+     */
+    public getSigner(index: number): Wallet {
+        return this.getAccount(index);
+    }
+
+    /**
+     * Returns the accounts derived so far, ordered by their index.
+     *
+     * @returns {Wallet[]} The wallets of the derived accounts.
+     */
+    public getAccounts(): Wallet[] {
+        return [...this.accounts.keys()]
+            .sort((a, b) => a - b)
+            .map((index) => this.accounts.get(index));
+    }
+
+    /**
+     * Checks whether the account with the given address is used, that is
+     * whether it exists on the network.
+     *
+     * @param {string} address - The address of the account.
+     * @returns {Promise<boolean>} A Promise that resolves to true if the
+     * account is used, false otherwise.
+     * @throws {Error} if the provider fails for a reason other than the
+     * account not existing.
+     */
+    private async isAccountUsed(address: string): Promise<boolean> {
+        try {
+            await this.provider.getAccountMetaInfo(address);
+            return true;
+        } catch (err) {
+            if (err?.code === ErrorCode.RPC_ERROR && err?.message === ACCOUNT_NOT_FOUND) {
+                return false;
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Discovers the used accounts of the HD wallet. The accounts are derived
+     * in the order of their index and probed through the provider, until
+     * a number of consecutive accounts, given by the gap limit, are unused.
+     *
+     * @param {AccountDiscoveryOptions} options - The gap limit, which is 20 by
+     * default, and the index to start the discovery from. (optional)
+     * @returns {Promise<Wallet[]>} A Promise that resolves to the wallets of
+     * the used accounts, ordered by their index.
+     * @throws {Error} if the provider is not connected, the options are invalid
+     * or the provider fails.
+     */
+    public async discoverAccounts(options?: AccountDiscoveryOptions): Promise<Wallet[]> {
+        if (!this.provider) {
+            ErrorUtils.throwError("Provider is not initialized!", ErrorCode.NOT_INITIALIZED);
+        }
+
+        const gapLimit = options?.gapLimit ?? DEFAULT_GAP_LIMIT;
+
+        if (!Number.isSafeInteger(gapLimit) || gapLimit < 1) {
+            ErrorUtils.throwArgumentError("Gap limit must be a positive integer", "gapLimit", gapLimit);
+        }
+
+        const used: Wallet[] = [];
+        let index = options?.startIndex ?? 0;
+        let gap = 0;
+
+        while (gap < gapLimit) {
+            const account = this.getAccount(index);
+
+            if (await this.isAccountUsed(account.address)) {
+                used.push(account);
+                gap = 0;
+            } else {
+                gap++;
+            }
+
+            index++;
+        }
+
+        return used;
+    }
+}
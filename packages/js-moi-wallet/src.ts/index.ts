@@ -1,2 +1,7 @@
+export * from "./external-signer";
+export * from "./hd-wallet";
+export * from "./serializer";
 export * from "./wallet";
+export type * from "../types/external-signer";
+export type * from "../types/hd-wallet";
 export type * from "../types/keystore";
\ No newline at end of file
@@ -1,10 +1,13 @@
-import { scrypt } from "@noble/hashes/scrypt";
+import { pbkdf2, pbkdf2Async } from "@noble/hashes/pbkdf2";
+import { scrypt, scryptAsync } from "@noble/hashes/scrypt";
+import { sha256 } from "@noble/hashes/sha256";
 import { keccak_256 } from "@noble/hashes/sha3";
+import { sha512 } from "@noble/hashes/sha512";
 import { randomBytes } from "@noble/hashes/utils";
 import { CTR } from "aes-js";
 import { Buffer } from "buffer";
-import { ErrorCode, ErrorUtils, bytesToHex } from "js-moi-utils";
-import { Keystore } from "../types/keystore";
+import { ErrorCode, ErrorUtils, bytesToHex, hexToBytes } from "js-moi-utils";
+import { Keystore, KeystoreOptions, Pbkdf2Params, ScryptParams } from "../types/keystore";
 
 /**
  * Encrypts input data using AES-128-CTR mode with XOR encryption.
@@ -18,6 +21,22 @@ export const aesCTRWithXOR = (key: Uint8Array, input: Uint8Array, iv: Uint8Array
     return new CTR(key, iv).encrypt(input);
 }
 
+/**
+ * The version of the keystores created by the wallet. Keystores without a 
+ * version are of the first version, which has no id and no address.
+ */
+export const KEYSTORE_VERSION = 2;
+
+// Default scrypt parameters of new keystores
+const defaultScryptParams = {
+    n: 131072,
+    r: 8,
+    p: 1,
+};
+
+// Length of the key derived from the password
+const derivedKeyLength = 32;
+
 /**
  * Derives the key for a keystore based on the provided password and 
  * KDF parameters.
@@ -33,11 +52,14 @@ export const getKDFKeyForKeystore = (keystore: Keystore, password: string): Buff
     const dkLen = keystore.kdfparams.dklen;
   
     if (keystore.kdf === 'scrypt') {
-      const n = keystore.kdfparams.n;
-      const r = keystore.kdfparams.r;
-      const p = keystore.kdfparams.p;
+      const { n, r, p } = keystore.kdfparams as ScryptParams;
       return Buffer.from(scrypt(pwBuf, salt, { N: n, r, p, dkLen }));
     }
+
+    if (keystore.kdf === 'pbkdf2') {
+      const { c } = keystore.kdfparams as Pbkdf2Params;
+      return Buffer.from(pbkdf2(getPbkdf2Hash(keystore), pwBuf, salt, { c, dkLen }));
+    }
   
     ErrorUtils.throwError(
         `Unsupported KDF: ${keystore.kdf}`,
@@ -46,66 +68,193 @@ export const getKDFKeyForKeystore = (keystore: Keystore, password: string): Buff
 }
 
 /**
- * Encrypts the input data using AES-128-CTR mode with XOR encryption and 
- * creates a keystore object.
+ * Derives the key for a keystore based on the provided password and 
+ * KDF parameters without blocking the event loop.
  * 
- * @param {Buffer} data - Data to be encrypted.
- * @param {string} password - Password for encryption.
- * @returns {Keystore} Encrypted keystore object.
+ * @param {Keystore} keystore - Keystore object.
+ * @param {string} password - Password for key derivation.
+ * @returns {Promise<Buffer>} Derived key.
+ * @throws {Error} If the KDF is unsupported.
  */
-export const encryptKeystoreData = (data: Buffer | Uint8Array, password: string): Keystore => {
-    const salt = randomBytes(32);
+export const getKDFKeyForKeystoreAsync = async (keystore: Keystore, password: string): Promise<Buffer> => {
+    const pwBuf = Buffer.from(password);
+    const salt = Buffer.from(keystore.kdfparams.salt, 'hex');
+    const dkLen = keystore.kdfparams.dklen;
   
-    const derivedKey = scrypt(password, salt, {
-      N: 4096,
-      r: 8,
-      p: 1,
-      dkLen: 32,
-    });
+    if (keystore.kdf === 'scrypt') {
+      const { n, r, p } = keystore.kdfparams as ScryptParams;
+      return Buffer.from(await scryptAsync(pwBuf, salt, { N: n, r, p, dkLen }));
+    }
+
+    if (keystore.kdf === 'pbkdf2') {
+      const { c } = keystore.kdfparams as Pbkdf2Params;
+      return Buffer.from(await pbkdf2Async(getPbkdf2Hash(keystore), pwBuf, salt, { c, dkLen }));
+    }
   
+    ErrorUtils.throwError(
+        `Unsupported KDF: ${keystore.kdf}`,
+        ErrorCode.INVALID_ARGUMENT
+    );
+}
+
+/**
+ * Retrieves the hash function of the pseudo-random function of a pbkdf2 keystore.
+ * 
+ * @param {Keystore} keystore - Keystore object.
+ * @returns The hash function.
+ * @throws {Error} If the pseudo-random function is unsupported.
+ */
+const getPbkdf2Hash = (keystore: Keystore) => {
+    const { prf } = keystore.kdfparams as Pbkdf2Params;
+
+    switch (prf) {
+        case 'hmac-sha256':
+            return sha256;
+        case 'hmac-sha512':
+            return sha512;
+        default:
+            ErrorUtils.throwError(
+                `Unsupported pbkdf2 PRF: ${prf}`,
+                ErrorCode.INVALID_ARGUMENT
+            );
+    }
+}
+
+/**
+ * Resolves the scrypt parameters of a new keystore from the options.
+ * 
+ * @param {KeystoreOptions} options - Keystore options.
+ * @returns {ScryptParams} The scrypt parameters.
+ */
+const getScryptParams = (options?: KeystoreOptions): ScryptParams => {
+    return {
+        ...defaultScryptParams,
+        ...options?.scrypt,
+        dklen: derivedKeyLength,
+        salt: bytesToHex(randomBytes(32)),
+    };
+}
+
+/**
+ * Generates a random version 4 UUID for the id of a keystore.
+ * 
+ * @returns {string} The UUID.
+ */
+const createKeystoreId = (): string => {
+    const bytes = randomBytes(16);
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytesToHex(bytes);
+
+    return [
+        hex.slice(0, 8), 
+        hex.slice(8, 12), 
+        hex.slice(12, 16), 
+        hex.slice(16, 20), 
+        hex.slice(20)
+    ].join("-");
+}
+
+/**
+ * Encrypts the input data with a key derived from the password and creates 
+ * the keystore object.
+ * 
+ * @param {Uint8Array} data - Data to be encrypted.
+ * @param {Uint8Array} derivedKey - Key derived from the password.
+ * @param {ScryptParams} kdfparams - Parameters the key was derived with.
+ * @returns {Keystore} Encrypted keystore object.
+ */
+const createKeystore = (data: Uint8Array, derivedKey: Uint8Array, kdfparams: ScryptParams): Keystore => {
     const encryptKey = derivedKey.slice(0, 16);
     const iv = randomBytes(16);
     const cipherText = aesCTRWithXOR(encryptKey, data, iv);
     const mac = keccak_256(Buffer.concat([derivedKey.slice(16, 32), cipherText]));
 
     return {
+        id: createKeystoreId(),
+        version: KEYSTORE_VERSION,
         cipher: 'aes-128-ctr',
         ciphertext: bytesToHex(cipherText),
         cipherparams: {
             IV: bytesToHex(iv),
         },
         kdf: 'scrypt',
-        kdfparams: {
-            n: 4096,
-            r: 8,
-            p: 1,
-            dklen: 32,
-            salt: bytesToHex(salt),
-        },
+        kdfparams: kdfparams,
         mac: bytesToHex(mac),
     };
 }
 
 /**
- * Decrypts the keystore data using the provided password.
+ * Encrypts the input data using AES-128-CTR mode with XOR encryption and 
+ * creates a keystore object.
  * 
- * @param {Keystore} keystore - Keystore object to decrypt.
- * @param {string} password - Password for decryption.
- * @returns {Buffer} Decrypted data.
- * @throws {Error} If the cipher is not supported or the password is incorrect.
+ * @param {Buffer} data - Data to be encrypted.
+ * @param {string} password - Password for encryption.
+ * @param {KeystoreOptions} options - Keystore options, such as the scrypt 
+ * parameters. (optional)
+ * @returns {Keystore} Encrypted keystore object.
  */
-export const decryptKeystoreData = (keystore: Keystore, password: string): Buffer => {
+export const encryptKeystoreData = (data: Buffer | Uint8Array, password: string, options?: KeystoreOptions): Keystore => {
+    const kdfparams = getScryptParams(options);
+    const { n, r, p, dklen } = kdfparams;
+    const derivedKey = scrypt(password, hexToBytes(kdfparams.salt), { N: n, r, p, dkLen: dklen });
+
+    return createKeystore(data, derivedKey, kdfparams);
+}
+
+/**
+ * Encrypts the input data using AES-128-CTR mode with XOR encryption and 
+ * creates a keystore object without blocking the event loop.
+ * 
+ * @param {Buffer} data - Data to be encrypted.
+ * @param {string} password - Password for encryption.
+ * @param {KeystoreOptions} options - Keystore options, such as the scrypt 
+ * parameters. (optional)
+ * @returns {Promise<Keystore>} Encrypted keystore object.
+ */
+export const encryptKeystoreDataAsync = async (data: Buffer | Uint8Array, password: string, options?: KeystoreOptions): Promise<Keystore> => {
+    const kdfparams = getScryptParams(options);
+    const { n, r, p, dklen } = kdfparams;
+    const derivedKey = await scryptAsync(password, hexToBytes(kdfparams.salt), { N: n, r, p, dkLen: dklen });
+
+    return createKeystore(data, derivedKey, kdfparams);
+}
+
+/**
+ * Checks that a keystore can be decrypted by the wallet.
+ * 
+ * @param {Keystore} keystore - Keystore object to check.
+ * @throws {Error} If the version or the cipher is not supported.
+ */
+const checkKeystore = (keystore: Keystore): void => {
+    if (keystore.version != null && keystore.version > KEYSTORE_VERSION) {
+        ErrorUtils.throwError(
+            `Keystore version not supported: ${keystore.version}`,
+            ErrorCode.UNSUPPORTED_OPERATION
+        );
+    }
+
     if (keystore.cipher !== 'aes-128-ctr') {
         ErrorUtils.throwError(
             `Cipher not supported: ${keystore.cipher}`,
             ErrorCode.UNSUPPORTED_OPERATION
         );
     }
-    
+}
+
+/**
+ * Decrypts the keystore data with the key derived from the password.
+ * 
+ * @param {Keystore} keystore - Keystore object to decrypt.
+ * @param {Buffer} derivedKey - Key derived from the password.
+ * @returns {Buffer} Decrypted data.
+ * @throws {Error} If the password is incorrect.
+ */
+const decryptWithKey = (keystore: Keystore, derivedKey: Buffer): Buffer => {
     const mac = Buffer.from(keystore.mac, 'hex');
     const iv = Buffer.from(keystore.cipherparams.IV, 'hex');
     const cipherText = Buffer.from(keystore.ciphertext, 'hex');
-    const derivedKey = getKDFKeyForKeystore(keystore, password);
     const hash = keccak_256(Buffer.concat([derivedKey.slice(16, 32), cipherText]));
     const calculatedMAC = Buffer.from(hash);
     
@@ -118,3 +267,34 @@ export const decryptKeystoreData = (keystore: Keystore, password: string): Buffe
     
     return Buffer.from(aesCTRWithXOR(derivedKey.slice(0, 16), cipherText, iv));
 }
+
+/**
+ * Decrypts the keystore data using the provided password.
+ * 
+ * @param {Keystore} keystore - Keystore object to decrypt.
+ * @param {string} password - Password for decryption.
+ * @returns {Buffer} Decrypted data.
+ * @throws {Error} If the version or the cipher is not supported or the 
+ * password is incorrect.
+ */
+export const decryptKeystoreData = (keystore: Keystore, password: string): Buffer => {
+    checkKeystore(keystore);
+
+    return decryptWithKey(keystore, getKDFKeyForKeystore(keystore, password));
+}
+
+/**
+ * Decrypts the keystore data using the provided password without blocking 
+ * the event loop.
+ * 
+ * @param {Keystore} keystore - Keystore object to decrypt.
+ * @param {string} password - Password for decryption.
+ * @returns {Promise<Buffer>} Decrypted data.
+ * @throws {Error} If the version or the cipher is not supported or the 
+ * password is incorrect.
+ */
+export const decryptKeystoreDataAsync = async (keystore: Keystore, password: string): Promise<Buffer> => {
+    checkKeystore(keystore);
+
+    return decryptWithKey(keystore, await getKDFKeyForKeystoreAsync(keystore, password));
+}
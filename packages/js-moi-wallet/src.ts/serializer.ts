@@ -1,14 +1,22 @@
 import { ErrorCode, ErrorUtils, OpType, hexToBytes, trimHexPrefix, ixObjectSchema, 
     
-    LockType} from "js-moi-utils";
+    LockType,
+    bytesToHex,
+    participantCreateSchema,
+    assetCreateSchema,
+    assetSupplySchema,
+    assetActionSchema,
+    logicSchema} from "js-moi-utils";
 import { LogicPayload, InteractionObject, 
     AssetActionPayload, AssetSupplyPayload, IxOperation, 
     serializePayload,
-    ParticipantCreatePayload} from "js-moi-providers";
+    ParticipantCreatePayload,
+    AssetCreatePayload,
+    OperationPayload} from "js-moi-providers";
 import { ProcessedIxParticipant, ProcessedIxObject, ProcessedIxOperation, 
     ProcessedIxAssetFund } from "../types/interaction";
 import { ZERO_ADDRESS } from "js-moi-constants";
-import { Polorizer } from "js-polo";
+import { Depolorizer, Polorizer, type Schema } from "js-polo";
 
 /**
  * Processes the interaction object to extract and consolidate asset funds from 
@@ -89,7 +97,7 @@ const processParticipants = (ixObject: InteractionObject): ProcessedIxParticipan
             case OpType.PARTICIPANT_CREATE: {
                 const participantCreatePayload = operation.payload as ParticipantCreatePayload;
 
-                participants.set(participantCreatePayload.address, {
+                participants.set(trimHexPrefix(participantCreatePayload.address), {
                     address: hexToBytes(participantCreatePayload.address),
                     lock_type: LockType.MUTATE_LOCK
                 });
@@ -111,7 +119,7 @@ const processParticipants = (ixObject: InteractionObject): ProcessedIxParticipan
             case OpType.ASSET_TRANSFER: {
                 const assetActionPayload = operation.payload as AssetActionPayload;
 
-                participants.set(assetActionPayload.beneficiary, {
+                participants.set(trimHexPrefix(assetActionPayload.beneficiary), {
                     address: hexToBytes(assetActionPayload.beneficiary),
                     lock_type: LockType.MUTATE_LOCK
                 });
@@ -186,7 +194,7 @@ const processIxObject = (ixObject: InteractionObject): ProcessedIxObject => {
     try {
         return { 
             sender: hexToBytes(ixObject.sender),
-            payer: hexToBytes(ZERO_ADDRESS),
+            payer: hexToBytes(ixObject.payer ?? ZERO_ADDRESS),
             nonce: ixObject.nonce,
             fuel_price: ixObject.fuel_price,
             fuel_limit: ixObject.fuel_limit,
@@ -224,3 +232,203 @@ export const serializeIxObject = (ixObject: InteractionObject): Uint8Array => {
         )
     }
 }
+
+/**
+ * Returns a copy of the schema which decodes integers as raw bytes, as the 
+ * depolorizer loses the precision of integers beyond the safe range of a number.
+ *
+ * @param {Schema} schema - The schema to copy.
+ * @returns {Schema} - The schema decoding integers as raw bytes.
+ */
+const withRawIntegers = (schema: Schema): Schema => {
+    if (schema.kind === "integer") {
+        return { kind: "raw" };
+    }
+
+    if (schema.fields == null) {
+        return schema;
+    }
+
+    const fields = Object.entries(schema.fields).map(([name, field]) => [name, withRawIntegers(field)]);
+
+    return { ...schema, fields: Object.fromEntries(fields) };
+}
+
+/**
+ * Depolorizes the POLO bytes with the given schema, decoding integers as raw bytes.
+ *
+ * @param {Uint8Array} data - The POLO bytes to decode.
+ * @param {Schema} schema - The schema of the data.
+ * @returns {any} - The decoded data.
+ */
+const depolorize = (data: Uint8Array, schema: Schema): any => {
+    return new Depolorizer(data).depolorize(withRawIntegers(schema));
+}
+
+/**
+ * Converts the raw bytes of a POLO integer into a number, or into a bigint 
+ * if it is beyond the safe range of a number.
+ *
+ * @param {Uint8Array} raw - The raw bytes of the integer.
+ * @returns {number | bigint} - The integer.
+ */
+const toInteger = (raw: Uint8Array): number | bigint => {
+    if (raw == null || raw.length === 0) {
+        return 0;
+    }
+
+    const value = BigInt("0x" + bytesToHex(raw));
+
+    return value > BigInt(Number.MAX_SAFE_INTEGER) ? value : Number(value);
+}
+
+/**
+ * Converts bytes into a 0x prefixed hex string.
+ *
+ * @param {Uint8Array} data - The bytes to convert.
+ * @returns {string} - The 0x prefixed hex string.
+ */
+const toHex = (data: Uint8Array): string => {
+    return "0x" + bytesToHex(data ?? new Uint8Array());
+}
+
+/**
+ * Decodes a processed logic payload back into a logic payload.
+ *
+ * @param {any} payload - The depolorized logic payload.
+ * @returns {LogicPayload} - The logic payload.
+ */
+const deserializeLogicPayload = (payload: any): LogicPayload => {
+    const logicPayload: LogicPayload = {
+        callsite: payload.callsite,
+        calldata: toHex(payload.calldata),
+    };
+
+    if (payload.manifest?.length > 0) {
+        logicPayload.manifest = toHex(payload.manifest);
+    }
+
+    if (payload.logic_id) {
+        logicPayload.logic_id = "0x" + payload.logic_id;
+    }
+
+    return logicPayload;
+}
+
+/**
+ * Decodes the POLO bytes of an operation payload based on the operation type.
+ *
+ * @param {OpType} type - The type of the operation.
+ * @param {Uint8Array} payload - The POLO bytes of the payload.
+ * @returns {OperationPayload} - The operation payload.
+ * @throws {Error} - Throws an error if the operation type is unsupported.
+ */
+const deserializePayload = (type: OpType, payload: Uint8Array): OperationPayload => {
+    switch (type) {
+        case OpType.PARTICIPANT_CREATE: {
+            const participantPayload = depolorize(payload, participantCreateSchema);
+
+            return {
+                address: toHex(participantPayload.address),
+                amount: toInteger(participantPayload.amount),
+            } as ParticipantCreatePayload;
+        }
+        case OpType.ASSET_CREATE: {
+            const createPayload = depolorize(payload, assetCreateSchema);
+            const assetPayload: AssetCreatePayload = {
+                symbol: createPayload.symbol,
+                supply: toInteger(createPayload.supply),
+                standard: Number(toInteger(createPayload.standard)),
+                dimension: Number(toInteger(createPayload.dimension)),
+                is_stateful: createPayload.is_stateful,
+                is_logical: createPayload.is_logical,
+            };
+
+            if (createPayload.logic_payload?.callsite) {
+                assetPayload.logic_payload = deserializeLogicPayload(createPayload.logic_payload);
+            }
+
+            return assetPayload;
+        }
+        case OpType.ASSET_MINT:
+        case OpType.ASSET_BURN: {
+            const supplyPayload = depolorize(payload, assetSupplySchema);
+
+            return {
+                asset_id: "0x" + supplyPayload.asset_id,
+                amount: toInteger(supplyPayload.amount),
+            } as AssetSupplyPayload;
+        }
+        case OpType.ASSET_TRANSFER: {
+            const actionPayload = depolorize(payload, assetActionSchema);
+
+            return {
+                benefactor: toHex(actionPayload.benefactor),
+                beneficiary: toHex(actionPayload.beneficiary),
+                asset_id: "0x" + actionPayload.asset_id,
+                amount: toInteger(actionPayload.amount),
+            } as AssetActionPayload;
+        }
+        case OpType.LOGIC_DEPLOY:
+        case OpType.LOGIC_INVOKE:
+        case OpType.LOGIC_ENLIST:
+            return deserializeLogicPayload(depolorize(payload, logicSchema));
+        default:
+            ErrorUtils.throwError(
+                `Unsupported operation type: ${type}`,
+                ErrorCode.UNSUPPORTED_OPERATION
+            );
+    }
+}
+
+/**
+ * Decodes the POLO bytes of an interaction object, such as the `ix_args` of a 
+ * signed interaction request, back into an interaction object. The decoded 
+ * object holds every participant and fund of the interaction, including the 
+ * ones derived from its operations during serialization.
+ *
+ * @param {Uint8Array | string} data - The POLO bytes of the interaction 
+ * object, as bytes or a hex string.
+ * @returns {InteractionObject} The decoded interaction object.
+ * @throws {Error} if there is an error during decoding or if an operation 
+ * type is unsupported.
+ */
+export const deserializeIxObject = (data: Uint8Array | string): InteractionObject => {
+    try {
+        const bytes = typeof data === "string" ? hexToBytes(data) : data;
+        const processedIxObject = depolorize(bytes, ixObjectSchema);
+        const ixObject: InteractionObject = {
+            sender: toHex(processedIxObject.sender),
+            nonce: toInteger(processedIxObject.nonce),
+            fuel_price: toInteger(processedIxObject.fuel_price),
+            fuel_limit: toInteger(processedIxObject.fuel_limit),
+            funds: (processedIxObject.funds ?? []).map(fund => ({
+                asset_id: "0x" + fund.asset_id,
+                amount: toInteger(fund.amount),
+            })),
+            ix_operations: (processedIxObject.ix_operations ?? []).map(operation => {
+                const type = Number(toInteger(operation.type));
+
+                return { type, payload: deserializePayload(type, operation.payload) };
+            }),
+            participants: (processedIxObject.participants ?? []).map(participant => ({
+                address: toHex(participant.address),
+                lock_type: Number(toInteger(participant.lock_type)),
+            })),
+        };
+
+        const payer = toHex(processedIxObject.payer);
+
+        if (payer !== ZERO_ADDRESS) {
+            ixObject.payer = payer;
+        }
+
+        return ixObject;
+    } catch(err) {
+        ErrorUtils.throwError(
+            "Failed to deserialize interaction object",
+            ErrorCode.UNKNOWN_ERROR,
+            { originalError: err }
+        )
+    }
+}
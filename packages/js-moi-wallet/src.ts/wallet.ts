@@ -3,14 +3,14 @@ import { Buffer } from "buffer";
 import elliptic from "elliptic";
 import * as bip39 from "js-moi-bip39";
 import { MOI_DERIVATION_PATH } from "js-moi-constants";
-import { HDNode } from "js-moi-hdnode";
+import { Ed25519HDNode, HDNode, hardenPath } from "js-moi-hdnode";
 import { AbstractProvider, InteractionObject, InteractionRequest } from "js-moi-providers";
-import { SigType, Signer } from "js-moi-signer";
+import { SigType, Signer, getSigType } from "js-moi-signer";
 import { ErrorCode, ErrorUtils, bufferToUint8, bytesToHex } from "js-moi-utils";
 
-import { Keystore } from "../types/keystore";
+import { Keystore, KeystoreOptions } from "../types/keystore";
 import * as SigningKeyErrors from "./errors";
-import { decryptKeystoreData, encryptKeystoreData } from "./keystore";
+import { decryptKeystoreData, decryptKeystoreDataAsync, encryptKeystoreData, encryptKeystoreDataAsync } from "./keystore";
 import { serializeIxObject } from "./serializer";
 
 export enum CURVE {
@@ -87,7 +87,14 @@ const __vault = new WeakMap();
  * @docs https://js-moi-sdk.docs.moi.technology/hierarchical-deterministic-wallet
  */
 export class Wallet extends Signer {
-    constructor(key: Buffer | string, curve: string) {
+    /**
+     * @param {Buffer | string} key - The secp256k1 private key.
+     * @param {string} curve - The curve of the private key.
+     * @param {Buffer | string} ed25519Key - The Ed25519 private key used to
+     * sign with the ED25519 algorithm. Wallets derived from a seed hold the
+     * key derived with SLIP-0010 at the hardened derivation path. (optional)
+     */
+    constructor(key: Buffer | string, curve: string, ed25519Key?: Buffer | string) {
         try {
             super();
 
@@ -116,6 +123,7 @@ export class Wallet extends Signer {
                 _key: privKey,
                 _public: pubKey,
                 _curve: curve,
+                _ed25519Key: typeof ed25519Key === "string" ? Buffer.from(ed25519Key, "hex") : ed25519Key,
             });
         } catch (error) {
             ErrorUtils.throwError("Failed to load wallet", ErrorCode.UNKNOWN_ERROR, { originalError: error });
@@ -139,26 +147,55 @@ export class Wallet extends Signer {
      * Generates a keystore file from the wallet's private key, encrypted with a password.
      *
      * @param {string} password Used for encrypting the keystore data.
+     * @param {KeystoreOptions} options - The keystore options, such as the 
+     * scrypt parameters. (optional)
      * @returns {Keystore} The generated keystore object.
      * @throws {Error} if the wallet is not initialized or loaded, or if there
      * is an error generating the keystore.
      */
-    public generateKeystore(password: string): Keystore {
-        if (!this.isInitialized()) {
-            ErrorUtils.throwError(
-                "Keystore not found. The wallet has not been loaded or initialized.",
-                ErrorCode.NOT_INITIALIZED
-            );
+    public generateKeystore(password: string, options?: KeystoreOptions): Keystore {
+        this.checkKeystoreWallet();
+
+        try {
+            const data = Buffer.from(this.privateKey, "hex");
+            return { ...encryptKeystoreData(data, password, options), address: this.address };
+        } catch (err) {
+            ErrorUtils.throwError("Failed to generate keystore", ErrorCode.UNKNOWN_ERROR, { originalError: err });
         }
+    }
+
+    /**
+     * Generates a keystore file from the wallet's private key, encrypted with 
+     * a password, without blocking the event loop while deriving the key.
+     *
+     * @param {string} password Used for encrypting the keystore data.
+     * @param {KeystoreOptions} options - The keystore options, such as the 
+     * scrypt parameters. (optional)
+     * @returns {Promise<Keystore>} A Promise that resolves to the generated 
+     * keystore object.
+     * @throws {Error} if the wallet is not initialized or loaded, or if there
+     * is an error generating the keystore.
+     */
+    public async generateKeystoreAsync(password: string, options?: KeystoreOptions): Promise<Keystore> {
+        this.checkKeystoreWallet();
 
         try {
             const data = Buffer.from(this.privateKey, "hex");
-            return encryptKeystoreData(data, password);
+            return { ...await encryptKeystoreDataAsync(data, password, options), address: this.address };
         } catch (err) {
             ErrorUtils.throwError("Failed to generate keystore", ErrorCode.UNKNOWN_ERROR, { originalError: err });
         }
     }
 
+    private checkKeystoreWallet(): void {
+        if (!this.isInitialized()) {
+            ErrorUtils.throwError(
+                "Keystore not found. The wallet has not been loaded or initialized.",
+                ErrorCode.NOT_INITIALIZED
+            );
+        }
+    }
+
     /**
      * Private key associated with the wallet.
      *
@@ -268,18 +305,52 @@ export class Wallet extends Signer {
             ErrorUtils.throwError("Signature type cannot be undefined", ErrorCode.INVALID_ARGUMENT);
         }
 
-        switch (sigAlgo.sigName) {
-            case "ECDSA_S256": {
-                const _sigAlgo = this.signingAlgorithms["ecdsa_secp256k1"];
-                const sig = _sigAlgo.sign(Buffer.from(message), this.privateKey);
-                const sigBytes = sig.serialize();
-                return bytesToHex(sigBytes);
-            }
-            default: {
-                ErrorUtils.throwError("Unsupported signature type", ErrorCode.UNSUPPORTED_OPERATION);
-            }
+        const _sigAlgo = getSigType(sigAlgo.prefix);
+
+        if (_sigAlgo == null || _sigAlgo.sigName !== sigAlgo.sigName) {
+            ErrorUtils.throwError("Unsupported signature type", ErrorCode.UNSUPPORTED_OPERATION);
+        }
+
+        const sig = _sigAlgo.sign(Buffer.from(message), this.getSigningKey(_sigAlgo));
+        const sigBytes = sig.serialize();
+        return bytesToHex(sigBytes);
+    }
+
+    /**
+     * Returns the public key of the wallet for the specified signature
+     * algorithm, which verifies the signatures the wallet creates with it.
+     *
+     * @param {SigType} sigAlgo - The signature algorithm.
+     * @returns {Uint8Array} The public key.
+     * @throws {Error} if the wallet holds no key for the signature algorithm.
+     */
+    public getPublicKey(sigAlgo: SigType): Uint8Array {
+        return sigAlgo.getPublicKey(this.getSigningKey(sigAlgo));
+    }
+
+    /**
+     * Returns the private key the wallet signs with for the specified
+     * signature algorithm.
+     *
+     * @param {SigType} sigAlgo - The signature algorithm.
+     * @returns {Buffer | string} The private key.
+     * @throws {Error} if the wallet holds no key for the signature algorithm.
+     */
+    private getSigningKey(sigAlgo: SigType): Buffer | string {
+        if (sigAlgo.sigName !== "ED25519") {
+            return this.privateKey;
+        }
+
+        const key = this.isInitialized() ? privateMapGet(this, __vault)._ed25519Key : undefined;
+
+        if (key == null) {
+            ErrorUtils.throwError(
+                "Ed25519 key not found. Only the wallets derived from a seed can sign with Ed25519.",
+                ErrorCode.NOT_INITIALIZED
+            );
         }
 
+        return key;
     }
 
     /**
@@ -306,6 +377,25 @@ export class Wallet extends Signer {
         }
     }
 
+    /**
+     * Initializes the wallet from a seed. The secp256k1 key is derived at the
+     * derivation path and the Ed25519 key is derived with SLIP-0010 at the
+     * hardened derivation path, `m/44'/6174'/0'/0'/0'` by default.
+     *
+     * @param {Buffer} seed - The seed to derive the keys from.
+     * @param {string | undefined} path - The derivation path to use for key generation. (optional)
+     *
+     * @returns {Wallet} a instance of `Wallet`.
+     * @throws {Error} if the keys cannot be derived from the seed.
+     */
+    public static fromSeed(seed: Buffer, path?: string): Wallet {
+        const _path = path ? path : MOI_DERIVATION_PATH;
+        const childNode = HDNode.fromSeed(seed).derivePath(_path);
+        const ed25519Node = Ed25519HDNode.fromSeed(seed).derivePath(hardenPath(_path));
+
+        return new Wallet(childNode.privateKey(), CURVE.SECP256K1, ed25519Node.privateKey());
+    }
+
     /**
      * Initializes the wallet from a provided mnemonic.
      *
@@ -331,10 +421,7 @@ export class Wallet extends Signer {
         try {
             mnemonic = bip39.entropyToMnemonic(bip39.mnemonicToEntropy(mnemonic, wordlist), wordlist);
             const seed = await bip39.mnemonicToSeed(mnemonic, undefined);
-            const masterNode = HDNode.fromSeed(seed);
-            const childNode = masterNode.derivePath(path ? path : MOI_DERIVATION_PATH);
-
-            const wallet = new Wallet(childNode.privateKey(), CURVE.SECP256K1);
+            const wallet = Wallet.fromSeed(seed, path);
 
             privateMapSet(wallet, __vault, {
                 ...privateMapGet(wallet, __vault),
@@ -374,10 +461,7 @@ export class Wallet extends Signer {
         try {
             mnemonic = bip39.entropyToMnemonic(bip39.mnemonicToEntropy(mnemonic, wordlist), wordlist);
             const seed = bip39.mnemonicToSeedSync(mnemonic, undefined);
-            const masterNode = HDNode.fromSeed(seed);
-            const childNode = masterNode.derivePath(path ? path : MOI_DERIVATION_PATH);
-
-            const wallet = new Wallet(childNode.privateKey(), CURVE.SECP256K1);
+            const wallet = Wallet.fromSeed(seed, path);
 
             privateMapSet(wallet, __vault, {
                 ...privateMapGet(wallet, __vault),
@@ -393,18 +477,74 @@ export class Wallet extends Signer {
     }
 
     /**
-     * Initializes the wallet from a provided keystore.
+     * Initializes the wallet from SLIP-39 shares. The master secret recovered 
+     * from the shares is used as the seed of the wallet.
+     *
+     * @param {string[]} shares - The mnemonics of the SLIP-39 shares.
+     * @param {string | undefined} passphrase - The passphrase the shares were 
+     * created with. (optional)
+     * @param {string | undefined} path - The derivation path to use for key generation. (optional)
+     *
+     * @returns {Wallet} a instance of `Wallet`.
+     * @throws {Error} if the shares are invalid or insufficient.
+     *
+     * @example
+     * // Initializing a wallet from 2 of the 3 shares
+     * const wallet = Wallet.fromSlip39([share1, share3], "passphrase");
+     */
+    public static fromSlip39(shares: string[], passphrase?: string, path?: string): Wallet {
+        try {
+            const seed = bip39.combineSlip39Shares(shares, passphrase);
+            return Wallet.fromSeed(seed, path);
+        } catch (error) {
+            ErrorUtils.throwError("Failed to load wallet from SLIP-39 shares", ErrorCode.UNKNOWN_ERROR, {
+                originalError: error,
+            });
+        }
+    }
+
+    /**
+     * Initializes the wallet from a provided keystore. Both the keystores 
+     * without a version and the versioned keystores are supported.
      *
-     * @param {string} keystore - The keystore to initialize the wallet with.
+     * @param {string | Keystore} keystore - The keystore to initialize the 
+     * wallet with, as a JSON string or an object.
      * @param {string} password - The password used to decrypt the keystore.
      * 
      * @returns {Wallet} a instance of `Wallet`.
-     * @throws {Error} if there is an error during initialization.
+     * @throws {Error} if there is an error during initialization, or if the 
+     * address of the keystore does not match the decrypted key.
+     */
+    public static fromKeystore(keystore: string | Keystore, password: string): Wallet {
+        try {
+            const _keystore: Keystore = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+            const privateKey = decryptKeystoreData(_keystore, password);
+            return Wallet.fromKeystoreKey(_keystore, privateKey);
+        } catch (err) {
+            ErrorUtils.throwError("Failed to load wallet from keystore", ErrorCode.UNKNOWN_ERROR, {
+                originalError: err,
+            });
+        }
+    }
+
+    /**
+     * Initializes the wallet from a provided keystore without blocking the 
+     * event loop while deriving the key. Both the keystores without a version 
+     * and the versioned keystores are supported.
+     *
+     * @param {string | Keystore} keystore - The keystore to initialize the 
+     * wallet with, as a JSON string or an object.
+     * @param {string} password - The password used to decrypt the keystore.
+     * 
+     * @returns {Promise<Wallet>} a promise that resolves to a `Wallet` instance.
+     * @throws {Error} if there is an error during initialization, or if the 
+     * address of the keystore does not match the decrypted key.
      */
-    public static fromKeystore(keystore: string, password: string): Wallet {
+    public static async fromKeystoreAsync(keystore: string | Keystore, password: string): Promise<Wallet> {
         try {
-            const privateKey = decryptKeystoreData(JSON.parse(keystore), password);
-            return new Wallet(privateKey, CURVE.SECP256K1);
+            const _keystore: Keystore = typeof keystore === "string" ? JSON.parse(keystore) : keystore;
+            const privateKey = await decryptKeystoreDataAsync(_keystore, password);
+            return Wallet.fromKeystoreKey(_keystore, privateKey);
         } catch (err) {
             ErrorUtils.throwError("Failed to load wallet from keystore", ErrorCode.UNKNOWN_ERROR, {
                 originalError: err,
@@ -412,6 +552,16 @@ export class Wallet extends Signer {
         }
     }
 
+    private static fromKeystoreKey(keystore: Keystore, privateKey: Buffer): Wallet {
+        const wallet = new Wallet(privateKey, CURVE.SECP256K1);
+
+        if (keystore.address != null && keystore.address.toLowerCase() !== wallet.address) {
+            ErrorUtils.throwError("Keystore address mismatches with the decrypted key", ErrorCode.INVALID_ARGUMENT);
+        }
+
+        return wallet;
+    }
+
     /**
      * Generates a random mnemonic and initializes the wallet from it.
      *
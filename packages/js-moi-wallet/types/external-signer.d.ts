@@ -0,0 +1,17 @@
+import type { InteractionObject, InteractionRequest } from "js-moi-providers";
+import type { SigType } from "js-moi-signer";
+
+/**
+ * A callback which signs the given message with the key held by an external
+ * signing backend and resolves to the signature as a hex string.
+ */
+export type SignCallback = (message: Uint8Array, sigAlgo: SigType) => Promise<string>;
+
+/**
+ * A transport to an external signing backend such as a KMS, an HSM proxy,
+ * a browser extension or a local signing daemon.
+ */
+export interface SignerTransport {
+    sign(message: Uint8Array, sigAlgo: SigType): Promise<string>;
+    signInteraction?(ixObject: InteractionObject, sigAlgo: SigType): Promise<InteractionRequest>;
+}
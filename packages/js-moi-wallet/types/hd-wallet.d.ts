@@ -0,0 +1,18 @@
+import type { AbstractProvider } from "js-moi-providers";
+
+/**
+ * The options of a hierarchical deterministic wallet.
+ */
+export interface HDWalletOptions {
+    basePath?: string;
+    provider?: AbstractProvider;
+    wordlist?: string[];
+}
+
+/**
+ * The options of the account discovery of a hierarchical deterministic wallet.
+ */
+export interface AccountDiscoveryOptions {
+    gapLimit?: number;
+    startIndex?: number;
+}
@@ -1,16 +1,36 @@
+export interface ScryptParams {
+    dklen: number;
+    n: number;
+    p: number;
+    r: number;
+    salt: string;
+}
+
+export interface Pbkdf2Params {
+    c: number;
+    dklen: number;
+    prf: string;
+    salt: string;
+}
+
 export interface Keystore {
+    id?: string;
+    version?: number;
+    address?: string;
     cipher: string;
     ciphertext: string;
     cipherparams: {
       IV: string;
     };
     kdf: string;
-    kdfparams: {
-      dklen: number;
-      n: number;
-      p: number;
-      r: number;
-      salt: string;
-    };
+    kdfparams: ScryptParams | Pbkdf2Params;
     mac: string;
-}
\ No newline at end of file
+}
+
+export interface KeystoreOptions {
+    scrypt?: {
+        n?: number;
+        r?: number;
+        p?: number;
+    };
+}